@@ -0,0 +1,122 @@
+// Service worker: keeps the app usable on unreliable venue Wi-Fi.
+// - Page navigations (e.g. /stories) are network-first and fall back to the cached app shell.
+// - The built bundles in /assets are precached on install and then served cache-first.
+// - Other scripts and styles are served from cache and refreshed in the background.
+// - Images (gallery photos, story images) are cache-first, keeping the most recent MAX_CACHED_IMAGES.
+// Firestore traffic is not touched here; its offline cache lives in IndexedDB (see src/data/firestoreRepository.js).
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const IMAGE_CACHE = `images-${CACHE_VERSION}`;
+const MAX_CACHED_IMAGES = 200;
+
+const SHELL_URLS = ['/', '/index.html', '/manifest.webmanifest', '/icon-192.png', '/icon-512.png'];
+// Written by `vite build` (see vite.config.js)
+const ASSET_MANIFEST_URL = '/asset-manifest.json';
+
+// Every file of the build, including chunks loaded later such as the data backend. The page fetched
+// them before this worker was installed, so without this they would be missing offline.
+const builtAssetUrls = async () => {
+  const response = await fetch(ASSET_MANIFEST_URL);
+  if (!response.ok) return [];
+  const manifest = await response.json();
+  const files = Object.values(manifest).flatMap(chunk => [chunk.file, ...(chunk.css || []), ...(chunk.assets || [])]);
+  return [...new Set(files)].map(file => `/${file}`);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(async (cache) => {
+        await cache.addAll(SHELL_URLS);
+        await cache.addAll(await builtAssetUrls());
+      })
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop caches from older versions of this file
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key !== SHELL_CACHE && key !== IMAGE_CACHE).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+const trimCache = async (cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+};
+
+// Every route is served by index.html, so a cached copy of it works for any page
+const handleNavigation = async (request) => {
+  try {
+    const response = await fetch(request);
+    // An error page must not replace the app shell used offline
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      cache.put('/index.html', response.clone());
+    }
+    return response;
+  } catch {
+    return (await caches.match('/index.html')) || Response.error();
+  }
+};
+
+// Built files have a content hash in their names, so a cached copy never goes stale. Files from a newer
+// deploy are cached the first time the page asks for them.
+const handleBuiltAsset = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+};
+
+const handleAsset = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  const refresh = fetch(request)
+    .then(response => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached || Response.error());
+  return cached || refresh;
+};
+
+const handleImage = async (request) => {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Cross-origin images without CORS come back opaque (status 0); they still display fine from cache
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request, response.clone());
+    trimCache(IMAGE_CACHE, MAX_CACHED_IMAGES);
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (url.origin === self.location.origin && url.pathname.startsWith('/assets/')) {
+    event.respondWith(handleBuiltAsset(request));
+  } else if (request.destination === 'image') {
+    event.respondWith(handleImage(request));
+  } else if (url.origin === self.location.origin && ['script', 'style', 'font', 'manifest'].includes(request.destination)) {
+    event.respondWith(handleAsset(request));
+  }
+});
@@ -0,0 +1,185 @@
+// Manages the site's Firestore data from the command line with the Admin SDK, which bypasses the
+// security rules. Run it through npm:
+//
+//   npm run data -- <command> (--emulator | --project <id>) [--app-id <id>] [--dry-run] [--yes]
+//
+// Commands:
+//   seed      Writes the sample stories, guestbook messages and comments (src/data/sampleData.js).
+//             The samples have fixed IDs, so seeding again overwrites them instead of adding copies.
+//             --author <uid> sets who the stories belong to (default 'sample-author').
+//   reset     Deletes all of the site's Firestore data, including subcollections and private settings.
+//             Files in Firebase Storage are left alone.
+//   migrate   Applies the migrations in scripts/migrations that haven't run yet, in file name order.
+//             Each applied migration is recorded in artifacts/<appId>/private/data/migrations.
+//   publish   Publishes the scheduled stories whose publishAt has passed. Guests' story lists only show
+//             published stories, so run this on a schedule (e.g. every few minutes from cron).
+//
+// --emulator targets the Firestore emulator from `npm run emulators` (FIRESTORE_EMULATOR_HOST, or
+// 127.0.0.1:8080). --project targets a real project with Application Default Credentials (e.g.
+// GOOGLE_APPLICATION_CREDENTIALS pointing at a service account key); seed and reset then also need --yes.
+// --app-id defaults to VITE_APP_ID, or 'default-app-id' like the site. --dry-run reports what would
+// change without writing anything.
+import { readdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { initializeApp, applicationDefault } from 'firebase-admin/app';
+import { getFirestore, FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { createSampleData } from '../src/data/sampleData.js';
+
+const EMULATOR_PROJECT_ID = 'demo-gayathri-dance-app'; // Keep in sync with the emulators script in package.json
+const DEFAULT_EMULATOR_HOST = '127.0.0.1:8080'; // The Firestore port in firebase.json
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const COMMANDS = ['seed', 'reset', 'migrate', 'publish'];
+// Commands that only bring the data up to date, so they may run against a real project without --yes
+const SAFE_COMMANDS = ['migrate', 'publish'];
+
+const fail = (message) => {
+  console.error(`Error: ${message}`);
+  console.error("Usage: npm run data -- <seed|reset|migrate|publish> (--emulator | --project <id>) [--app-id <id>] [--dry-run] [--yes]");
+  process.exit(1);
+};
+
+const readOptions = () => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        emulator: { type: 'boolean', default: false },
+        project: { type: 'string' },
+        'app-id': { type: 'string', default: process.env.VITE_APP_ID || 'default-app-id' },
+        author: { type: 'string', default: 'sample-author' },
+        'dry-run': { type: 'boolean', default: false },
+        yes: { type: 'boolean', default: false }
+      }
+    });
+  } catch (error) {
+    fail(error.message);
+  }
+  const { positionals, values } = parsed;
+  if (positionals.length !== 1 || !COMMANDS.includes(positionals[0])) {
+    fail(`Expected one command: ${COMMANDS.join(', ')}.`);
+  }
+  if (values.emulator === Boolean(values.project)) {
+    fail("Choose a target with either --emulator or --project <id>.");
+  }
+  if (!/^[\w-]+$/.test(values['app-id'])) {
+    fail(`The app ID "${values['app-id']}" may only contain letters, digits, '_' and '-'.`);
+  }
+  const command = positionals[0];
+  // Seeding and resetting a real project is almost always a mistake, so it has to be asked for
+  if (values.project && !SAFE_COMMANDS.includes(command) && !values['dry-run'] && !values.yes) {
+    fail(`"${command}" changes data in the real project "${values.project}". Add --yes if that is what you want.`);
+  }
+  return {
+    command,
+    emulator: values.emulator,
+    projectId: values.project || EMULATOR_PROJECT_ID,
+    appId: values['app-id'],
+    authorId: values.author,
+    dryRun: values['dry-run']
+  };
+};
+
+const connect = ({ emulator, projectId }) => {
+  if (emulator) {
+    process.env.FIRESTORE_EMULATOR_HOST ||= DEFAULT_EMULATOR_HOST;
+    initializeApp({ projectId });
+  } else {
+    initializeApp({ projectId, credential: applicationDefault() });
+  }
+  return getFirestore();
+};
+
+const seed = async (db, { appId, authorId, dryRun }) => {
+  const sampleData = createSampleData({ authorId, time: FieldValue.serverTimestamp() });
+  const writer = db.bulkWriter();
+  for (const [collectionName, records] of Object.entries(sampleData)) {
+    console.log(`Seed: ${records.length} ${collectionName} (${records.map(record => record.id).join(', ')})`);
+    if (dryRun) continue;
+    records.forEach(({ id, ...data }) => writer.set(db.doc(`artifacts/${appId}/public/data/${collectionName}/${id}`), data));
+  }
+  await writer.close();
+};
+
+const reset = async (db, { appId, dryRun }) => {
+  const roots = [db.doc(`artifacts/${appId}/public/data`), db.doc(`artifacts/${appId}/private/data`)];
+  for (const root of roots) {
+    for (const collectionRef of await root.listCollections()) {
+      const { count } = (await collectionRef.count().get()).data();
+      console.log(`Reset: ${dryRun ? 'would delete' : 'deleting'} ${collectionRef.path} (${count} documents and their subcollections)`);
+      if (!dryRun) await db.recursiveDelete(collectionRef);
+    }
+  }
+};
+
+const loadMigrations = async () => {
+  const files = (await readdir(MIGRATIONS_DIR)).filter(file => file.endsWith('.js')).sort();
+  return Promise.all(files.map(async (file) => ({
+    id: path.basename(file, '.js'),
+    ...(await import(pathToFileURL(path.join(MIGRATIONS_DIR, file))))
+  })));
+};
+
+// A migration module exports a description, the collection it works on and migrate(data, context),
+// which returns the changes for one document, or null if the document is already up to date. context has
+// the document's id, serverTime and deleteField values to use in changes, and set(path, data) to also
+// write a document elsewhere (path is relative to artifacts/<appId>).
+const migrate = async (db, { appId, dryRun }) => {
+  const appliedRef = db.collection(`artifacts/${appId}/private/data/migrations`);
+  const applied = new Set((await appliedRef.listDocuments()).map(docRef => docRef.id));
+  const pending = (await loadMigrations()).filter(migration => !applied.has(migration.id));
+  if (pending.length === 0) {
+    console.log("Migrate: Everything is up to date.");
+    return;
+  }
+  for (const migration of pending) {
+    const snapshot = await db.collection(`artifacts/${appId}/public/data/${migration.collection}`).get();
+    const extraWrites = [];
+    const updates = snapshot.docs
+      .map(docSnap => ({
+        docSnap,
+        changes: migration.migrate(docSnap.data(), {
+          id: docSnap.id,
+          serverTime: FieldValue.serverTimestamp(),
+          deleteField: FieldValue.delete(),
+          set: (path, data) => extraWrites.push({ path, data })
+        })
+      }))
+      .filter(({ changes }) => changes);
+    console.log(`Migrate: ${migration.id}: ${migration.description}. ${updates.length} of ${snapshot.size} ${migration.collection} need changes`
+      + `${extraWrites.length > 0 ? `, ${extraWrites.length} other documents to write` : ''}.`);
+    if (dryRun) continue;
+    const writer = db.bulkWriter();
+    extraWrites.forEach(({ path: docPath, data }) => writer.set(db.doc(`artifacts/${appId}/${docPath}`), data));
+    updates.forEach(({ docSnap, changes }) => writer.update(docSnap.ref, changes));
+    writer.set(appliedRef.doc(migration.id), { description: migration.description, updatedCount: updates.length, appliedAt: FieldValue.serverTimestamp() });
+    await writer.close();
+  }
+};
+
+// Compares publishAt with the server's clock rather than a visitor's, which may be off
+const publish = async (db, { appId, dryRun }) => {
+  const due = await db.collection(`artifacts/${appId}/public/data/stories`)
+    .where('status', '==', 'scheduled')
+    .where('publishAt', '<=', Timestamp.now())
+    .get();
+  console.log(`Publish: ${due.size} scheduled stories are due${due.empty ? '.' : ` (${due.docs.map(docSnap => docSnap.id).join(', ')})`}`);
+  if (dryRun || due.empty) return;
+  const writer = db.bulkWriter();
+  due.docs.forEach(docSnap => writer.update(docSnap.ref, { status: 'published' }));
+  await writer.close();
+};
+
+const options = readOptions();
+const db = connect(options);
+console.log(`${options.command}: ${options.emulator ? 'emulator' : 'project'} "${options.projectId}", app ID "${options.appId}"${options.dryRun ? ' (dry run)' : ''}`);
+try {
+  await { seed, reset, migrate, publish }[options.command](db, options);
+} catch (error) {
+  console.error(`Error: ${options.command} failed:`, error.message);
+  process.exitCode = 1;
+} finally {
+  await db.terminate();
+}
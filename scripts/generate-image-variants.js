@@ -0,0 +1,57 @@
+// Generates resized WebP variants of the JPEG and PNG images under public/ for the ResponsiveImage
+// component in src/App.jsx. For public/images/hero.jpg it writes public/variants/images/hero-<width>.webp
+// for each width, plus a tiny hero-placeholder.webp for the blur-up effect.
+// Runs before `npm run dev` and `npm run build`; images whose variants are newer than the source are skipped.
+import { mkdir, readdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import sharp from 'sharp';
+
+const PUBLIC_DIR = 'public';
+const VARIANTS_DIR = path.join(PUBLIC_DIR, 'variants');
+const WIDTHS = [480, 960, 1600]; // Keep in sync with IMAGE_VARIANT_WIDTHS in src/App.jsx
+const PLACEHOLDER_WIDTH = 24;
+const SOURCE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png']);
+
+const findImages = async (dir) => {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(entries.map(async (entry) => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return fullPath === VARIANTS_DIR ? [] : findImages(fullPath);
+    return SOURCE_EXTENSIONS.has(path.extname(entry.name).toLowerCase()) ? [fullPath] : [];
+  }));
+  return files.flat();
+};
+
+const isUpToDate = async (source, outputs) => {
+  const sourceTime = (await stat(source)).mtimeMs;
+  try {
+    const outputStats = await Promise.all(outputs.map(output => stat(output)));
+    return outputStats.every(outputStat => outputStat.mtimeMs >= sourceTime);
+  } catch {
+    return false; // At least one variant is missing
+  }
+};
+
+const generateVariants = async (source) => {
+  const relativePath = path.relative(PUBLIC_DIR, source);
+  const base = path.join(VARIANTS_DIR, relativePath.slice(0, -path.extname(relativePath).length));
+  const outputs = [
+    ...WIDTHS.map(width => ({ file: `${base}-${width}.webp`, width, quality: 80 })),
+    { file: `${base}-placeholder.webp`, width: PLACEHOLDER_WIDTH, quality: 50 }
+  ];
+  if (await isUpToDate(source, outputs.map(output => output.file))) return false;
+
+  await mkdir(path.dirname(base), { recursive: true });
+  // Every width is written even for small sources (without enlarging them), so srcset entries always exist
+  await Promise.all(outputs.map(({ file, width, quality }) =>
+    sharp(source).resize({ width, withoutEnlargement: true }).webp({ quality }).toFile(file)
+  ));
+  return true;
+};
+
+const images = await findImages(PUBLIC_DIR);
+let generated = 0;
+for (const image of images) {
+  if (await generateVariants(image)) generated += 1;
+}
+console.log(`Image variants: ${generated} generated, ${images.length - generated} up to date.`);
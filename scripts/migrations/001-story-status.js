@@ -0,0 +1,6 @@
+// Stories saved before drafts existed have no status or publishAt. The site counts them as published,
+// but the story list query only finds stories with both fields.
+export const description = "Mark stories without a status as published on their creation date";
+export const collection = 'stories';
+export const migrate = (story, { serverTime }) =>
+  (story.status ? null : { status: 'published', publishAt: story.publishAt || story.createdAt || serverTime });
@@ -0,0 +1,4 @@
+// Stories saved before tags existed have no tags field; give them an empty list like new stories
+export const description = "Give stories without tags an empty tag list";
+export const collection = 'stories';
+export const migrate = (story) => (Array.isArray(story.tags) ? null : { tags: [] });
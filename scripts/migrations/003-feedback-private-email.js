@@ -0,0 +1,11 @@
+// Feedback used to keep the guest's email in the public entry, where any visitor could read it.
+// Emails now live in the entry's private note, which only the author can read.
+export const description = "Move emails out of public feedback entries into private notes";
+export const collection = 'feedback';
+export const migrate = (entry, { id, deleteField, set }) => {
+  if (entry.email === undefined) return null;
+  if (entry.email) {
+    set(`private/data/feedbackNotes/${id}`, { name: entry.name || '', email: entry.email, note: '', userId: entry.userId || null, createdAt: entry.createdAt || null });
+  }
+  return { email: deleteField };
+};
@@ -0,0 +1,5 @@
+// Top-level comments used to have no parentId. The story page now pages through them with a
+// parentId == null query, which only finds comments that have the field.
+export const description = "Give top-level comments a null parentId";
+export const collection = 'comments';
+export const migrate = (comment) => (comment.parentId === undefined ? { parentId: null } : null);
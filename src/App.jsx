@@ -1,103 +1,566 @@
-import React, { useState, useEffect, createContext, useContext } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, addDoc, onSnapshot, query, orderBy, serverTimestamp, doc, getDoc, setDoc } from 'firebase/firestore';
-
-// --- Firebase Context ---
-const FirebaseContext = createContext(null);
-
-// Firebase Provider Component
-const FirebaseProvider = ({ children }) => {
-  const [firebaseApp, setFirebaseApp] = useState(null);
-  const [db, setDb] = useState(null);
-  const [auth, setAuth] = useState(null);
+import React, { useState, useEffect, useLayoutEffect, useMemo, useCallback, useRef, createContext, useContext } from 'react';
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
+import { loadConfig } from './config.js';
+import { createRepository } from './data/index.js';
+import { PUBLIC_STORY_STATUSES, pickRevisionFields } from './data/shared.js';
+import { CONFLICT_MODES, exportBackup, readBackup, importBackup } from './data/backup.js';
+import { THEMES, ACCENT_PALETTES, DEFAULT_ACCENT } from './theme.js';
+import imageFallback from './assets/image-fallback.svg';
+import en from './locales/en.js';
+import ta from './locales/ta.js';
+
+// --- Data Context ---
+const DataContext = createContext(null);
+
+// The repository is created once per page load, so re-mounting the provider (e.g. in StrictMode)
+// doesn't connect to the backend twice
+let repositoryPromise = null;
+const loadRepository = () => {
+  if (!repositoryPromise) {
+    repositoryPromise = Promise.resolve().then(() => createRepository(loadConfig()));
+  }
+  return repositoryPromise;
+};
+
+// Data Provider Component: connects to the configured backend (see src/data) and tracks who is signed in.
+// Tests pass their own repository instead.
+const DataProvider = ({ children, repository: givenRepository = null }) => {
+  const [repository, setRepository] = useState(null);
   const [userId, setUserId] = useState(null);
+  const [role, setRole] = useState('guest'); // 'author' for Gayathri's account, 'guest' for everyone else
   const [isAuthReady, setIsAuthReady] = useState(false); // New state to track auth readiness
+  const [startupError, setStartupError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let unsubscribe = () => {};
+
+    (givenRepository ? Promise.resolve(givenRepository) : loadRepository())
+      .then((loadedRepository) => {
+        if (cancelled) return;
+        console.log("Data: Using the", loadedRepository.backend, "backend.");
+        setRepository(loadedRepository);
+        // Listen for authentication state changes
+        unsubscribe = loadedRepository.auth.onChange((user) => {
+          setUserId(user.userId);
+          setRole(user.role);
+          setIsAuthReady(true); // Auth is ready after initial check
+          console.log("Auth: Signed in as", user.role, "with UID:", user.userId);
+        });
+      })
+      .catch((error) => {
+        console.error("Error starting the data backend:", error);
+        if (!cancelled) setStartupError(error);
+      });
+
+    return () => {
+      cancelled = true;
+      unsubscribe(); // Cleanup auth listener on unmount
+    };
+  }, [givenRepository]);
+
+  if (startupError) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-100 p-8">
+        <div className="max-w-xl bg-white rounded-xl shadow-lg p-8 border border-red-200">
+          <h1 className="text-2xl font-bold text-red-700 mb-4">The site could not start</h1>
+          <p className="text-gray-700 whitespace-pre-wrap">{startupError.message}</p>
+          <p className="text-sm text-gray-500 mt-4">See "Configuration" in the README.</p>
+        </div>
+      </div>
+    );
+  }
+
+  // Author sign-in helpers. They reject on failure so callers can show a message.
+  const signInAsAuthor = (email, password) => repository.auth.signInAsAuthor(email, password);
+  // Signing out drops back to an anonymous guest session
+  const signOutAuthor = () => repository.auth.signOut();
+
+  return (
+    <DataContext.Provider value={{ repository, userId, role, isAuthReady, signInAsAuthor, signOutAuthor }}>
+      {children}
+    </DataContext.Provider>
+  );
+};
+
+// Custom hook to use the data context
+const useData = () => {
+  const context = useContext(DataContext);
+  if (!context) {
+    throw new Error('useData must be used within a DataProvider');
+  }
+  return context;
+};
+
+// --- Paginated Lists ---
+// Subscribes to the newest page of a repository PagedList (see src/data/index.js) plus anything newer
+// that arrives later. loadMore() fetches the next older page, continuing from the oldest loaded item.
+// Pass a memoized list (or null while it can't be created yet).
+const usePagedList = (list, { pageSize = 10 } = {}) => {
+  const [liveItems, setLiveItems] = useState([]);
+  const [olderItems, setOlderItems] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
 
   useEffect(() => {
-    // --- FIX: Prioritize Canvas global variables first, then process.env for Vercel ---
-    // const canvasFirebaseConfig = typeof __firebase_config !== 'undefined' ? __firebase_config : null;
-    // const canvasAppId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-    // const canvasInitialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+    if (!list) return;
 
-    const firebaseConfigString = import.meta.env.VITE_FIREBASE_CONFIG;
-    const appId = import.meta.env.VITE_APP_ID;
-    // const initialAuthToken = canvasInitialAuthToken; // No process.env for this as it's Canvas specific
+    let cancelled = false;
+    let unsubscribe = () => {};
+    setOlderItems([]);
+    setLoading(true);
+    setError(null);
 
-    let firebaseConfig = null;
-    if (firebaseConfigString) {
+    const subscribe = async () => {
       try {
-	console.error("Not an actual err. About to parse Firebase config string");
-        firebaseConfig = JSON.parse(firebaseConfigString);
-      } catch (e) {
-        console.error("Error parsing Firebase config string:", e);
-        firebaseConfig = null;
+        // The oldest item of the first page marks where the live window ends
+        const firstPage = await list.fetchPage(null, pageSize);
+        if (cancelled) return;
+        setCursor(firstPage.last);
+        setHasMore(firstPage.items.length === pageSize);
+
+        unsubscribe = list.subscribe(firstPage.last,
+          (items) => {
+            setLiveItems(items);
+            setLoading(false);
+          },
+          (err) => {
+            console.error("Error listening to paginated list:", err);
+            setError(err);
+            setLoading(false);
+          }
+        );
+      } catch (err) {
+        if (cancelled) return;
+        console.error("Error fetching first page:", err);
+        setError(err);
+        setLoading(false);
       }
+    };
+    subscribe();
+
+    return () => {
+      cancelled = true;
+      unsubscribe(); // Cleanup live listener
+    };
+  }, [list, pageSize]);
+
+  const loadMore = async () => {
+    if (!cursor || loadingMore) return;
+
+    setLoadingMore(true);
+    try {
+      const page = await list.fetchPage(cursor, pageSize);
+      setOlderItems(prev => [...prev, ...page.items]);
+      if (page.last) setCursor(page.last);
+      setHasMore(page.items.length === pageSize);
+    } catch (err) {
+      console.error("Error fetching older page:", err);
+      setError(err);
+    } finally {
+      setLoadingMore(false);
     }
+  };
 
-    if (!firebaseConfig) {
-      console.error("Firebase config not found. Please ensure VITE_FIREBASE_CONFIG is set in Vercel environment variables.");
-      return;
+  return { items: [...liveItems, ...olderItems], loading, loadingMore, hasMore, loadMore, error };
+};
+
+// --- Offline Sync ---
+// With the Firebase backend's IndexedDB persistence, Firestore queues writes made offline and sends them
+// once the connection returns, but their promises only settle when the server confirms. After this long a write counts as
+// "pending sync" and the form is released.
+const PENDING_SYNC_TIMEOUT_MS = 3000;
+
+// Tracks this visitor's own writes that are still queued offline. submit(entry, writePromise) resolves
+// to 'synced' or 'pending' (adding entry to pendingEntries until confirmed), and rejects if the write fails first.
+const usePendingWrites = () => {
+  const [pendingEntries, setPendingEntries] = useState([]);
+
+  const submit = async (entry, writePromise) => {
+    const result = await Promise.race([
+      writePromise.then(() => 'synced'),
+      new Promise(resolve => setTimeout(() => resolve('pending'), PENDING_SYNC_TIMEOUT_MS))
+    ]);
+    if (result === 'pending') {
+      setPendingEntries(prev => [...prev, entry]);
+      writePromise
+        .catch(error => console.error("Queued write failed:", error))
+        .finally(() => setPendingEntries(prev => prev.filter(pending => pending.id !== entry.id)));
     }
+    return result;
+  };
 
-    const app = initializeApp(firebaseConfig);
-    const firestore = getFirestore(app);
-    const firebaseAuth = getAuth(app);
+  return { pendingEntries, submit };
+};
 
-    setFirebaseApp(app);
-    setDb(firestore);
-    setAuth(firebaseAuth);
+const PendingSyncBadge = () => {
+  const { t } = useLanguage();
+  return <span className="ml-2 text-xs font-medium text-amber-800 bg-amber-100 px-2 py-0.5 rounded-full">{t('common.pendingSync')}</span>;
+};
 
-    // Listen for authentication state changes
-    const unsubscribe = onAuthStateChanged(firebaseAuth, async (user) => {
-      if (user) {
-        setUserId(user.uid);
-        console.log("Firebase Auth: User signed in, UID:", user.uid);
-      } else {
-        // Sign in anonymously if no user is logged in and no custom token is provided
-        try {
-          // Use initialAuthToken if available (for Canvas), otherwise sign in anonymously
-          // if (initialAuthToken) {
-          //  await signInWithCustomToken(firebaseAuth, initialAuthToken);
-          //  console.log("Firebase Auth: Signed in with custom token (Canvas).");
-          //} else 
-          {
-            await signInAnonymously(firebaseAuth);
-            console.log("Firebase Auth: Signed in anonymously (Vercel/Local).");
-          }
-        } catch (error) {
-          console.error("Error signing in:", error);
-          // Fallback to a random UUID if anonymous sign-in fails
-          const newUuid = crypto.randomUUID();
-          setUserId(newUuid);
-          console.log("Firebase Auth: Anonymous sign-in failed, using random UUID:", newUuid);
-        }
-      }
-      setIsAuthReady(true); // Auth is ready after initial check
-      console.log("Firebase Auth: isAuthReady set to true.");
-    });
+// A queued submission that the current list doesn't show yet, e.g. a guest's comment awaiting moderation
+const PendingEntryCard = ({ name, text }) => {
+  const { t } = useLanguage();
+  return (
+    <div className="bg-amber-50 p-4 rounded-lg border border-amber-200 shadow-sm">
+      <p className="font-semibold text-gray-800">{name}<PendingSyncBadge /></p>
+      <p className="text-gray-700 mt-1">{text}</p>
+      <p className="text-xs text-gray-500 mt-2">{t('common.pendingSyncNote')}</p>
+    </div>
+  );
+};
+
+const LoadMoreButton = ({ onClick, loading, children }) => {
+  const { t } = useLanguage();
+  return (
+    <div className="text-center">
+      <Button
+        onClick={onClick}
+        disabled={loading}
+        variant="outline"
+      >
+        {loading ? t('common.loading') : children}
+      </Button>
+    </div>
+  );
+};
+
+// --- Router Context ---
+const RouterContext = createContext(null);
+
+// Path patterns for every page. ':name' segments are captured as route params.
+const ROUTES = {
+  home: '/',
+  photos: '/photos',
+  stories: '/stories',
+  storyDetail: '/stories/:storyId',
+  editStory: '/stories/:storyId/edit',
+  addStory: '/add-story',
+  drafts: '/drafts',
+  feedback: '/feedback',
+  program: '/program',
+  rsvp: '/rsvp',
+  rsvpDashboard: '/rsvps',
+  signIn: '/sign-in',
+  moderation: '/moderation',
+  backup: '/backup',
+  appearance: '/appearance',
+};
+
+// Returns the params captured from pathname if it matches pattern, otherwise null
+const matchPath = (pattern, pathname) => {
+  const patternParts = pattern.split('/').filter(Boolean);
+  const pathParts = pathname.split('/').filter(Boolean);
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+};
+
+// Resolves a pathname to { page, params }. Unknown paths resolve to page null.
+const matchRoute = (pathname) => {
+  for (const [page, pattern] of Object.entries(ROUTES)) {
+    const params = matchPath(pattern, pathname);
+    if (params) return { page, params };
+  }
+  return { page: null, params: {} };
+};
+
+// Turns { q: 'varnam', tag: '' } into '?q=varnam', leaving out empty values
+const buildQueryString = (queryParams = {}) => {
+  const search = new URLSearchParams(Object.entries(queryParams).filter(([, value]) => value)).toString();
+  return search ? `?${search}` : '';
+};
+
+// Builds a URL path for a page, e.g. buildPath('storyDetail', { storyId: 'abc' }) -> '/stories/abc'
+// and buildPath('stories', {}, { tag: 'music' }) -> '/stories?tag=music'
+const buildPath = (page, params = {}, queryParams = {}) =>
+  ROUTES[page].replace(/:(\w+)/g, (_, name) => encodeURIComponent(params[name])) + buildQueryString(queryParams);
+
+const currentLocation = () => ({ path: window.location.pathname, search: window.location.search });
+
+// Router Provider Component (keeps the current page and query string in sync with the browser history)
+const RouterProvider = ({ children }) => {
+  const [location, setLocation] = useState(currentLocation);
+
+  useEffect(() => {
+    // Restore the page when the user goes back or forward in history
+    const handlePopState = () => setLocation(currentLocation());
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const navigate = (to) => {
+    if (to !== window.location.pathname + window.location.search) {
+      window.history.pushState({}, '', to);
+      setLocation(currentLocation());
+    }
+    window.scrollTo(0, 0);
+  };
+
+  // Replaces the current page's query string without adding a history entry, e.g. while typing a search
+  const setQueryParams = (queryParams) => {
+    window.history.replaceState({}, '', location.path + buildQueryString(queryParams));
+    setLocation(currentLocation());
+  };
+
+  const searchParams = useMemo(() => new URLSearchParams(location.search), [location.search]);
+
+  return (
+    <RouterContext.Provider value={{ ...matchRoute(location.path), path: location.path, searchParams, navigate, setQueryParams }}>
+      {children}
+    </RouterContext.Provider>
+  );
+};
+
+// Custom hook to use Router context
+const useRouter = () => {
+  const context = useContext(RouterContext);
+  if (!context) {
+    throw new Error('useRouter must be used within a RouterProvider');
+  }
+  return context;
+};
+
+// Anchor that navigates through the router, so links stay shareable and open in new tabs normally
+const Link = ({ to, children, className, ...props }) => {
+  const { navigate } = useRouter();
+
+  const handleClick = (e) => {
+    // Let the browser handle modified clicks (new tab, new window, etc.)
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(to);
+  };
+
+  return (
+    <a href={to} onClick={handleClick} className={className} {...props}>
+      {children}
+    </a>
+  );
+};
+
+// --- Language Context ---
+const LanguageContext = createContext(null);
+
+// Supported interface languages: their catalog and the locale used for dates
+const LANGUAGES = {
+  en: { label: 'English', locale: 'en-IN', catalog: en },
+  ta: { label: 'தமிழ்', locale: 'ta-IN', catalog: ta }
+};
+const LANGUAGE_STORAGE_KEY = 'language';
+
+const getInitialLanguage = () => {
+  const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+  if (LANGUAGES[saved]) return saved;
+  return navigator.language?.startsWith('ta') ? 'ta' : 'en';
+};
+
+const LanguageProvider = ({ children }) => {
+  const [language, setLanguageState] = useState(getInitialLanguage);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const setLanguage = (newLanguage) => {
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, newLanguage);
+    setLanguageState(newLanguage);
+  };
+
+  const value = useMemo(() => {
+    const { catalog, locale } = LANGUAGES[language];
+    const dateFormat = new Intl.DateTimeFormat(locale, { dateStyle: 'long' });
+    const dateTimeFormat = new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short' });
+
+    // Looks up key (falling back to English, then the key itself) and fills in {placeholders} from params
+    const t = (key, params = {}) => (catalog[key] ?? en[key] ?? key)
+      .replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+
+    // Both take a repository timestamp or a Date; a missing one (e.g. a pending server timestamp) shows as N/A
+    const toDate = (timestamp) => (timestamp instanceof Date ? timestamp : timestamp.toDate());
+    const formatDate = (timestamp) => (timestamp ? dateFormat.format(toDate(timestamp)) : t('common.notAvailable'));
+    const formatDateTime = (timestamp) => (timestamp ? dateTimeFormat.format(toDate(timestamp)) : t('common.notAvailable'));
+
+    return { language, t, formatDate, formatDateTime };
+  }, [language]);
+
+  return (
+    <LanguageContext.Provider value={{ ...value, setLanguage }}>
+      {children}
+    </LanguageContext.Provider>
+  );
+};
+
+// Custom hook to use Language context
+const useLanguage = () => {
+  const context = useContext(LanguageContext);
+  if (!context) {
+    throw new Error('useLanguage must be used within a LanguageProvider');
+  }
+  return context;
+};
+
+// --- Theme Context ---
+// Visitors choose a theme for themselves (stored in localStorage, like the language); 'system' follows
+// the device's light or dark setting. The author chooses the accent for everyone in the site settings.
+// Both are set as attributes on <html>, which switch the CSS variables behind the colors (see src/theme.js).
+const ThemeContext = createContext(null);
+
+const THEME_CHOICES = ['system', ...THEMES];
+const THEME_LABEL_KEYS = { system: 'theme.system', light: 'theme.light', dark: 'theme.dark', 'high-contrast': 'theme.highContrast' };
+const THEME_STORAGE_KEY = 'theme';
+// The last accent seen, so returning visitors don't see the default colors while the settings load
+const ACCENT_STORAGE_KEY = 'accent';
+const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+const getInitialThemeChoice = () => {
+  const saved = localStorage.getItem(THEME_STORAGE_KEY);
+  return THEME_CHOICES.includes(saved) ? saved : 'system';
+};
+
+const getInitialAccent = () => {
+  const saved = localStorage.getItem(ACCENT_STORAGE_KEY);
+  return ACCENT_PALETTES[saved] ? saved : DEFAULT_ACCENT;
+};
+
+// 'dark' or 'light', following the device setting as it changes
+const useSystemTheme = () => {
+  const [prefersDark, setPrefersDark] = useState(() => window.matchMedia?.(DARK_SCHEME_QUERY).matches ?? false);
 
-    return () => unsubscribe(); // Cleanup auth listener on unmount
+  useEffect(() => {
+    const query = window.matchMedia?.(DARK_SCHEME_QUERY);
+    if (!query) return;
+    const handleChange = (event) => setPrefersDark(event.matches);
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
   }, []);
 
+  return prefersDark ? 'dark' : 'light';
+};
+
+const ThemeProvider = ({ children }) => {
+  const { repository, isAuthReady } = useData();
+  const [themeChoice, setThemeChoiceState] = useState(getInitialThemeChoice);
+  const [accent, setAccent] = useState(getInitialAccent);
+  const systemTheme = useSystemTheme();
+  const theme = themeChoice === 'system' ? systemTheme : themeChoice;
+
+  // Applied before the browser paints, so a page never flashes in the wrong colors
+  useLayoutEffect(() => {
+    document.documentElement.dataset.theme = theme;
+    document.documentElement.dataset.accent = accent;
+  }, [theme, accent]);
+
+  useEffect(() => {
+    if (!repository || !isAuthReady) return;
+
+    const unsubscribe = repository.settings.subscribe(
+      (settings) => {
+        const newAccent = ACCENT_PALETTES[settings.accent] ? settings.accent : DEFAULT_ACCENT;
+        localStorage.setItem(ACCENT_STORAGE_KEY, newAccent);
+        setAccent(newAccent);
+      },
+      (err) => console.error("Error fetching site settings:", err)
+    );
+
+    return () => unsubscribe(); // Cleanup listener
+  }, [repository, isAuthReady]);
+
+  const setThemeChoice = (newChoice) => {
+    localStorage.setItem(THEME_STORAGE_KEY, newChoice);
+    setThemeChoiceState(newChoice);
+  };
+
   return (
-    <FirebaseContext.Provider value={{ firebaseApp, db, auth, userId, isAuthReady }}>
+    <ThemeContext.Provider value={{ themeChoice, theme, accent, setThemeChoice }}>
       {children}
-    </FirebaseContext.Provider>
+    </ThemeContext.Provider>
   );
 };
 
-// Custom hook to use Firebase context
-const useFirebase = () => {
-  const context = useContext(FirebaseContext);
+// Custom hook to use Theme context
+const useTheme = () => {
+  const context = useContext(ThemeContext);
   if (!context) {
-    throw new Error('useFirebase must be used within a FirebaseProvider');
+    throw new Error('useTheme must be used within a ThemeProvider');
   }
   return context;
 };
 
+// --- Design System ---
+// Shared building blocks, styled with the theme tokens in tailwind.config.js
+const BUTTON_VARIANTS = {
+  primary: 'bg-primary-600 text-white hover:bg-primary-700 focus:ring-primary-500',
+  outline: 'bg-white text-primary-700 border border-primary-300 hover:bg-primary-50 focus:ring-primary-500',
+  neutral: 'bg-gray-300 text-gray-800 hover:bg-gray-400 focus:ring-gray-500',
+  danger: 'bg-red-600 text-white hover:bg-red-700 focus:ring-red-500',
+  dangerSoft: 'bg-red-100 text-red-700 hover:bg-red-200 focus:ring-red-500'
+};
+
+const BUTTON_SIZES = {
+  xs: 'px-3 py-1',
+  sm: 'px-4 py-1',
+  md: 'px-6 py-2',
+  lg: 'w-full px-6 py-3 font-bold transform hover:scale-105' // A form's main action
+};
+
+// Button's classes, also for links that look like buttons
+const buttonClassName = ({ variant = 'primary', size = 'md', className = '' } = {}) =>
+  `rounded-full transition duration-200 ease-in-out focus:outline-none focus:ring-2 focus:ring-opacity-50 disabled:opacity-50 disabled:cursor-not-allowed ${BUTTON_VARIANTS[variant]} ${BUTTON_SIZES[size]} ${className}`;
+
+// A rounded button. Other props (type, onClick, disabled, ...) are passed to the <button>.
+const Button = ({ variant, size, className, ...props }) => (
+  <button className={buttonClassName({ variant, size, className })} {...props} />
+);
+
+const CARD_PADDING = { md: 'p-6', lg: 'p-8' };
+
+// The white panel that holds a page's forms and lists. `as` picks the element, e.g. 'form'.
+const Card = ({ as = 'div', padding = 'lg', className = '', ...props }) => {
+  const Element = as;
+  return <Element className={`bg-white rounded-xl shadow-lg border border-primary-200 ${CARD_PADDING[padding]} ${className}`} {...props} />;
+};
+
+const FIELD_SIZES = { sm: 'py-2 px-3', md: 'py-3 px-4', lg: 'py-3 px-6' };
+const FIELD_SHAPES = { rounded: 'rounded-md', pill: 'rounded-full' };
+
+// A form control: 'input' (the default), 'textarea' or 'select' (with its options as children), shown
+// under its label. Controls without a label need an aria-label. It fills its container's width unless
+// fullWidth is false. Other props are passed to the control.
+const TextField = ({ as = 'input', id, label, size = 'md', shape = 'rounded', fullWidth = true, className = '', ...props }) => {
+  const Control = as;
+  const control = (
+    <Control
+      id={id}
+      // Selects keep their native arrow
+      className={`shadow ${as === 'select' ? '' : 'appearance-none'} border ${FIELD_SHAPES[shape]} ${fullWidth ? 'w-full' : ''} ${FIELD_SIZES[size]} text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition duration-200 ${className}`}
+      {...props}
+    />
+  );
+  if (!label) return control;
+  return (
+    <div>
+      <label htmlFor={id} className="block text-gray-700 text-sm font-bold mb-2">{label}</label>
+      {control}
+    </div>
+  );
+};
+
 // --- Custom Message Box Component (replaces alert/confirm) ---
 const MessageBox = ({ message, onConfirm, onCancel, type = 'alert' }) => {
+  const { t } = useLanguage();
   if (!message) return null;
 
   return (
@@ -106,27 +569,18 @@ const MessageBox = ({ message, onConfirm, onCancel, type = 'alert' }) => {
         <p className="text-lg font-semibold mb-4">{message}</p>
         <div className="flex justify-center space-x-4">
           {type === 'alert' && (
-            <button
-              onClick={onConfirm}
-              className="px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition duration-150 ease-in-out"
-            >
-              OK
-            </button>
+            <Button onClick={onConfirm}>
+              {t('common.ok')}
+            </Button>
           )}
           {type === 'confirm' && (
             <>
-              <button
-                onClick={onCancel}
-                className="px-6 py-2 bg-gray-300 text-gray-800 rounded-md hover:bg-gray-400 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 transition duration-150 ease-in-out"
-              >
-                Cancel
-              </button>
-              <button
-                onClick={onConfirm}
-                className="px-6 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50 transition duration-150 ease-in-out"
-              >
-                Confirm
-              </button>
+              <Button variant="neutral" onClick={onCancel}>
+                {t('common.cancel')}
+              </Button>
+              <Button variant="danger" onClick={onConfirm}>
+                {t('common.confirm')}
+              </Button>
             </>
           )}
         </div>
@@ -136,458 +590,3258 @@ const MessageBox = ({ message, onConfirm, onCancel, type = 'alert' }) => {
 };
 
 // --- Navigation Component ---
-const Navbar = ({ setCurrentPage }) => {
+const Navbar = () => {
+  const { role, signOutAuthor } = useData();
+  const { navigate } = useRouter();
+  const { language, setLanguage, t } = useLanguage();
+  const { themeChoice, setThemeChoice } = useTheme();
+  const otherLanguage = language === 'en' ? 'ta' : 'en';
+  const nextThemeChoice = THEME_CHOICES[(THEME_CHOICES.indexOf(themeChoice) + 1) % THEME_CHOICES.length];
+
+  const handleSignOut = async () => {
+    try {
+      await signOutAuthor();
+      navigate(buildPath('home'));
+    } catch (error) {
+      console.error("Error signing out:", error);
+    }
+  };
+
   return (
-    <nav className="bg-gradient-to-r from-purple-700 to-indigo-800 p-4 shadow-lg">
+    <nav className="bg-gradient-to-r from-primary-700 to-secondary-800 p-4 shadow-lg">
       <div className="container mx-auto flex flex-col md:flex-row justify-between items-center">
         <h1 className="text-white text-3xl font-extrabold mb-2 md:mb-0">
-          <span className="font-serif italic">Gayathri's Arangetram</span>
+          <span className="font-display italic">{t('nav.siteTitle')}</span>
         </h1>
         <div className="flex flex-wrap justify-center md:space-x-6 space-x-2">
-          <NavLink onClick={() => setCurrentPage('home')}>Home</NavLink>
-          <NavLink onClick={() => setCurrentPage('photos')}>Photos</NavLink>
-          <NavLink onClick={() => setCurrentPage('stories')}>Stories</NavLink>
-          <NavLink onClick={() => setCurrentPage('addStory')}>Add Story</NavLink> {/* For the daughter */}
-          <NavLink onClick={() => setCurrentPage('feedback')}>Feedback</NavLink>
+          <NavLink to={buildPath('home')}>{t('nav.home')}</NavLink>
+          <NavLink to={buildPath('photos')}>{t('nav.photos')}</NavLink>
+          <NavLink to={buildPath('stories')}>{t('nav.stories')}</NavLink>
+          <NavLink to={buildPath('program')}>{t('nav.program')}</NavLink>
+          {role === 'author' && <NavLink to={buildPath('addStory')}>{t('nav.addStory')}</NavLink>} {/* For the daughter */}
+          {role === 'author' && <NavLink to={buildPath('drafts')}>{t('nav.drafts')}</NavLink>}
+          {role === 'author'
+            ? <NavLink to={buildPath('rsvpDashboard')}>{t('nav.rsvpDashboard')}</NavLink>
+            : <NavLink to={buildPath('rsvp')}>{t('nav.rsvp')}</NavLink>}
+          <NavLink to={buildPath('feedback')}>{t('nav.feedback')}</NavLink>
+          {role === 'author' && <NavLink to={buildPath('moderation')}>{t('nav.moderation')}</NavLink>}
+          {role === 'author' && <NavLink to={buildPath('backup')}>{t('nav.backup')}</NavLink>}
+          {role === 'author' && <NavLink to={buildPath('appearance')}>{t('nav.appearance')}</NavLink>}
+          {role === 'author' && <NavButton onClick={handleSignOut}>{t('nav.signOut')}</NavButton>}
+          <button
+            onClick={() => setLanguage(otherLanguage)}
+            lang={otherLanguage}
+            aria-label={t('nav.switchLanguage', { language: LANGUAGES[otherLanguage].label })}
+            className={`${navItemClassName} border border-white border-opacity-50`}
+          >
+            {LANGUAGES[otherLanguage].label}
+          </button>
+          <button
+            onClick={() => setThemeChoice(nextThemeChoice)}
+            aria-label={t('nav.switchTheme', { theme: t(THEME_LABEL_KEYS[themeChoice]), next: t(THEME_LABEL_KEYS[nextThemeChoice]) })}
+            className={`${navItemClassName} border border-white border-opacity-50`}
+          >
+            {t(THEME_LABEL_KEYS[themeChoice])}
+          </button>
         </div>
       </div>
     </nav>
   );
 };
 
-const NavLink = ({ children, onClick }) => (
-  <button
-    onClick={onClick}
-    className="text-white text-lg font-medium px-4 py-2 rounded-full hover:bg-white hover:text-purple-800 transition duration-300 ease-in-out transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-white focus:ring-opacity-50"
-  >
+const navItemClassName = "text-white text-lg font-medium px-4 py-2 rounded-full hover:bg-white hover:text-primary-800 transition duration-300 ease-in-out transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-white focus:ring-opacity-50";
+
+const NavLink = ({ children, to }) => (
+  <Link to={to} className={navItemClassName}>
+    {children}
+  </Link>
+);
+
+const NavButton = ({ children, onClick }) => (
+  <button onClick={onClick} className={navItemClassName}>
     {children}
   </button>
 );
 
 // --- Hero Section ---
 const HeroSection = ({ userId }) => {
+  const { t } = useLanguage();
   return (
     <section className="relative h-screen bg-cover bg-center flex items-center justify-center text-white"
       style={{ backgroundImage: "url('https://placehold.co/1920x1080/6A0DAD/FFFFFF?text=Gayathri%27s+Dance+Debut')" }}>
       <div className="absolute inset-0 bg-black opacity-60"></div>
-      <div className="relative z-10 text-center p-6 rounded-lg bg-opacity-70 bg-purple-900 shadow-2xl">
+      <div className="relative z-10 text-center p-6 rounded-lg bg-opacity-70 bg-primary-900 shadow-2xl">
         <h2 className="text-5xl md:text-7xl font-extrabold mb-4 animate-fade-in-up">
-          Gayathri's Arangetram
+          {t('hero.title')}
         </h2>
         <p className="text-xl md:text-2xl font-light mb-6 animate-fade-in-up delay-200">
-          A Celebration of Grace, Dedication, and Art
+          {t('hero.tagline')}
         </p>
         <p className="text-sm text-gray-300">
-          Current User ID: <span className="font-mono break-all">{userId || 'Loading...'}</span>
+          {t('hero.userId')} <span className="font-mono break-all">{userId || t('common.loading')}</span>
         </p>
       </div>
     </section>
   );
 };
 
-// --- Photo Gallery Component ---
-const PhotoGallery = () => {
-  const photos = [
-    'https://lh3.googleusercontent.com/d/1VeOz10dX-dQI02aDx13oWS1z_tvtBgbN',
-    'https://lh3.googleusercontent.com/d/1-np-AQ9X-dw36VwGoWeZujm6Oh7JvMMa',
-    'https://lh3.googleusercontent.com/d/1u621T8l5MzSqtterd-Jj64VRoSF1uzA3',
-    'https://lh3.googleusercontent.com/d/1UNDhwlyFNQnEGgJu--IwAIjwS6AWTknu',
-    'https://lh3.googleusercontent.com/d/15SK3ZQdsnS7Uh3xP5EmeC7QAU3lvN5Y6',
-    'https://lh3.googleusercontent.com/d/1Ko22kj2vGyFG754PSNlMzw7rxXI158Ix',
-    'https://lh3.googleusercontent.com/d/17BdGJYJ4tVdYE5I_EJNfXdaxzz7o06lZ',
-    'https://lh3.googleusercontent.com/d/1RXADfURqfbN0buJJiSRUJoLLcApVC2ay',
-    'https://lh3.googleusercontent.com/d/1ophdrf7A6v7itSwjtgdTLTXvt4e-s9_Z',
-    'https://lh3.googleusercontent.com/d/1N9wwWtheZPxPsh1SSNt1vrapamk-SXQd',
-    'https://lh3.googleusercontent.com/d/1mXytV4M7XPxfCh2LnTBsS9JiMX-guGLj',
-    'https://lh3.googleusercontent.com/d/17g3IvCPVpvWt14HBQCMfWvfyuBimDi4B',
-    'https://lh3.googleusercontent.com/d/10Ort1I0lsWINsZ4292RK5HiTrLpQL2-Z',
-    'https://lh3.googleusercontent.com/d/1fJTlBYJvVrIb1mQ2Cp5qHCH-Ml_MpRC8'
-  ];
+// --- Responsive Images ---
+const IMAGE_VARIANT_WIDTHS = [480, 960, 1600]; // Keep in sync with scripts/generate-image-variants.js
+const LOCAL_RASTER_IMAGE = /^\/(?!\/).*\.(jpe?g|png)$/i;
+const GOOGLE_PHOTOS_IMAGE = /^https:\/\/lh3\.googleusercontent\.com\/[^=]+$/;
+
+// Size variants (srcset) and a tiny blur-up placeholder for the image sources we know how to resize:
+// images under public/ (variants made by `npm run images`), Google-hosted photos (resized by URL),
+// and uploads, which come with one 640px thumbnail (see createThumbnail)
+const getImageVariants = (src, thumbnailSrc) => {
+  if (LOCAL_RASTER_IMAGE.test(src)) {
+    const base = `/variants${src.replace(/\.[^.]+$/, '')}`;
+    return {
+      srcSet: IMAGE_VARIANT_WIDTHS.map(width => `${base}-${width}.webp ${width}w`).join(', '),
+      placeholder: `${base}-placeholder.webp`
+    };
+  }
+  if (GOOGLE_PHOTOS_IMAGE.test(src)) {
+    return {
+      srcSet: IMAGE_VARIANT_WIDTHS.map(width => `${src}=w${width} ${width}w`).join(', '),
+      placeholder: `${src}=w24`
+    };
+  }
+  if (thumbnailSrc) {
+    return { srcSet: `${thumbnailSrc} 640w, ${src} ${IMAGE_VARIANT_WIDTHS[IMAGE_VARIANT_WIDTHS.length - 1]}w`, placeholder: thumbnailSrc };
+  }
+  return { srcSet: undefined, placeholder: null };
+};
+
+// Lazy-loaded image that picks a size variant for the screen, fades in over a blurred placeholder,
+// and falls back to a bundled image when src is missing or fails. className sizes the wrapper.
+// Give it a key when src can change, so the loading state starts over.
+const ResponsiveImage = ({ src, thumbnailSrc, alt, className = '', sizes = '100vw', eager = false }) => {
+  const [loaded, setLoaded] = useState(false);
+  const [failed, setFailed] = useState(!src);
+  const { srcSet, placeholder } = failed ? {} : getImageVariants(src, thumbnailSrc);
 
   return (
-    <section className="py-16 bg-gray-50">
-      <div className="container mx-auto px-4">
-        <h2 className="text-4xl font-bold text-center text-purple-800 mb-12">Photo Gallery</h2>
-        <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-3 gap-8">
-          {photos.map((src, index) => (
-            <div key={index} className="bg-white rounded-xl shadow-lg overflow-hidden transform transition duration-300 hover:scale-105">
-              <img
-                src={src}
-                alt={`Dance Photo ${index + 1}`}
-                className="w-full h-64 object-cover"
-                onError={(e) => { e.target.onerror = null; e.target.src = 'https://placehold.co/800x600/CCCCCC/000000?text=Image+Error'; }}
-              />
-              <div className="p-4">
-                <p className="text-gray-700 text-center font-medium">A moment of beauty and expression.</p>
-              </div>
-            </div>
-          ))}
-        </div>
-      </div>
-    </section>
+    <div className={`relative overflow-hidden bg-primary-100 ${className}`}>
+      {placeholder && !loaded && (
+        <img src={placeholder} alt="" aria-hidden="true" className="absolute inset-0 w-full h-full object-cover blur-lg scale-110" />
+      )}
+      <img
+        src={failed ? imageFallback : src}
+        srcSet={srcSet}
+        sizes={srcSet ? sizes : undefined}
+        alt={alt}
+        loading={eager ? 'eager' : 'lazy'}
+        decoding="async"
+        onLoad={() => setLoaded(true)}
+        onError={() => setFailed(true)}
+        className={`relative w-full h-full object-cover transition-opacity duration-500 ${loaded || failed ? 'opacity-100' : 'opacity-0'}`}
+      />
+    </div>
   );
 };
 
-// --- Stories Section ---
-const StoriesList = ({ setCurrentPage, setSelectedStoryId }) => {
-  const { db, isAuthReady } = useFirebase();
-  const [stories, setStories] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+// --- Image Uploads ---
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024; // Keep in sync with storage.rules
 
-  useEffect(() => {
-    if (!db || !isAuthReady) {
-      console.log("StoriesList: DB or Auth not ready. Skipping story fetch.");
-      return;
-    }
-    console.log("StoriesList: Fetching stories...");
+// Resizes an image file to fit within maxSize pixels and returns it as a JPEG blob
+const createThumbnail = (file, maxSize = 640) => new Promise((resolve, reject) => {
+  const objectUrl = URL.createObjectURL(file);
+  const img = new Image();
+  img.onload = () => {
+    const scale = Math.min(1, maxSize / Math.max(img.width, img.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.width * scale);
+    canvas.height = Math.round(img.height * scale);
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(objectUrl);
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("Could not create thumbnail."))),
+      'image/jpeg',
+      0.8
+    );
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(objectUrl);
+    reject(new Error("Could not read image file."));
+  };
+  img.src = objectUrl;
+});
 
-    // Determine appId based on environment
-    const appId = typeof __app_id !== 'undefined' ? __app_id : process.env.REACT_APP_APP_ID || 'default-app-id';
-    const storiesCollectionRef = collection(db, `artifacts/${appId}/public/data/stories`);
-    const q = query(storiesCollectionRef, orderBy('createdAt', 'desc'));
+// Returns an error message if the file can't be uploaded, otherwise null
+const validateImageFile = (file) => {
+  if (!file.type.startsWith('image/')) return `"${file.name}" is not an image.`;
+  if (file.size > MAX_UPLOAD_BYTES) return `"${file.name}" is larger than 10 MB.`;
+  return null;
+};
 
-    const unsubscribe = onSnapshot(q,
-      (snapshot) => {
-        const fetchedStories = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
-        setStories(fetchedStories);
-        setLoading(false);
-        console.log("StoriesList: Stories fetched successfully.");
-      },
-      (err) => {
-        console.error("Error fetching stories:", err);
-        setError("Failed to load stories. Please try again later.");
-        setLoading(false);
-      }
-    );
+// Uploads an image and a generated thumbnail under folder (e.g. 'photos') with the repository's images.
+// onProgress receives the percentage (0-100) of the full-size upload.
+const uploadImageWithThumbnail = async (images, folder, file, onProgress = () => {}) => {
+  const fileId = `${Date.now()}-${crypto.randomUUID()}`;
+  const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : 'jpg';
 
-    return () => unsubscribe(); // Cleanup listener
-  }, [db, isAuthReady]);
+  const thumbnailBlob = await createThumbnail(file);
+  const image = await images.upload(`${folder}/${fileId}.${extension}`, file, { contentType: file.type, onProgress });
+  const thumbnail = await images.upload(`${folder}/thumbs/${fileId}.jpg`, thumbnailBlob, { contentType: 'image/jpeg' });
 
-  if (loading) return <div className="text-center py-16 text-xl text-purple-700">Loading stories...</div>;
-  if (error) return <div className="text-center py-16 text-xl text-red-600">{error}</div>;
+  return { url: image.url, thumbnailUrl: thumbnail.url, storagePath: image.path, thumbnailPath: thumbnail.path };
+};
+
+// File picker that also accepts images dragged onto it
+const ImageDropzone = ({ onFiles, multiple = false, disabled = false }) => {
+  const [isDragging, setIsDragging] = useState(false);
+
+  const handleFiles = (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length > 0) onFiles(multiple ? files : files.slice(0, 1));
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (!disabled) handleFiles(e.dataTransfer.files);
+  };
 
   return (
-    <section className="py-16 bg-gradient-to-br from-purple-50 to-indigo-100">
-      <div className="container mx-auto px-4">
-        <h2 className="text-4xl font-bold text-center text-purple-800 mb-12">Gayathri's Dance Stories</h2>
-        {stories.length === 0 ? (
-          <p className="text-center text-gray-600 text-lg">No stories yet. Check back soon!</p>
-        ) : (
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-10">
-            {stories.map(story => (
-              <div
-                key={story.id}
-                className="bg-white rounded-xl shadow-lg overflow-hidden transform transition duration-300 hover:scale-105 cursor-pointer border border-purple-200"
-                onClick={() => {
-                  setSelectedStoryId(story.id);
-                  setCurrentPage('storyDetail');
-                }}
-              >
-                <img
-                  src={story.imageUrl || 'https://placehold.co/600x400/DDA0DD/4B0082?text=Story+Image'}
-                  alt={story.title}
-                  className="w-full h-56 object-cover"
-                  onError={(e) => { e.target.onerror = null; e.target.src = 'https://placehold.co/600x400/CCCCCC/000000?text=Image+Error'; }}
-                />
-                <div className="p-6">
-                  <h3 className="text-2xl font-semibold text-purple-700 mb-2">{story.title}</h3>
-                  <p className="text-gray-600 text-sm mb-4 line-clamp-3">{story.content}</p>
-                  <span className="text-purple-600 font-medium hover:underline">Read More &rarr;</span>
-                </div>
-              </div>
-            ))}
-          </div>
-        )}
-      </div>
-    </section>
+    <label
+      onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+      className={`flex flex-col items-center justify-center w-full p-6 border-2 border-dashed rounded-lg text-center transition duration-200 ${disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'} ${isDragging ? 'border-primary-600 bg-primary-50' : 'border-primary-300 bg-white hover:bg-primary-50'}`}
+    >
+      <span className="text-primary-700 font-medium">
+        {multiple ? 'Drag photos here or click to choose' : 'Drag an image here or click to choose'}
+      </span>
+      <span className="text-xs text-gray-500 mt-1">JPEG, PNG or WebP, up to 10 MB</span>
+      <input
+        type="file"
+        accept="image/*"
+        multiple={multiple}
+        disabled={disabled}
+        onChange={(e) => { handleFiles(e.target.files); e.target.value = ''; }}
+        className="hidden"
+      />
+    </label>
+  );
+};
+
+const UploadProgress = ({ progress, label }) => (
+  <div className="w-full">
+    <div className="flex justify-between text-sm text-gray-600 mb-1">
+      <span>{label}</span>
+      <span>{progress}%</span>
+    </div>
+    <div className="w-full bg-gray-200 rounded-full h-2">
+      <div className="bg-primary-600 h-2 rounded-full transition-all duration-200" style={{ width: `${progress}%` }}></div>
+    </div>
+  </div>
+);
+
+// --- Photo Gallery Component ---
+// Photos that were hard-coded in the gallery before it moved to Firestore. The author can import them once.
+const ORIGINAL_GALLERY_PHOTOS = [
+  'https://lh3.googleusercontent.com/d/1VeOz10dX-dQI02aDx13oWS1z_tvtBgbN',
+  'https://lh3.googleusercontent.com/d/1-np-AQ9X-dw36VwGoWeZujm6Oh7JvMMa',
+  'https://lh3.googleusercontent.com/d/1u621T8l5MzSqtterd-Jj64VRoSF1uzA3',
+  'https://lh3.googleusercontent.com/d/1UNDhwlyFNQnEGgJu--IwAIjwS6AWTknu',
+  'https://lh3.googleusercontent.com/d/15SK3ZQdsnS7Uh3xP5EmeC7QAU3lvN5Y6',
+  'https://lh3.googleusercontent.com/d/1Ko22kj2vGyFG754PSNlMzw7rxXI158Ix',
+  'https://lh3.googleusercontent.com/d/17BdGJYJ4tVdYE5I_EJNfXdaxzz7o06lZ',
+  'https://lh3.googleusercontent.com/d/1RXADfURqfbN0buJJiSRUJoLLcApVC2ay',
+  'https://lh3.googleusercontent.com/d/1ophdrf7A6v7itSwjtgdTLTXvt4e-s9_Z',
+  'https://lh3.googleusercontent.com/d/1N9wwWtheZPxPsh1SSNt1vrapamk-SXQd',
+  'https://lh3.googleusercontent.com/d/1mXytV4M7XPxfCh2LnTBsS9JiMX-guGLj',
+  'https://lh3.googleusercontent.com/d/17g3IvCPVpvWt14HBQCMfWvfyuBimDi4B',
+  'https://lh3.googleusercontent.com/d/10Ort1I0lsWINsZ4292RK5HiTrLpQL2-Z',
+  'https://lh3.googleusercontent.com/d/1fJTlBYJvVrIb1mQ2Cp5qHCH-Ml_MpRC8'
+];
+
+// Albums a photo can belong to. Stored by these names; shown translated (photos.album.* in the catalogs).
+const PHOTO_ALBUMS = ['Rehearsals', 'Costume', 'Stage'];
+const LIGHTBOX_SLIDE_MS = 4000;
+const LIGHTBOX_SWIPE_PX = 50; // Minimum horizontal touch movement that counts as a swipe
+
+// Lets the author upload new gallery photos and lists them in the gallery
+const PhotoUploadPanel = ({ hasPhotos }) => {
+  const { repository, userId } = useData();
+  const [uploading, setUploading] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [uploadLabel, setUploadLabel] = useState('');
+  const [album, setAlbum] = useState('');
+  const [credit, setCredit] = useState('');
+  const [messageBox, setMessageBox] = useState({ show: false, message: '', type: 'alert', onConfirm: null });
+
+  const handleFiles = async (files) => {
+    const problems = files.map(validateImageFile).filter(Boolean);
+    if (problems.length > 0) {
+      setMessageBox({ show: true, message: problems.join(' '), type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+      return;
+    }
+
+    setUploading(true);
+    try {
+      for (const [index, file] of files.entries()) {
+        setUploadLabel(`Uploading ${index + 1} of ${files.length}: ${file.name}`);
+        setProgress(0);
+        const uploaded = await uploadImageWithThumbnail(repository.images, 'photos', file, setProgress);
+        await repository.photos.create({
+          ...uploaded,
+          caption: '',
+          album: album || null,
+          credit: credit.trim(),
+          uploadedBy: userId
+        });
+      }
+      setMessageBox({ show: true, message: files.length === 1 ? 'Photo uploaded successfully!' : `${files.length} photos uploaded successfully!`, type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+    } catch (error) {
+      console.error("Error uploading photos:", error);
+      setMessageBox({ show: true, message: 'Failed to upload photos. Please try again.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+    } finally {
+      setUploading(false);
+      setProgress(0);
+    }
+  };
+
+  const handleImportOriginals = async () => {
+    setUploading(true);
+    try {
+      const now = Date.now();
+      // Stagger the timestamps so the gallery keeps the original order (newest first)
+      await repository.photos.createMany(ORIGINAL_GALLERY_PHOTOS.map((url, index) => ({
+        url,
+        caption: '',
+        album: null,
+        credit: '',
+        uploadedBy: userId,
+        createdAt: new Date(now - index * 1000)
+      })));
+    } catch (error) {
+      console.error("Error importing original photos:", error);
+      setMessageBox({ show: true, message: 'Failed to import photos. Please try again.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <Card padding="md" className="mb-12 space-y-4">
+      <h3 className="text-2xl font-semibold text-primary-700">Add Photos</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="uploadAlbum" className="block text-gray-700 text-sm font-bold mb-1">Album:</label>
+          <TextField
+            as="select"
+            size="sm"
+            id="uploadAlbum"
+            value={album}
+            onChange={(e) => setAlbum(e.target.value)}
+          >
+            <option value="">No album</option>
+            {PHOTO_ALBUMS.map(name => <option key={name} value={name}>{name}</option>)}
+          </TextField>
+        </div>
+        <div>
+          <label htmlFor="uploadCredit" className="block text-gray-700 text-sm font-bold mb-1">Photo Credit:</label>
+          <TextField
+            size="sm"
+            type="text"
+            id="uploadCredit"
+            value={credit}
+            onChange={(e) => setCredit(e.target.value)}
+            placeholder="e.g. Ravi Studios"
+          />
+        </div>
+      </div>
+      <p className="text-sm text-gray-500">The album and credit apply to the photos you add next. Captions can be added to each photo below.</p>
+      <ImageDropzone multiple onFiles={handleFiles} disabled={uploading} />
+      {uploading && uploadLabel && <UploadProgress progress={progress} label={uploadLabel} />}
+      {!hasPhotos && !uploading && (
+        <Button
+          onClick={handleImportOriginals}
+          variant="neutral"
+        >
+          Import the original gallery photos
+        </Button>
+      )}
+      <MessageBox
+        show={messageBox.show}
+        message={messageBox.message}
+        type={messageBox.type}
+        onConfirm={messageBox.onConfirm}
+      />
+    </Card>
+  );
+};
+
+// Full-screen photo viewer: arrow keys or swipe to move, click or the zoom button to zoom,
+// a slideshow that advances every LIGHTBOX_SLIDE_MS, and a download button
+const PhotoLightbox = ({ photos, startIndex, onClose }) => {
+  const { t } = useLanguage();
+  const [index, setIndex] = useState(startIndex);
+  const [zoomed, setZoomed] = useState(false);
+  const [playing, setPlaying] = useState(false);
+  const [touchStartX, setTouchStartX] = useState(null);
+  const photo = photos[Math.min(index, photos.length - 1)]; // The list can shrink while open, e.g. a photo is removed
+
+  const showPhoto = (newIndex) => {
+    setIndex((newIndex + photos.length) % photos.length);
+    setZoomed(false);
+  };
+  const showPrevious = () => showPhoto(index - 1);
+  const showNext = () => showPhoto(index + 1);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'ArrowLeft') {
+        setIndex(current => (current - 1 + photos.length) % photos.length);
+        setZoomed(false);
+      } else if (e.key === 'ArrowRight') {
+        setIndex(current => (current + 1) % photos.length);
+        setZoomed(false);
+      } else if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    // Keep the page behind the lightbox from scrolling
+    const previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      document.body.style.overflow = previousOverflow;
+    };
+  }, [photos.length, onClose]);
+
+  // The slideshow pauses while zoomed in
+  useEffect(() => {
+    if (!playing || zoomed) return;
+    const interval = setInterval(() => setIndex(current => (current + 1) % photos.length), LIGHTBOX_SLIDE_MS);
+    return () => clearInterval(interval);
+  }, [playing, zoomed, photos.length]);
+
+  const handleTouchEnd = (e) => {
+    if (touchStartX === null || zoomed) return;
+    const distance = e.changedTouches[0].clientX - touchStartX;
+    if (distance > LIGHTBOX_SWIPE_PX) showPrevious();
+    else if (distance < -LIGHTBOX_SWIPE_PX) showNext();
+    setTouchStartX(null);
+  };
+
+  // Cross-origin images ignore the download attribute, so fetch the file first and fall back to opening it
+  const handleDownload = async () => {
+    try {
+      const response = await fetch(photo.url);
+      if (!response.ok) throw new Error(`Download failed with status ${response.status}`);
+      const blobUrl = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = blobUrl;
+      link.download = `gayathri-arangetram-${index + 1}.jpg`;
+      link.click();
+      URL.revokeObjectURL(blobUrl);
+    } catch (error) {
+      console.error("Error downloading photo:", error);
+      window.open(photo.url, '_blank', 'noopener');
+    }
+  };
+
+  const controlClassName = "px-4 py-2 bg-white bg-opacity-10 text-white rounded-full hover:bg-opacity-25 transition duration-150 ease-in-out focus:outline-none focus:ring-2 focus:ring-white";
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black bg-opacity-95 flex flex-col" role="dialog" aria-modal="true" aria-label={t('photos.title')}>
+      <div className="flex flex-wrap items-center justify-between gap-2 p-4 text-white">
+        <span className="text-sm tabular-nums">{t('photos.counter', { current: index + 1, total: photos.length })}</span>
+        <div className="flex flex-wrap gap-2">
+          <button onClick={() => setZoomed(!zoomed)} className={controlClassName}>{t(zoomed ? 'lightbox.zoomOut' : 'lightbox.zoomIn')}</button>
+          <button onClick={() => setPlaying(!playing)} className={controlClassName}>{t(playing ? 'lightbox.pause' : 'lightbox.play')}</button>
+          <button onClick={handleDownload} className={controlClassName}>{t('lightbox.download')}</button>
+          <button onClick={onClose} className={controlClassName} aria-label={t('lightbox.close')}>&times;</button>
+        </div>
+      </div>
+      <div
+        className={`relative flex-grow flex ${zoomed ? 'overflow-auto' : 'overflow-hidden items-center justify-center'}`}
+        onTouchStart={(e) => setTouchStartX(e.touches[0].clientX)}
+        onTouchEnd={handleTouchEnd}
+      >
+        <img
+          key={photo.id}
+          src={photo.url}
+          alt={photo.caption || t('photos.alt', { number: index + 1 })}
+          onClick={() => setZoomed(!zoomed)}
+          className={zoomed ? 'max-w-none w-[200%] cursor-zoom-out' : 'max-h-full max-w-full object-contain cursor-zoom-in'}
+        />
+        {photos.length > 1 && !zoomed && (
+          <>
+            <button onClick={showPrevious} aria-label={t('lightbox.previous')} className={`${controlClassName} absolute left-4 top-1/2 -translate-y-1/2 text-2xl`}>&larr;</button>
+            <button onClick={showNext} aria-label={t('lightbox.next')} className={`${controlClassName} absolute right-4 top-1/2 -translate-y-1/2 text-2xl`}>&rarr;</button>
+          </>
+        )}
+      </div>
+      <div className="p-4 text-center text-white">
+        <p className="text-lg">{photo.caption || t('photos.caption')}</p>
+        <p className="text-sm text-gray-400">
+          {[photo.album && t(`photos.album.${photo.album}`), photo.credit && t('photos.credit', { credit: photo.credit })].filter(Boolean).join(' · ')}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+// Author form for a photo's caption, album and credit
+const PhotoDetailsForm = ({ photo, onSave, onCancel }) => {
+  const [caption, setCaption] = useState(photo.caption || '');
+  const [album, setAlbum] = useState(photo.album || '');
+  const [credit, setCredit] = useState(photo.credit || '');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await onSave({ caption: caption.trim(), album: album || null, credit: credit.trim() });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 text-left">
+      <TextField size="sm" type="text" value={caption} onChange={(e) => setCaption(e.target.value)} placeholder="Caption" aria-label="Caption" />
+      <TextField as="select" size="sm" value={album} onChange={(e) => setAlbum(e.target.value)} aria-label="Album">
+        <option value="">No album</option>
+        {PHOTO_ALBUMS.map(name => <option key={name} value={name}>{name}</option>)}
+      </TextField>
+      <TextField size="sm" type="text" value={credit} onChange={(e) => setCredit(e.target.value)} placeholder="Photo credit" aria-label="Photo credit" />
+      <div className="flex space-x-2">
+        <Button
+          type="submit"
+          disabled={saving}
+          size="sm"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </Button>
+        <Button
+          type="button"
+          onClick={onCancel}
+          variant="neutral" size="sm"
+        >
+          Cancel
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+const PhotoGallery = () => {
+  const { repository, role, isAuthReady } = useData();
+  const { t } = useLanguage();
+  const [photos, setPhotos] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [album, setAlbum] = useState(null); // null shows every album
+  const [lightboxIndex, setLightboxIndex] = useState(null);
+  const [editingPhotoId, setEditingPhotoId] = useState(null);
+  const closeLightbox = useCallback(() => setLightboxIndex(null), []);
+  const [messageBox, setMessageBox] = useState({ show: false, message: '', type: 'alert', onConfirm: null, onCancel: null });
+
+  useEffect(() => {
+    if (!repository || !isAuthReady) {
+      console.log("PhotoGallery: Data or Auth not ready. Skipping photo fetch.");
+      return;
+    }
+
+    const unsubscribe = repository.photos.subscribeAll(
+      (fetchedPhotos) => {
+        setPhotos(fetchedPhotos);
+        setLoading(false);
+      },
+      (err) => {
+        console.error("Error fetching photos:", err);
+        setError('photos.loadError');
+        setLoading(false);
+      }
+    );
+
+    return () => unsubscribe(); // Cleanup listener
+  }, [repository, isAuthReady]);
+
+  const handleRemovePhoto = (photo) => {
+    setMessageBox({
+      show: true,
+      message: 'Remove this photo from the gallery?',
+      type: 'confirm',
+      onCancel: () => setMessageBox({ show: false }),
+      onConfirm: async () => {
+        setMessageBox({ show: false });
+        try {
+          await repository.photos.remove(photo.id);
+          // Imported photos were never uploaded and have no paths to clean up
+          const paths = [photo.storagePath, photo.thumbnailPath].filter(Boolean);
+          await Promise.all(paths.map(path => repository.images.remove(path)));
+        } catch (error) {
+          console.error("Error removing photo:", error);
+          setMessageBox({ show: true, message: 'Failed to remove photo. Please try again.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+        }
+      }
+    });
+  };
+
+  const handleSavePhotoDetails = async (photo, details) => {
+    try {
+      await repository.photos.update(photo.id, details);
+      setEditingPhotoId(null);
+    } catch (error) {
+      console.error("Error saving photo details:", error);
+      setMessageBox({ show: true, message: 'Failed to save photo details. Please try again.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+    }
+  };
+
+  const visiblePhotos = album ? photos.filter(photo => photo.album === album) : photos;
+  const albumTabClassName = (active) => `px-4 py-2 rounded-full font-medium transition duration-150 ease-in-out ${active ? 'bg-primary-600 text-white' : 'bg-white text-primary-700 border border-primary-300 hover:bg-primary-50'}`;
+
+  if (loading) return <div className="text-center py-16 text-xl text-primary-700">{t('photos.loading')}</div>;
+  if (error) return <div className="text-center py-16 text-xl text-red-600">{t(error)}</div>;
+
+  return (
+    <section className="py-16 bg-gray-50">
+      <div className="container mx-auto px-4">
+        <h2 className="text-4xl font-bold text-center text-primary-800 mb-12">{t('photos.title')}</h2>
+        {role === 'author' && <PhotoUploadPanel hasPhotos={photos.length > 0} />}
+        <div className="flex flex-wrap justify-center gap-2 mb-8" role="tablist">
+          <button role="tab" aria-selected={album === null} onClick={() => setAlbum(null)} className={albumTabClassName(album === null)}>
+            {t('photos.all')}
+          </button>
+          {PHOTO_ALBUMS.map(name => (
+            <button key={name} role="tab" aria-selected={album === name} onClick={() => setAlbum(name)} className={albumTabClassName(album === name)}>
+              {t(`photos.album.${name}`)}
+            </button>
+          ))}
+        </div>
+        {visiblePhotos.length === 0 ? (
+          <p className="text-center text-gray-600 text-lg">{t(photos.length === 0 ? 'photos.empty' : 'photos.emptyAlbum')}</p>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-3 gap-8">
+            {visiblePhotos.map((photo, index) => (
+              <div key={photo.id} className="bg-white rounded-xl shadow-lg overflow-hidden transform transition duration-300 hover:scale-105">
+                <button onClick={() => setLightboxIndex(index)} className="block w-full cursor-zoom-in" aria-label={t('lightbox.open', { number: index + 1 })}>
+                  <ResponsiveImage
+                    src={photo.url}
+                    thumbnailSrc={photo.thumbnailUrl}
+                    alt={photo.caption || t('photos.alt', { number: index + 1 })}
+                    className="w-full h-64"
+                    sizes="(min-width: 768px) 33vw, (min-width: 640px) 50vw, 100vw"
+                  />
+                </button>
+                <div className="p-4">
+                  {editingPhotoId === photo.id ? (
+                    <PhotoDetailsForm photo={photo} onSave={(details) => handleSavePhotoDetails(photo, details)} onCancel={() => setEditingPhotoId(null)} />
+                  ) : (
+                    <>
+                      <p className="text-gray-700 text-center font-medium">{photo.caption || t('photos.caption')}</p>
+                      {(photo.album || photo.credit) && (
+                        <p className="text-sm text-gray-500 text-center mt-1">
+                          {[photo.album && t(`photos.album.${photo.album}`), photo.credit && t('photos.credit', { credit: photo.credit })].filter(Boolean).join(' · ')}
+                        </p>
+                      )}
+                    </>
+                  )}
+                  {role === 'author' && editingPhotoId !== photo.id && (
+                    <div className="flex justify-center gap-4 mt-2">
+                      <button onClick={() => setEditingPhotoId(photo.id)} className="text-sm text-primary-600 hover:underline">
+                        Edit Details
+                      </button>
+                      <button onClick={() => handleRemovePhoto(photo)} className="text-sm text-red-600 hover:underline">
+                        Remove
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+      {lightboxIndex !== null && visiblePhotos[lightboxIndex] && (
+        <PhotoLightbox photos={visiblePhotos} startIndex={lightboxIndex} onClose={closeLightbox} />
+      )}
+      <MessageBox
+        show={messageBox.show}
+        message={messageBox.message}
+        type={messageBox.type}
+        onConfirm={messageBox.onConfirm}
+        onCancel={messageBox.onCancel}
+      />
+    </section>
+  );
+};
+
+// --- Markdown ---
+// Story content is markdown. It is rendered to HTML by marked and sanitized by DOMPurify before display.
+const STORY_EXCERPT_LENGTH = 160;
+
+// Lazy-load images inside stories, and open links in a new tab without giving it access to this page
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'IMG') node.setAttribute('loading', 'lazy');
+  if (node.tagName === 'A') {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+// DOMPurify's default URL check, plus blob: URLs, which is how the local backend serves uploaded photos
+const MARKDOWN_ALLOWED_URI = /^(?:(?:(?:f|ht)tps?|mailto|tel|callto|sms|cid|xmpp|matrix|blob):|[^a-z]|[a-z+.-]+(?:[^a-z+.:-]|$))/i;
+
+const renderMarkdown = (markdown) =>
+  DOMPurify.sanitize(marked.parse(markdown || '', { breaks: true }), { ALLOWED_URI_REGEXP: MARKDOWN_ALLOWED_URI });
+
+// Plain text of a markdown story, e.g. for excerpts and search
+const markdownToText = (markdown) => {
+  const container = document.createElement('div');
+  container.innerHTML = renderMarkdown(markdown);
+  return container.textContent.replace(/\s+/g, ' ').trim();
+};
+
+// Plain text of a markdown story, cut at a word boundary, for story cards
+const markdownExcerpt = (markdown, maxLength = STORY_EXCERPT_LENGTH) => {
+  const text = markdownToText(markdown);
+  if (text.length <= maxLength) return text;
+  return `${text.slice(0, text.lastIndexOf(' ', maxLength) > 0 ? text.lastIndexOf(' ', maxLength) : maxLength)}…`;
+};
+
+// Typography for rendered markdown (headings, italics, block quotes for lyrics, inline photos)
+const markdownClassName = "text-gray-700 leading-relaxed space-y-4 [&_h1]:text-3xl [&_h1]:font-bold [&_h1]:text-primary-800 [&_h2]:text-2xl [&_h2]:font-bold [&_h2]:text-primary-800 [&_h3]:text-xl [&_h3]:font-semibold [&_h3]:text-primary-700 [&_blockquote]:border-l-4 [&_blockquote]:border-primary-300 [&_blockquote]:pl-4 [&_blockquote]:italic [&_blockquote]:text-gray-600 [&_img]:rounded-lg [&_img]:mx-auto [&_img]:max-h-[32rem] [&_a]:text-primary-600 [&_a]:underline [&_ul]:list-disc [&_ul]:pl-6 [&_ol]:list-decimal [&_ol]:pl-6";
+
+const MarkdownContent = ({ markdown, lang }) => (
+  <div lang={lang} className={markdownClassName} dangerouslySetInnerHTML={{ __html: renderMarkdown(markdown) }} />
+);
+
+// Toolbar actions: text wrapped around the selection, or a prefix for each selected line
+const MARKDOWN_TOOLS = [
+  { label: 'Heading', prefix: '## ' },
+  { label: 'Bold', wrap: '**' },
+  { label: 'Italic', wrap: '_' },
+  { label: 'Quote', prefix: '> ' },
+  { label: 'List', prefix: '- ' }
+];
+
+// Markdown textarea with a formatting toolbar, photo insertion and a side-by-side live preview
+const MarkdownEditor = ({ id, value, onChange, lang, required = false }) => {
+  const { repository } = useData();
+  const textareaRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const [uploading, setUploading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(0);
+  const [uploadError, setUploadError] = useState(null);
+
+  // Replaces the current selection with replace(selectedText) and selects the result
+  const editSelection = (replace) => {
+    const textarea = textareaRef.current;
+    const { selectionStart, selectionEnd } = textarea;
+    const replacement = replace(value.slice(selectionStart, selectionEnd));
+    onChange(value.slice(0, selectionStart) + replacement + value.slice(selectionEnd));
+    requestAnimationFrame(() => {
+      textarea.focus();
+      textarea.setSelectionRange(selectionStart, selectionStart + replacement.length);
+    });
+  };
+
+  const applyTool = ({ wrap, prefix }) => {
+    if (wrap) {
+      editSelection(selected => `${wrap}${selected || 'text'}${wrap}`);
+    } else {
+      editSelection(selected => (selected || 'text').split('\n').map(line => `${prefix}${line}`).join('\n'));
+    }
+  };
+
+  const handlePhotoSelected = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow choosing the same file again
+    if (!file) return;
+    const problem = validateImageFile(file);
+    if (problem) {
+      setUploadError(problem);
+      return;
+    }
+
+    setUploading(true);
+    setUploadProgress(0);
+    setUploadError(null);
+    try {
+      const uploaded = await uploadImageWithThumbnail(repository.images, 'stories', file, setUploadProgress);
+      const altText = file.name.replace(/\.[^.]+$/, '');
+      editSelection(() => `\n![${altText}](${uploaded.url})\n`);
+    } catch (error) {
+      console.error("Error uploading story photo:", error);
+      setUploadError('Failed to upload photo. Please try again.');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const toolButtonClassName = "px-3 py-1 bg-white text-gray-700 border border-gray-300 rounded-md text-sm hover:bg-primary-50 transition duration-150 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed";
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap gap-2">
+        {MARKDOWN_TOOLS.map(tool => (
+          <button key={tool.label} type="button" onClick={() => applyTool(tool)} className={toolButtonClassName}>
+            {tool.label}
+          </button>
+        ))}
+        <button type="button" onClick={() => fileInputRef.current.click()} disabled={uploading} className={toolButtonClassName}>
+          Insert Photo
+        </button>
+        <input ref={fileInputRef} type="file" accept="image/*" onChange={handlePhotoSelected} className="hidden" />
+      </div>
+      {uploading && <UploadProgress progress={uploadProgress} label="Uploading photo..." />}
+      {uploadError && <p className="text-sm text-red-600">{uploadError}</p>}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <TextField
+          as="textarea"
+          className="font-mono text-sm"
+          ref={textareaRef}
+          id={id}
+          lang={lang}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          rows="14"
+          required={required}
+        />
+        <div className="border rounded-md p-4 bg-gray-50 overflow-auto max-h-[28rem]" aria-label="Preview">
+          {value.trim()
+            ? <MarkdownContent markdown={value} lang={lang} />
+            : <p className="text-gray-400 italic">The preview appears here as you write.</p>}
+        </div>
+      </div>
+      <p className="text-xs text-gray-500">
+        Markdown: ## heading, _italics_, **bold**, &gt; quote, - list. Photos are inserted at the cursor.
+      </p>
+    </div>
+  );
+};
+
+// --- Stories Section ---
+const STORIES_PAGE_SIZE = 9;
+
+// Stories start as drafts (author only). Published and scheduled stories (PUBLIC_STORY_STATUSES) are public
+// once their publishAt has passed. Stories saved before drafts existed have neither field and open as published;
+// the story list only shows them once the 001-story-status migration has set both (see shared.js).
+const isStoryPublished = (story, now = Date.now()) =>
+  PUBLIC_STORY_STATUSES.includes(story.status || 'published')
+  && (!story.publishAt || story.publishAt.toMillis() <= now); // publishAt is null until a pending write reaches the server
+
+// A story's title and content in the reader's language, falling back to the original.
+// Translations are saved by AddStoryForm as translations: { ta: { title, content } }.
+const localizeStory = (story, language) => {
+  const translation = story.translations?.[language];
+  return {
+    title: translation?.title || story.title,
+    content: translation?.content || story.content
+  };
+};
+
+// --- Story Search ---
+// Tags the author can give a story. Their labels are 'tags.<tag>' in the locale catalogs.
+const STORY_TAGS = ['practice', 'costume', 'guru', 'music', 'performance'];
+
+// Lowercases and strips Latin accents, so "nṛtta" matches "nrtta". Tamil vowel signs are kept.
+const normalizeSearchText = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+const searchWords = (text) => normalizeSearchText(text).match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+
+// Builds an in-browser index from each word to the ids of the stories containing it. It covers titles,
+// content and translations, and tag labels in every interface language.
+const buildStoryIndex = (stories) => {
+  const index = new Map();
+  stories.forEach(story => {
+    const text = [
+      story.title,
+      markdownToText(story.content),
+      ...Object.values(story.translations || {}).flatMap(translation => [translation.title, markdownToText(translation.content)]),
+      ...(story.tags || []).flatMap(tag => Object.values(LANGUAGES).map(({ catalog }) => catalog[`tags.${tag}`] || tag))
+    ].join(' ');
+    new Set(searchWords(text)).forEach(word => {
+      if (!index.has(word)) index.set(word, new Set());
+      index.get(word).add(story.id);
+    });
+  });
+  return index;
+};
+
+// Ids of the stories containing every search word, each matching the start of a word ("varn" finds "varnam")
+const searchStoryIndex = (index, words) =>
+  words.reduce((matches, searchWord) => {
+    const wordMatches = new Set();
+    index.forEach((ids, word) => {
+      if (word.startsWith(searchWord)) ids.forEach(id => wordMatches.add(id));
+    });
+    return matches ? new Set([...matches].filter(id => wordMatches.has(id))) : wordMatches;
+  }, null);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Where the search words occur in text, as [start, end) offsets into text. The words are matched against
+// normalizeSearchText(text) like the index is, so "nrtta" finds "nṛtta", and each match is mapped back to
+// the characters of text it came from.
+const searchMatchRanges = (text, words) => {
+  if (words.length === 0) return [];
+  let normalized = '';
+  const offsets = []; // offsets[i]: where in text normalized[i] came from
+  let position = 0;
+  for (const char of text) {
+    const folded = normalizeSearchText(char);
+    normalized += folded;
+    offsets.push(...Array(folded.length).fill(position));
+    position += char.length;
+  }
+  offsets.push(text.length);
+  // Longest words first, so a word isn't cut short by another that is its prefix
+  const pattern = new RegExp([...words].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|'), 'gu');
+  return [...normalized.matchAll(pattern)].map(match => [offsets[match.index], offsets[match.index + match[0].length]]);
+};
+
+// Plain-text excerpt of a story around its first search match, or its opening if the match is near the start
+const searchExcerpt = (markdown, words, maxLength = STORY_EXCERPT_LENGTH) => {
+  const text = markdownToText(markdown);
+  const matchAt = searchMatchRanges(text, words)[0]?.[0];
+  if (matchAt === undefined || matchAt < maxLength / 2) return markdownExcerpt(markdown, maxLength);
+  const start = text.lastIndexOf(' ', matchAt - maxLength / 4) + 1;
+  return `…${text.slice(start, start + maxLength)}${start + maxLength < text.length ? '…' : ''}`;
+};
+
+// Text with every occurrence of the search words highlighted
+const HighlightedText = ({ text, words }) => {
+  const parts = [];
+  let position = 0;
+  searchMatchRanges(text, words).forEach(([start, end]) => {
+    parts.push(text.slice(position, start), <mark key={start} className="bg-yellow-200 rounded-sm">{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  return parts.length > 0 ? [...parts, text.slice(position)] : text;
+};
+
+const tagChipClassName = (active) =>
+  `px-4 py-1 rounded-full text-sm font-medium border transition duration-200 ease-in-out ${
+    active ? 'bg-primary-600 text-white border-primary-600' : 'bg-white text-primary-700 border-primary-300 hover:bg-primary-50'
+  }`;
+
+// One story in the list, with the search words highlighted
+const StoryCard = ({ story, words }) => {
+  const { t } = useLanguage();
+
+  return (
+    <Link
+      to={buildPath('storyDetail', { storyId: story.id })}
+      className="block bg-white rounded-xl shadow-lg overflow-hidden transform transition duration-300 hover:scale-105 cursor-pointer border border-primary-200"
+    >
+      <ResponsiveImage
+        src={story.imageUrl}
+        thumbnailSrc={story.thumbnailUrl}
+        alt={story.title}
+        className="w-full h-56"
+        sizes="(min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw"
+      />
+      <div className="p-6">
+        <h3 className="text-2xl font-semibold text-primary-700 mb-2"><HighlightedText text={story.title} words={words} /></h3>
+        <p className="text-gray-600 text-sm mb-4 line-clamp-3">
+          <HighlightedText text={words.length > 0 ? searchExcerpt(story.content, words) : markdownExcerpt(story.content)} words={words} />
+        </p>
+        {story.tags?.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-4">
+            {story.tags.map(tag => (
+              <span key={tag} className="px-3 py-0.5 bg-primary-100 text-primary-700 rounded-full text-xs font-medium">{t(`tags.${tag}`)}</span>
+            ))}
+          </div>
+        )}
+        <span className="text-primary-600 font-medium hover:underline">{t('stories.readMore')}</span>
+      </div>
+    </Link>
+  );
+};
+
+// Published stories, newest first. Searching or picking a tag (kept in the URL as ?q= and ?tag=)
+// loads every published story once and filters them in the browser.
+const StoriesList = () => {
+  const { repository, isAuthReady } = useData();
+  const { searchParams, setQueryParams } = useRouter();
+  const { language, t } = useLanguage();
+  const searchText = searchParams.get('q') || '';
+  const activeTag = searchParams.get('tag') || '';
+  const words = useMemo(() => [...new Set(searchWords(searchText))], [searchText]);
+  const isFiltering = words.length > 0 || !!activeTag;
+  const [allStories, setAllStories] = useState(null);
+  const [searchError, setSearchError] = useState(null);
+
+  const storiesList = useMemo(() => {
+    if (!repository || !isAuthReady) {
+      console.log("StoriesList: Data or Auth not ready. Skipping story fetch.");
+      return null;
+    }
+    return repository.stories.publishedList();
+  }, [repository, isAuthReady]);
+
+  const { items: stories, loading, loadingMore, hasMore, loadMore, error } = usePagedList(storiesList, { pageSize: STORIES_PAGE_SIZE });
+
+  useEffect(() => {
+    if (!repository || !isAuthReady || !isFiltering || allStories) return;
+
+    const fetchAllStories = async () => {
+      try {
+        setAllStories(await repository.stories.listPublished());
+      } catch (err) {
+        console.error("Error fetching stories for search:", err);
+        setSearchError('stories.loadError');
+      }
+    };
+    fetchAllStories();
+  }, [repository, isAuthReady, isFiltering, allStories]);
+
+  const storyIndex = useMemo(() => (allStories ? buildStoryIndex(allStories) : null), [allStories]);
+
+  const matchingStories = useMemo(() => {
+    if (!isFiltering || !storyIndex) return [];
+    const matchingIds = words.length > 0 ? searchStoryIndex(storyIndex, words) : null;
+    return allStories.filter(story =>
+      (!activeTag || story.tags?.includes(activeTag)) && (!matchingIds || matchingIds.has(story.id)));
+  }, [allStories, storyIndex, isFiltering, words, activeTag]);
+
+  const shownStories = (isFiltering ? matchingStories : stories).map(story => ({ ...story, ...localizeStory(story, language) }));
+
+  if (loading) return <div className="text-center py-16 text-xl text-primary-700">{t('stories.loading')}</div>;
+  if (error && stories.length === 0) return <div className="text-center py-16 text-xl text-red-600">{t('stories.loadError')}</div>;
+
+  const renderResults = () => {
+    if (isFiltering) {
+      if (searchError) return <p className="text-center text-red-600 text-lg">{t(searchError)}</p>;
+      if (!allStories) return <p className="text-center text-primary-700 text-lg">{t('stories.searching')}</p>;
+      if (shownStories.length === 0) return <p className="text-center text-gray-600 text-lg">{t('stories.noMatches')}</p>;
+    } else if (shownStories.length === 0) {
+      return <p className="text-center text-gray-600 text-lg">{t('stories.empty')}</p>;
+    }
+
+    return (
+      <>
+        {isFiltering && <p className="text-center text-gray-600 mb-6" aria-live="polite">{t('stories.resultCount', { count: shownStories.length })}</p>}
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-10">
+          {shownStories.map(story => <StoryCard key={story.id} story={story} words={words} />)}
+        </div>
+        {!isFiltering && hasMore && (
+          <div className="mt-12">
+            <LoadMoreButton onClick={loadMore} loading={loadingMore}>{t('stories.loadMore')}</LoadMoreButton>
+          </div>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <section className="py-16 bg-gradient-to-br from-primary-50 to-secondary-100">
+      <div className="container mx-auto px-4">
+        <h2 className="text-4xl font-bold text-center text-primary-800 mb-12">{t('stories.title')}</h2>
+        <div className="max-w-3xl mx-auto mb-10 space-y-4">
+          <TextField
+            type="search"
+            size="lg"
+            shape="pill"
+            value={searchText}
+            onChange={(e) => setQueryParams({ q: e.target.value, tag: activeTag })}
+            aria-label={t('stories.searchLabel')}
+            placeholder={t('stories.searchPlaceholder')}
+          />
+          <div className="flex flex-wrap justify-center gap-2">
+            <button onClick={() => setQueryParams({ q: searchText, tag: '' })} aria-pressed={!activeTag} className={tagChipClassName(!activeTag)}>
+              {t('stories.allTags')}
+            </button>
+            {STORY_TAGS.map(tag => (
+              <button
+                key={tag}
+                onClick={() => setQueryParams({ q: searchText, tag: activeTag === tag ? '' : tag })}
+                aria-pressed={activeTag === tag}
+                className={tagChipClassName(activeTag === tag)}
+              >
+                {t(`tags.${tag}`)}
+              </button>
+            ))}
+          </div>
+        </div>
+        {renderResults()}
+      </div>
+    </section>
+  );
+};
+
+// --- Story Revisions ---
+// Lists earlier versions of a story and lets the author view or restore them
+const StoryRevisions = ({ storyId }) => {
+  const { repository, userId, isAuthReady } = useData();
+  const { formatDateTime } = useLanguage();
+  const [revisions, setRevisions] = useState([]);
+  const [expandedId, setExpandedId] = useState(null);
+  const [revisionsError, setRevisionsError] = useState(null);
+  const [messageBox, setMessageBox] = useState({ show: false, message: '', type: 'alert', onConfirm: null, onCancel: null });
+
+  useEffect(() => {
+    if (!repository || !isAuthReady || !storyId) return;
+
+    const unsubscribe = repository.stories.subscribeRevisions(storyId,
+      (fetchedRevisions) => {
+        setRevisions(fetchedRevisions);
+      },
+      (err) => {
+        console.error("Error fetching revisions:", err);
+        setRevisionsError("Failed to load revision history.");
+      }
+    );
+
+    return () => unsubscribe(); // Cleanup listener
+  }, [repository, storyId, isAuthReady]);
+
+  const handleRestore = (revision) => {
+    setMessageBox({
+      show: true,
+      message: `Restore the version saved on ${formatDateTime(revision.savedAt)}? The current version will be kept in the history.`,
+      type: 'confirm',
+      onCancel: () => setMessageBox({ show: false }),
+      onConfirm: async () => {
+        try {
+          await repository.stories.updateWithRevision(storyId, pickRevisionFields(revision), userId);
+          setMessageBox({ show: true, message: 'Revision restored successfully!', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+        } catch (error) {
+          console.error("Error restoring revision:", error);
+          setMessageBox({ show: true, message: 'Failed to restore revision. Please try again.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+        }
+      }
+    });
+  };
+
+  return (
+    <Card className="mt-12">
+      <h3 className="text-3xl font-bold text-primary-800 mb-6">Revision History</h3>
+      {revisionsError && <p className="text-red-600 mb-4">{revisionsError}</p>}
+      {revisions.length === 0 ? (
+        <p className="text-gray-600">No earlier versions yet. Each edit keeps the previous version here.</p>
+      ) : (
+        <div className="space-y-4">
+          {revisions.map(revision => (
+            <div key={revision.id} className="bg-gray-50 p-4 rounded-lg border border-gray-200 shadow-sm">
+              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                <div>
+                  <p className="font-semibold text-gray-800">{revision.title}</p>
+                  <p className="text-xs text-gray-500">
+                    Saved {formatDateTime(revision.savedAt)}
+                  </p>
+                </div>
+                <div className="flex space-x-2">
+                  <Button
+                    onClick={() => setExpandedId(expandedId === revision.id ? null : revision.id)}
+                    variant="neutral" size="sm"
+                  >
+                    {expandedId === revision.id ? 'Hide' : 'View'}
+                  </Button>
+                  <Button
+                    onClick={() => handleRestore(revision)}
+                    size="sm"
+                  >
+                    Restore
+                  </Button>
+                </div>
+              </div>
+              {expandedId === revision.id && (
+                <p className="text-gray-700 mt-4 whitespace-pre-wrap">{revision.content}</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+      <MessageBox
+        show={messageBox.show}
+        message={messageBox.message}
+        type={messageBox.type}
+        onConfirm={messageBox.onConfirm}
+        onCancel={messageBox.onCancel}
+      />
+    </Card>
+  );
+};
+
+// --- Reactions ---
+// Emoji guests can react with, on stories and comments. Keep in sync with firestore.rules.
+const REACTIONS = ['❤️', '👏', '🙏', '🌸', '🎉'];
+
+// Emoji buttons with counts for a story or comment (targetCollection 'stories' or 'comments'), highlighting
+// the current user's reaction. Picking the same emoji again clears it; each user holds at most one per target.
+const ReactionBar = ({ targetCollection, targetId, counts = {} }) => {
+  const { repository, userId, isAuthReady } = useData();
+  const [myReaction, setMyReaction] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!repository || !isAuthReady || !userId || !targetId) return;
+
+    const unsubscribe = repository.reactions.subscribeMine({ collection: targetCollection, id: targetId }, userId,
+      (emoji) => setMyReaction(emoji),
+      (err) => console.error("Error fetching reaction:", err)
+    );
+
+    return () => unsubscribe(); // Cleanup listener
+  }, [repository, isAuthReady, userId, targetCollection, targetId]);
+
+  const handleReact = async (emoji) => {
+    setSaving(true);
+    try {
+      await repository.reactions.toggle({ collection: targetCollection, id: targetId }, userId, emoji);
+    } catch (error) {
+      console.error("Error saving reaction:", error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap gap-2">
+      {REACTIONS.map(emoji => (
+        <button
+          key={emoji}
+          onClick={() => handleReact(emoji)}
+          disabled={saving || !userId}
+          aria-pressed={myReaction === emoji}
+          className={`px-2 py-0.5 rounded-full border text-sm transition duration-150 ease-in-out disabled:cursor-not-allowed ${myReaction === emoji ? 'bg-primary-100 border-primary-400' : 'bg-white border-gray-200 hover:bg-primary-50'}`}
+        >
+          {emoji}{counts[emoji] > 0 && <span className="ml-1 text-gray-600">{counts[emoji]}</span>}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+// --- Spam Protection ---
+// Limits on guests' comments and guestbook entries, checked again by isValidGuestPost in firestore.rules
+const POST_NAME_MAX_LENGTH = 100;
+const POST_TEXT_MAX_LENGTH = 2000;
+const POST_MAX_LINKS = 2;
+const POST_MIN_INTERVAL_MS = 30 * 1000; // A guest may post at most every 30 seconds
+// A form sent sooner than this after it was opened was most likely filled in by a bot
+const POST_MIN_FILL_TIME_MS = 3 * 1000;
+
+// Messages that only differ in case or surrounding spaces count as the same, like in firestore.rules
+const normalizeMessage = (text) => text.trim().toLowerCase();
+
+// Returns a translated error message for a comment or guestbook entry that can't be posted, or null
+const validatePost = ({ name, text }, t) => {
+  if (name.length > POST_NAME_MAX_LENGTH) return t('posts.errorNameLength', { max: POST_NAME_MAX_LENGTH });
+  if (text.length > POST_TEXT_MAX_LENGTH) return t('posts.errorTextLength', { max: POST_TEXT_MAX_LENGTH });
+  if ((text.match(/https?:\/\//gi) || []).length > POST_MAX_LINKS) return t('posts.errorLinks', { max: POST_MAX_LINKS });
+  return null;
+};
+
+// Spam checks for one guest form. Spread honeypotProps on a <HoneypotField>, call check() before sending
+// and reset() once the post is sent. The author's posts skip the checks.
+const usePostGuard = () => {
+  const { repository, userId, role } = useData();
+  const { t } = useLanguage();
+  const [honeypot, setHoneypot] = useState('');
+  const openedAt = useRef(Date.now());
+
+  // Resolves to 'bot' for posts that should be dropped while pretending they were sent, a translated
+  // error message to show the guest, or null if the post may be sent
+  const check = async ({ name, text }) => {
+    if (role === 'author') return null;
+    if (honeypot) return 'bot';
+    if (Date.now() - openedAt.current < POST_MIN_FILL_TIME_MS) return t('posts.tooFast');
+    const validationError = validatePost({ name, text }, t);
+    if (validationError) return validationError;
+
+    let lastPost = null;
+    try {
+      lastPost = await repository.postLimits.get(userId);
+    } catch (error) {
+      // Offline with nothing cached: the rules still enforce the limits once the post syncs
+      console.log("Spam protection: Couldn't read the last post time.", error);
+    }
+    const lastPostAt = lastPost?.lastPostAt?.toMillis();
+    if (lastPostAt && Date.now() - lastPostAt < POST_MIN_INTERVAL_MS) return t('posts.tooSoon');
+    if (lastPost && normalizeMessage(lastPost.lastMessage) === normalizeMessage(text)) return t('posts.duplicate');
+    return null;
+  };
+
+  const reset = () => {
+    setHoneypot('');
+    openedAt.current = Date.now();
+  };
+
+  return { honeypotProps: { value: honeypot, onChange: setHoneypot }, check, reset };
+};
+
+// A field people never see or reach with the keyboard, but bots that fill in every field do
+const HoneypotField = ({ value, onChange }) => {
+  const { t } = useLanguage();
+  return (
+    <div aria-hidden="true" className="absolute -left-[9999px] w-px h-px overflow-hidden">
+      <label>
+        {t('posts.honeypot')}
+        <input type="text" name="website" value={value} onChange={(e) => onChange(e.target.value)} tabIndex={-1} autoComplete="off" />
+      </label>
+    </div>
+  );
+};
+
+// --- Comment Threads ---
+// Inline form for replying to a comment
+const ReplyForm = ({ onSubmit, onCancel }) => {
+  const { t } = useLanguage();
+  const [name, setName] = useState('');
+  const [text, setText] = useState('');
+  const [posting, setPosting] = useState(false);
+  const [error, setError] = useState(null);
+  const postGuard = usePostGuard();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || !text.trim()) return;
+
+    setPosting(true);
+    try {
+      const postError = await postGuard.check({ name, text });
+      if (postError === 'bot') {
+        onCancel();
+        return;
+      }
+      setError(postError);
+      if (postError) return;
+      await onSubmit(name, text);
+      setText('');
+      postGuard.reset();
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="relative mt-4 space-y-3">
+      <HoneypotField {...postGuard.honeypotProps} />
+      <TextField
+        size="sm"
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        maxLength={POST_NAME_MAX_LENGTH}
+        placeholder={t('comments.replyName')}
+        aria-label={t('comments.replyName')}
+        required
+      />
+      <TextField
+        as="textarea"
+        size="sm"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        maxLength={POST_TEXT_MAX_LENGTH}
+        rows="3"
+        placeholder={t('comments.replyText')}
+        aria-label={t('comments.replyText')}
+        required
+      />
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="flex space-x-2">
+        <Button
+          type="submit"
+          disabled={posting}
+          size="sm"
+        >
+          {posting ? t('comments.posting') : t('comments.postReply')}
+        </Button>
+        <Button
+          type="button"
+          onClick={onCancel}
+          variant="neutral" size="sm"
+        >
+          {t('common.cancel')}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+// A comment with its reactions and, below it, its replies (recursively)
+const CommentThread = ({ comment, repliesByParent, storyAuthorId, onReply }) => {
+  const { t, formatDateTime } = useLanguage();
+  const [showReplies, setShowReplies] = useState(true);
+  const [replying, setReplying] = useState(false);
+  const replies = repliesByParent[comment.id] || [];
+
+  return (
+    <div>
+      <div className="bg-gray-50 p-4 rounded-lg border border-gray-200 shadow-sm">
+        <p className="font-semibold text-gray-800">
+          {comment.commenterName}
+          {comment.userId === storyAuthorId && (
+            <span className="ml-2 text-xs font-medium text-white bg-primary-600 px-2 py-0.5 rounded-full">{t('comments.authorBadge')}</span>
+          )}
+          {comment.hasPendingWrites && <PendingSyncBadge />}
+        </p>
+        <p className="text-gray-700 mt-1">{comment.commentText}</p>
+        <p className="text-xs text-gray-500 mt-2">
+          {formatDateTime(comment.createdAt)}
+        </p>
+        <div className="flex flex-wrap items-center gap-4 mt-3">
+          <ReactionBar targetCollection="comments" targetId={comment.id} counts={comment.reactionCounts} />
+          <button onClick={() => setReplying(!replying)} className="text-sm text-primary-600 font-medium hover:underline">
+            {t('comments.reply')}
+          </button>
+          {replies.length > 0 && (
+            <button onClick={() => setShowReplies(!showReplies)} className="text-sm text-gray-600 hover:underline">
+              {t(`comments.${showReplies ? 'hide' : 'show'}${replies.length === 1 ? 'Reply' : 'Replies'}`, { count: replies.length })}
+            </button>
+          )}
+        </div>
+        {replying && (
+          <ReplyForm
+            onSubmit={async (name, text) => {
+              if (await onReply(comment.id, name, text)) setReplying(false);
+            }}
+            onCancel={() => setReplying(false)}
+          />
+        )}
+      </div>
+      {showReplies && replies.length > 0 && (
+        <div className="ml-4 md:ml-8 mt-4 pl-4 border-l-2 border-primary-100 space-y-4">
+          {replies.map(reply => (
+            <CommentThread
+              key={reply.id}
+              comment={reply}
+              repliesByParent={repliesByParent}
+              storyAuthorId={storyAuthorId}
+              onReply={onReply}
+            />
+          ))}
+        </div>
+      )}
+    </div>
   );
 };
 
 // --- Story Detail Component ---
-const StoryDetail = ({ storyId, setCurrentPage }) => {
-  const { db, userId, isAuthReady } = useFirebase();
+const COMMENTS_PAGE_SIZE = 10;
+
+const StoryDetail = ({ storyId }) => {
+  const { repository, userId, role, isAuthReady } = useData();
+  const { navigate } = useRouter();
+  const { language, t, formatDate, formatDateTime } = useLanguage();
   const [story, setStory] = useState(null);
-  const [comments, setComments] = useState([]);
   const [newComment, setNewComment] = useState('');
   const [commenterName, setCommenterName] = useState('');
   const [loadingStory, setLoadingStory] = useState(true);
-  const [loadingComments, setLoadingComments] = useState(true);
   const [storyError, setStoryError] = useState(null);
-  const [commentError, setCommentError] = useState(null);
   const [messageBox, setMessageBox] = useState({ show: false, message: '', type: 'alert', onConfirm: null, onCancel: null });
+  const commentGuard = usePostGuard();
+
+  // Approved comments for this story only, filtered by the backend rather than in the browser
+  const commentsList = useMemo(() => {
+    if (!repository || !isAuthReady || !storyId) return null;
+    return repository.comments.approvedList(storyId);
+  }, [repository, storyId, isAuthReady]);
+
+  const {
+    items: newestFirstComments,
+    loading: loadingComments,
+    loadingMore: loadingOlderComments,
+    hasMore: hasOlderComments,
+    loadMore: loadOlderComments,
+    error: commentsQueryError
+  } = usePagedList(commentsList, { pageSize: COMMENTS_PAGE_SIZE });
+  // Top-level comments, oldest first like a conversation. Their replies come from subscribeApprovedReplies.
+  const comments = [...newestFirstComments].reverse();
+  const [replies, setReplies] = useState([]);
+  const [repliesError, setRepliesError] = useState(null);
+  const { pendingEntries: pendingComments, submit: submitComment } = usePendingWrites();
+  const commentError = (commentsQueryError || repliesError) && t('comments.loadError');
+
+  // Approved replies for this story, grouped by the comment they answer
+  useEffect(() => {
+    if (!repository || !isAuthReady || !storyId) return;
+
+    const unsubscribe = repository.comments.subscribeApprovedReplies(storyId,
+      (fetchedReplies) => setReplies(fetchedReplies),
+      (err) => {
+        console.error("Error fetching replies:", err);
+        setRepliesError(err);
+      }
+    );
+
+    return () => unsubscribe(); // Cleanup listener
+  }, [repository, storyId, isAuthReady]);
+
+  const repliesByParent = useMemo(() => {
+    const grouped = {};
+    [...replies]
+      .sort((a, b) => (a.createdAt?.toMillis() || 0) - (b.createdAt?.toMillis() || 0))
+      .forEach(reply => {
+        (grouped[reply.parentId] = grouped[reply.parentId] || []).push(reply);
+      });
+    return grouped;
+  }, [replies]);
+
+  useEffect(() => {
+    if (!repository || !isAuthReady || !storyId) return;
+
+    // Listen for story details, so edits and restored revisions show up immediately
+    const unsubscribeStory = repository.stories.subscribe(storyId,
+      (fetchedStory) => {
+        if (fetchedStory) {
+          setStory(fetchedStory);
+          setStoryError(null);
+        } else {
+          setStory(null);
+          setStoryError('story.notFound');
+        }
+        setLoadingStory(false);
+      },
+      (err) => {
+        console.error("Error fetching story:", err);
+        // Drafts are readable by the author only; to everyone else they don't exist
+        setStoryError(err.code === 'permission-denied' ? 'story.notFound' : 'story.loadError');
+        setLoadingStory(false);
+      }
+    );
+
+    return () => unsubscribeStory(); // Cleanup story listener
+  }, [repository, storyId, isAuthReady]);
+
+  const handleDeleteStory = () => {
+    setMessageBox({
+      show: true,
+      message: `Delete "${story.title}"? Its comments, reactions and revision history will be removed as well.`,
+      type: 'confirm',
+      onCancel: () => setMessageBox({ show: false }),
+      onConfirm: async () => {
+        setMessageBox({ show: false });
+        try {
+          await repository.stories.remove(storyId);
+          navigate(buildPath('stories'));
+        } catch (error) {
+          console.error("Error deleting story:", error);
+          setMessageBox({ show: true, message: 'Failed to delete story. Please try again.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+        }
+      }
+    });
+  };
+
+  // Saves a comment, or a reply to parentId. Returns whether it was saved.
+  const postComment = async (name, text, parentId = null) => {
+    try {
+      const commentId = repository.newId();
+      const result = await submitComment({ id: commentId, name, text }, repository.comments.create({
+        storyId: storyId,
+        commentText: text,
+        commenterName: name,
+        parentId, // Replies point at the comment they answer; null lets the comment list query top-level ones
+        status: role === 'author' ? 'approved' : 'pending', // Guest comments wait for moderation
+        userId: userId // Store the commenter's user ID
+      }, commentId));
+      const successMessage = result === 'pending'
+        ? t('comments.queuedOffline')
+        : t(role === 'author' ? 'comments.added' : 'comments.awaitingApproval');
+      setMessageBox({ show: true, message: successMessage, type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+      return true;
+    } catch (error) {
+      console.error("Error adding comment:", error);
+      setMessageBox({ show: true, message: t('comments.addFailed'), type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+      return false;
+    }
+  };
+
+  const handleAddComment = async (e) => {
+    e.preventDefault();
+    if (!newComment.trim() || !commenterName.trim()) {
+      setMessageBox({ show: true, message: t('comments.missingFields'), type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+      return;
+    }
+    const postError = await commentGuard.check({ name: commenterName, text: newComment });
+    if (postError === 'bot') {
+      setMessageBox({ show: true, message: t('comments.awaitingApproval'), type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+      setNewComment('');
+      return;
+    }
+    if (postError) {
+      setMessageBox({ show: true, message: postError, type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+      return;
+    }
+
+    if (await postComment(commenterName, newComment)) {
+      setNewComment('');
+      setCommenterName('');
+      commentGuard.reset();
+    }
+  };
+
+  const handleReply = (parentId, name, text) => postComment(name, text, parentId);
+
+  // The author's queued comments already show in the list (with a badge); a guest's wait for moderation
+  const listedCommentIds = new Set([...newestFirstComments, ...replies].map(comment => comment.id));
+  const unlistedPendingComments = pendingComments.filter(entry => !listedCommentIds.has(entry.id));
+
+  if (loadingStory || loadingComments) return <div className="text-center py-16 text-xl text-primary-700">{t('story.loading')}</div>;
+  if (storyError) return <div className="text-center py-16 text-xl text-red-600">{t(storyError)}</div>;
+  if (!story || (!isStoryPublished(story) && role !== 'author')) {
+    return <div className="text-center py-16 text-xl text-gray-600">{t('story.notFound')}</div>;
+  }
+
+  const { title, content } = localizeStory(story, language);
+
+  const isOwner = !!userId && userId === story.authorId;
+
+  return (
+    <section className="py-16 bg-gradient-to-br from-white to-primary-50">
+      <div className="container mx-auto px-4 max-w-3xl">
+        <Button
+          onClick={() => navigate(buildPath('stories'))}
+          className="mb-8"
+        >
+          {t('story.back')}
+        </Button>
+
+        {!isStoryPublished(story) && (
+          <div className="mb-6 p-4 bg-yellow-50 border border-yellow-300 text-yellow-800 rounded-md">
+            {story.status === 'draft'
+              ? 'This is a draft. Only you can see it.'
+              : `Scheduled to publish on ${formatDateTime(story.publishAt)}. Only you can see it until then.`}
+          </div>
+        )}
+        <Card>
+          <ResponsiveImage
+            key={story.imageUrl}
+            src={story.imageUrl}
+            thumbnailSrc={story.thumbnailUrl}
+            alt={title}
+            className="w-full h-80"
+            sizes="(min-width: 768px) 768px, 100vw"
+            eager
+          />
+          <h2 className="text-4xl font-bold text-primary-800 mb-4">{title}</h2>
+          {story.tags?.length > 0 && (
+            <div className="flex flex-wrap gap-2 mb-6">
+              {story.tags.map(tag => (
+                <Link key={tag} to={buildPath('stories', {}, { tag })} className={tagChipClassName(false)}>
+                  {t(`tags.${tag}`)}
+                </Link>
+              ))}
+            </div>
+          )}
+          <div className="mb-6">
+            <MarkdownContent markdown={content} lang={content === story.content ? undefined : language} />
+          </div>
+          <p className="text-sm text-gray-500 italic">
+            {t('story.published', { date: formatDate(story.publishAt || story.createdAt) })}
+            {story.updatedAt && <> &middot; {t('story.lastEdited', { date: formatDate(story.updatedAt) })}</>}
+          </p>
+          <div className="mt-4">
+            <ReactionBar targetCollection="stories" targetId={storyId} counts={story.reactionCounts} />
+          </div>
+          {isOwner && (
+            <div className="flex space-x-4 mt-6">
+              <Button
+                onClick={() => navigate(buildPath('editStory', { storyId }))}
+              >
+                Edit Story
+              </Button>
+              <Button
+                onClick={handleDeleteStory}
+                variant="danger"
+              >
+                Delete Story
+              </Button>
+            </div>
+          )}
+        </Card>
+
+        {isOwner && <StoryRevisions storyId={storyId} />}
+
+        {/* Comments Section */}
+        <Card className="mt-12">
+          <h3 className="text-3xl font-bold text-primary-800 mb-6">{t('comments.title')}</h3>
+          {commentError && <p className="text-red-600 mb-4">{commentError}</p>}
+          {hasOlderComments && (
+            <div className="mb-6">
+              <LoadMoreButton onClick={loadOlderComments} loading={loadingOlderComments}>{t('comments.loadOlder')}</LoadMoreButton>
+            </div>
+          )}
+          {comments.length === 0 ? (
+            <p className="text-gray-600 mb-6">{t('comments.empty')}</p>
+          ) : (
+            <div className="space-y-6 mb-8">
+              {comments.map(comment => (
+                <CommentThread
+                  key={comment.id}
+                  comment={comment}
+                  repliesByParent={repliesByParent}
+                  storyAuthorId={story.authorId}
+                  onReply={handleReply}
+                />
+              ))}
+            </div>
+          )}
+          {unlistedPendingComments.length > 0 && (
+            <div className="space-y-4 mb-8">
+              {unlistedPendingComments.map(entry => <PendingEntryCard key={entry.id} name={entry.name} text={entry.text} />)}
+            </div>
+          )}
+
+          {/* Add Comment Form */}
+          <form onSubmit={handleAddComment} className="relative space-y-4">
+            <h4 className="text-2xl font-semibold text-primary-700 mb-4">{t('comments.leave')}</h4>
+            <HoneypotField {...commentGuard.honeypotProps} />
+            <TextField
+              label={t('common.yourName')}
+              type="text"
+              id="commenterName"
+              value={commenterName}
+              onChange={(e) => setCommenterName(e.target.value)}
+              maxLength={POST_NAME_MAX_LENGTH}
+              required
+            />
+            <TextField
+              as="textarea"
+              label={t('comments.yourComment')}
+              id="newComment"
+              value={newComment}
+              onChange={(e) => setNewComment(e.target.value)}
+              maxLength={POST_TEXT_MAX_LENGTH}
+              rows="4"
+              required
+            />
+            <Button
+              type="submit"
+              size="lg"
+            >
+              {t('comments.post')}
+            </Button>
+          </form>
+        </Card>
+      </div>
+      <MessageBox
+        show={messageBox.show}
+        message={messageBox.message}
+        type={messageBox.type}
+        onConfirm={messageBox.onConfirm}
+        onCancel={messageBox.onCancel}
+      />
+    </section>
+  );
+};
+
+// --- Add Story Form (for daughter) ---
+// Drafts are saved this long after the last change while typing
+const STORY_AUTOSAVE_DELAY_MS = 3000;
+
+// Formats a repository timestamp for a datetime-local input, in local time
+const toDateTimeInputValue = (timestamp) => {
+  if (!timestamp) return '';
+  const date = timestamp.toDate();
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// Creates a new story, or updates an existing one when a storyId is given
+const AddStoryForm = ({ storyId = null }) => {
+  const { repository, userId, role, isAuthReady } = useData();
+  const { navigate } = useRouter();
+  const { formatDateTime } = useLanguage();
+  const isEditing = !!storyId;
+  const [title, setTitle] = useState('');
+  const [content, setContent] = useState('');
+  const [tamilTitle, setTamilTitle] = useState('');
+  const [tamilContent, setTamilContent] = useState('');
+  const [tags, setTags] = useState([]);
+  const [imageUrl, setImageUrl] = useState('');
+  const [thumbnailUrl, setThumbnailUrl] = useState('');
+  const [uploading, setUploading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(0);
+  const [storyAuthorId, setStoryAuthorId] = useState(null);
+  const [loadingStory, setLoadingStory] = useState(isEditing);
+  const [storyError, setStoryError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [messageBox, setMessageBox] = useState({ show: false, message: '', type: 'alert', onConfirm: null });
+  // Publishing choice for Save: 'draft', 'scheduled' (at publishAtInput) or 'published'
+  const [status, setStatus] = useState('published');
+  const [publishAtInput, setPublishAtInput] = useState('');
+  // The stored story's status and publish date. Only drafts (and new stories) are autosaved.
+  const [savedStatus, setSavedStatus] = useState(null);
+  const [savedPublishAt, setSavedPublishAt] = useState(null);
+  const [lastAutosavedSnapshot, setLastAutosavedSnapshot] = useState(null);
+  const [autosaveState, setAutosaveState] = useState('idle'); // 'idle' | 'saving' | 'saved' | 'error'
+  const [autosavedAt, setAutosavedAt] = useState(null);
+  const draftIdRef = useRef(null); // The draft's ID, once the first autosave has created it
+  const autosaveRef = useRef(Promise.resolve());
+
+  useEffect(() => {
+    if (!repository || !isAuthReady || !storyId) return;
+
+    // Load the story being edited into the form
+    const fetchStory = async () => {
+      try {
+        const data = await repository.stories.get(storyId);
+        if (data) {
+          setTitle(data.title || '');
+          setContent(data.content || '');
+          setTamilTitle(data.translations?.ta?.title || '');
+          setTamilContent(data.translations?.ta?.content || '');
+          setTags(data.tags || []);
+          setImageUrl(data.imageUrl || '');
+          setThumbnailUrl(data.thumbnailUrl || '');
+          setStoryAuthorId(data.authorId);
+          // Stories saved before drafts existed count as published on their creation date
+          const loadedStatus = data.status || 'published';
+          setStatus(loadedStatus);
+          setSavedStatus(loadedStatus);
+          setSavedPublishAt(data.publishAt || data.createdAt || null);
+          setPublishAtInput(loadedStatus === 'scheduled' ? toDateTimeInputValue(data.publishAt) : '');
+          if (loadedStatus === 'draft') draftIdRef.current = storyId;
+        } else {
+          setStoryError("Story not found.");
+        }
+      } catch (err) {
+        console.error("Error fetching story for editing:", err);
+        setStoryError("Failed to load story details.");
+      } finally {
+        setLoadingStory(false);
+      }
+    };
+    fetchStory();
+  }, [repository, storyId, isAuthReady]);
+
+  const handleImageFiles = async ([file]) => {
+    const problem = validateImageFile(file);
+    if (problem) {
+      setMessageBox({ show: true, message: problem, type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+      return;
+    }
+
+    setUploading(true);
+    setUploadProgress(0);
+    try {
+      const uploaded = await uploadImageWithThumbnail(repository.images, 'stories', file, setUploadProgress);
+      setImageUrl(uploaded.url);
+      setThumbnailUrl(uploaded.thumbnailUrl);
+    } catch (error) {
+      console.error("Error uploading story image:", error);
+      setMessageBox({ show: true, message: 'Failed to upload image. Please try again.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  // Optional translations shown by StoryDetail in the reader's language (see localizeStory)
+  const buildTranslations = () => (
+    tamilTitle.trim() || tamilContent.trim()
+      ? { ta: { title: tamilTitle.trim(), content: tamilContent.trim() } }
+      : {}
+  );
+
+  // The story's text and images, as autosaved and saved
+  const storyFields = {
+    title,
+    content,
+    translations: buildTranslations(),
+    tags,
+    imageUrl: imageUrl || null, // Stories without an image show the bundled fallback
+    thumbnailUrl: thumbnailUrl || null // Set when the image was uploaded rather than linked
+  };
+  const storySnapshot = JSON.stringify(storyFields);
+  const canAutosave = role === 'author' && !loadingStory && !loading && (!isEditing || savedStatus === 'draft');
+
+  // Autosaves drafts a few seconds after the last change. The first autosave of a new story creates
+  // the draft; published and scheduled stories only change when saved.
+  useEffect(() => {
+    if (!canAutosave) return;
+    if (lastAutosavedSnapshot === null) {
+      setLastAutosavedSnapshot(storySnapshot); // The loaded (or empty) story is the starting point
+      return;
+    }
+    const fields = JSON.parse(storySnapshot);
+    if (storySnapshot === lastAutosavedSnapshot || (!fields.title.trim() && !fields.content.trim())) return;
+
+    const timer = setTimeout(async () => {
+      let save;
+      if (draftIdRef.current) {
+        save = repository.stories.update(draftIdRef.current, fields);
+      } else {
+        draftIdRef.current = repository.newId();
+        save = repository.stories.create({
+          ...fields,
+          status: 'draft',
+          publishAt: null,
+          authorId: userId,
+          updatedAt: repository.serverTime()
+        }, draftIdRef.current);
+      }
+      autosaveRef.current = save.catch(() => {}); // Saving the story waits for this; errors are reported below
+      setAutosaveState('saving');
+      try {
+        await save;
+        setLastAutosavedSnapshot(storySnapshot);
+        setAutosavedAt(new Date());
+        setAutosaveState('saved');
+      } catch (error) {
+        console.error("Error autosaving draft:", error);
+        setAutosaveState('error');
+      }
+    }, STORY_AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [repository, userId, canAutosave, storySnapshot, lastAutosavedSnapshot]);
+
+  // The status and publishAt fields for the chosen publishing option
+  const buildPublishFields = () => {
+    if (status === 'draft') return { status, publishAt: null };
+    if (status === 'scheduled') return { status, publishAt: new Date(publishAtInput) };
+    // Editing a published story keeps its original publish date
+    return { status, publishAt: savedStatus === 'published' && savedPublishAt ? savedPublishAt : repository.serverTime() };
+  };
+
+  const updateStory = async () => {
+    await repository.stories.updateWithRevision(storyId, { ...storyFields, ...buildPublishFields() }, userId);
+    navigate(buildPath('storyDetail', { storyId }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!title.trim() || !content.trim()) {
+      setMessageBox({ show: true, message: 'Please fill in all required fields.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+      return;
+    }
+    if (status === 'scheduled' && !(new Date(publishAtInput) > new Date())) {
+      setMessageBox({ show: true, message: 'Please choose a future date and time to publish.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await autosaveRef.current; // Don't let an autosave still in flight overwrite this save
+      if (isEditing) {
+        await updateStory();
+        return;
+      }
+
+      const publishFields = buildPublishFields();
+      if (draftIdRef.current) {
+        // The story was autosaved as a draft already
+        await repository.stories.update(draftIdRef.current, { ...storyFields, ...publishFields });
+      } else {
+        await repository.stories.create({
+          ...storyFields,
+          ...publishFields,
+          authorId: userId // The daughter's user ID
+        });
+      }
+      draftIdRef.current = null;
+      setLastAutosavedSnapshot(null);
+      setAutosaveState('idle');
+      setTitle('');
+      setContent('');
+      setTamilTitle('');
+      setTamilContent('');
+      setTags([]);
+      setImageUrl('');
+      setThumbnailUrl('');
+      setStatus('published');
+      setPublishAtInput('');
+      // Only a scheduled story's publishAt is a date; a published one's is the server time placeholder
+      const savedMessages = {
+        draft: () => 'Draft saved. You can find it under My Drafts.',
+        scheduled: () => `Story scheduled for ${formatDateTime(publishFields.publishAt)}.`,
+        published: () => 'Story added successfully!'
+      };
+      setMessageBox({ show: true, message: savedMessages[status](), type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+    } catch (error) {
+      console.error(isEditing ? "Error updating story:" : "Error adding story:", error);
+      setMessageBox({ show: true, message: isEditing ? 'Failed to save changes. Please try again.' : 'Failed to add story. Please try again.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!isAuthReady) {
+    return <div className="text-center py-16 text-xl text-primary-700">Loading authentication...</div>;
+  }
+
+  if (role !== 'author') {
+    return (
+      <div className="text-center py-16 text-xl text-gray-600">
+        Only the author can {isEditing ? 'edit' : 'add'} stories.{' '}
+        <Link to={buildPath('signIn')} className="text-primary-600 font-medium hover:underline">Sign in</Link>
+      </div>
+    );
+  }
+
+  if (loadingStory) return <div className="text-center py-16 text-xl text-primary-700">Loading story...</div>;
+  if (storyError) return <div className="text-center py-16 text-xl text-red-600">{storyError}</div>;
+  if (isEditing && storyAuthorId !== userId) {
+    return <div className="text-center py-16 text-xl text-gray-600">You can only edit your own stories.</div>;
+  }
+
+  return (
+    <section className="py-16 bg-gradient-to-br from-primary-50 to-secondary-100">
+      <div className="container mx-auto px-4 max-w-5xl">
+        <h2 className="text-4xl font-bold text-center text-primary-800 mb-12">{isEditing ? 'Edit Dance Story' : 'Add New Dance Story'}</h2>
+        <Card>
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <TextField
+              label="Story Title:"
+              type="text"
+              id="storyTitle"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              required
+            />
+            <div>
+              <label htmlFor="storyContent" className="block text-gray-700 text-sm font-bold mb-2">
+                Story Content:
+              </label>
+              <MarkdownEditor id="storyContent" value={content} onChange={setContent} required />
+            </div>
+            <fieldset>
+              <legend className="block text-gray-700 text-sm font-bold mb-2">Tags:</legend>
+              <div className="flex flex-wrap gap-2">
+                {STORY_TAGS.map(tag => (
+                  <button
+                    key={tag}
+                    type="button"
+                    onClick={() => setTags(prev => (prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]))}
+                    aria-pressed={tags.includes(tag)}
+                    className={tagChipClassName(tags.includes(tag))}
+                  >
+                    {en[`tags.${tag}`]}
+                  </button>
+                ))}
+              </div>
+            </fieldset>
+            <details className="border border-primary-200 rounded-md p-4" open={!!(tamilTitle || tamilContent)}>
+              <summary className="text-gray-700 text-sm font-bold cursor-pointer">Tamil Translation (Optional)</summary>
+              <p className="text-sm text-gray-500 mt-2">Shown instead of the original to readers who choose தமிழ்.</p>
+              <div className="mt-4 space-y-4">
+                <TextField
+                  label="Title in Tamil:"
+                  type="text"
+                  id="storyTitleTa"
+                  lang="ta"
+                  value={tamilTitle}
+                  onChange={(e) => setTamilTitle(e.target.value)}
+                />
+                <div>
+                  <label htmlFor="storyContentTa" className="block text-gray-700 text-sm font-bold mb-2">
+                    Content in Tamil:
+                  </label>
+                  <MarkdownEditor id="storyContentTa" lang="ta" value={tamilContent} onChange={setTamilContent} />
+                </div>
+              </div>
+            </details>
+            <div className="space-y-3">
+              <span className="block text-gray-700 text-sm font-bold">
+                Story Image (Optional):
+              </span>
+              <ImageDropzone onFiles={handleImageFiles} disabled={uploading} />
+              {uploading && <UploadProgress progress={uploadProgress} label="Uploading image..." />}
+              {imageUrl && !uploading && (
+                <img
+                  src={thumbnailUrl || imageUrl}
+                  alt="Story preview"
+                  className="w-full h-48 object-cover rounded-md"
+                  onError={(e) => { e.target.onerror = null; e.target.src = imageFallback; }}
+                />
+              )}
+            </div>
+            <TextField
+              label="Or paste an Image URL:"
+              type="url"
+              id="imageUrl"
+              value={imageUrl}
+              onChange={(e) => { setImageUrl(e.target.value); setThumbnailUrl(''); }}
+              placeholder="e.g., https://example.com/your-image.jpg"
+            />
+            <fieldset className="space-y-3">
+              <legend className="block text-gray-700 text-sm font-bold mb-2">Publishing:</legend>
+              <div className="flex flex-wrap gap-6">
+                {[
+                  { value: 'draft', label: 'Keep as draft' },
+                  { value: 'published', label: 'Publish now' },
+                  { value: 'scheduled', label: 'Schedule' }
+                ].map(option => (
+                  <label key={option.value} className="inline-flex items-center text-gray-700">
+                    <input
+                      type="radio"
+                      name="storyStatus"
+                      value={option.value}
+                      checked={status === option.value}
+                      onChange={(e) => setStatus(e.target.value)}
+                      className="mr-2 text-primary-600 focus:ring-primary-500"
+                    />
+                    {option.label}
+                  </label>
+                ))}
+              </div>
+              {status === 'scheduled' && (
+                <TextField
+                  type="datetime-local"
+                  fullWidth={false}
+                  aria-label="Publish on"
+                  value={publishAtInput}
+                  onChange={(e) => setPublishAtInput(e.target.value)}
+                  required
+                />
+              )}
+            </fieldset>
+            {canAutosave && autosaveState !== 'idle' && (
+              <p className={`text-sm ${autosaveState === 'error' ? 'text-red-600' : 'text-gray-500'}`} aria-live="polite">
+                {autosaveState === 'saving' && 'Saving draft...'}
+                {autosaveState === 'saved' && `Draft saved at ${autosavedAt.toLocaleTimeString()}.`}
+                {autosaveState === 'error' && 'Autosave failed. Your changes are still here; try saving the story.'}
+              </p>
+            )}
+            <Button
+              type="submit"
+              size="lg"
+              disabled={loading || uploading}
+            >
+              {loading
+                ? 'Saving...'
+                : { draft: 'Save Draft', scheduled: 'Schedule Story', published: savedStatus === 'published' ? 'Save Changes' : 'Publish Story' }[status]}
+            </Button>
+          </form>
+        </Card>
+      </div>
+      <MessageBox
+        show={messageBox.show}
+        message={messageBox.message}
+        type={messageBox.type}
+        onConfirm={messageBox.onConfirm}
+      />
+    </section>
+  );
+};
+
+// --- My Drafts (author only) ---
+// The author's drafts and scheduled stories, most recently changed first
+const MyDrafts = () => {
+  const { repository, userId, role, isAuthReady } = useData();
+  const { formatDateTime } = useLanguage();
+  const [drafts, setDrafts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [messageBox, setMessageBox] = useState({ show: false, message: '', type: 'alert', onConfirm: null, onCancel: null });
+
+  useEffect(() => {
+    if (!repository || !isAuthReady || role !== 'author') return;
+
+    const unsubscribe = repository.stories.subscribeDrafts(userId,
+      (fetchedDrafts) => {
+        const changedAt = (story) => (story.updatedAt || story.createdAt)?.toMillis() ?? Date.now(); // Pending writes have no server time yet
+        setDrafts(fetchedDrafts.sort((a, b) => changedAt(b) - changedAt(a)));
+        setLoading(false);
+      },
+      (err) => {
+        console.error("Error fetching drafts:", err);
+        setError("Failed to load drafts.");
+        setLoading(false);
+      }
+    );
+
+    return () => unsubscribe(); // Cleanup listener
+  }, [repository, userId, role, isAuthReady]);
+
+  const handleDelete = (draft) => {
+    setMessageBox({
+      show: true,
+      message: `Delete "${draft.title || 'Untitled draft'}"? This cannot be undone.`,
+      type: 'confirm',
+      onCancel: () => setMessageBox({ show: false }),
+      onConfirm: async () => {
+        setMessageBox({ show: false });
+        try {
+          await repository.stories.remove(draft.id);
+        } catch (err) {
+          console.error("Error deleting draft:", err);
+          setMessageBox({ show: true, message: 'Failed to delete draft. Please try again.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+        }
+      }
+    });
+  };
+
+  if (!isAuthReady) {
+    return <div className="text-center py-16 text-xl text-primary-700">Loading authentication...</div>;
+  }
+
+  if (role !== 'author') {
+    return (
+      <div className="text-center py-16 text-xl text-gray-600">
+        Only the author can see drafts.{' '}
+        <Link to={buildPath('signIn')} className="text-primary-600 font-medium hover:underline">Sign in</Link>
+      </div>
+    );
+  }
+
+  if (loading) return <div className="text-center py-16 text-xl text-primary-700">Loading drafts...</div>;
+  if (error) return <div className="text-center py-16 text-xl text-red-600">{error}</div>;
+
+  return (
+    <section className="py-16 bg-gradient-to-br from-primary-50 to-secondary-100">
+      <div className="container mx-auto px-4 max-w-3xl">
+        <h2 className="text-4xl font-bold text-center text-primary-800 mb-12">My Drafts</h2>
+        {drafts.length === 0 ? (
+          <p className="text-center text-gray-600 text-lg">
+            No drafts or scheduled stories.{' '}
+            <Link to={buildPath('addStory')} className="text-primary-600 font-medium hover:underline">Start a new story</Link>
+          </p>
+        ) : (
+          <div className="space-y-4">
+            {drafts.map(draft => (
+              <div key={draft.id} className="bg-white rounded-xl shadow-md p-6 border border-primary-200 flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+                <div>
+                  <h3 className="text-xl font-semibold text-primary-700">{draft.title || 'Untitled draft'}</h3>
+                  <p className="text-sm text-gray-500 mt-1">
+                    {draft.status === 'scheduled'
+                      ? `Scheduled for ${formatDateTime(draft.publishAt)}`
+                      : `Draft, last saved ${formatDateTime(draft.updatedAt || draft.createdAt)}`}
+                  </p>
+                </div>
+                <div className="flex space-x-3">
+                  <Link to={buildPath('editStory', { storyId: draft.id })} className={buttonClassName()}>
+                    Edit
+                  </Link>
+                  <Link to={buildPath('storyDetail', { storyId: draft.id })} className={buttonClassName({ variant: 'neutral' })}>
+                    Preview
+                  </Link>
+                  <Button
+                    onClick={() => handleDelete(draft)}
+                    variant="danger"
+                  >
+                    Delete
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+      <MessageBox
+        show={messageBox.show}
+        message={messageBox.message}
+        type={messageBox.type}
+        onConfirm={messageBox.onConfirm}
+        onCancel={messageBox.onCancel}
+      />
+    </section>
+  );
+};
+
+// --- Program (Margam) ---
+// The traditional Bharatanatyam margam, offered to the author as a starting point for an empty program
+const TRADITIONAL_MARGAM = ['Pushpanjali', 'Alarippu', 'Jatiswaram', 'Varnam', 'Padam', 'Tillana', 'Mangalam'];
+
+const EMPTY_PROGRAM_ITEM = {
+  pieceName: '',
+  raga: '',
+  tala: '',
+  composer: '',
+  meaning: '',
+  durationMinutes: '',
+  relatedStoryIds: [],
+  relatedPhotoIds: []
+};
+
+// Formats a number of minutes with the given translate function, e.g. 95 -> "1 hr 35 min"
+const formatDuration = (totalMinutes, t) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (hours === 0) return t('duration.minutes', { minutes });
+  return minutes === 0 ? t('duration.hours', { hours }) : t('duration.hoursMinutes', { hours, minutes });
+};
+
+// Read-only view of one program item with its related stories and photos
+const ProgramItemCard = ({ item, position, storiesById, photosById }) => {
+  const { language, t } = useLanguage();
+  const relatedStories = (item.relatedStoryIds || []).map(id => storiesById[id]).filter(Boolean);
+  const relatedPhotos = (item.relatedPhotoIds || []).map(id => photosById[id]).filter(Boolean);
+  const details = [
+    item.raga && t('program.raga', { value: item.raga }),
+    item.tala && t('program.tala', { value: item.tala }),
+    item.composer && t('program.composer', { value: item.composer })
+  ].filter(Boolean);
+
+  return (
+    <Card padding="md">
+      <div className="flex items-start justify-between gap-4">
+        <h3 className="text-2xl font-semibold text-primary-700">
+          <span className="text-primary-400 mr-2">{position}.</span>{item.pieceName}
+        </h3>
+        {item.durationMinutes > 0 && (
+          <span className="text-sm text-gray-500 whitespace-nowrap">~{formatDuration(item.durationMinutes, t)}</span>
+        )}
+      </div>
+      {details.length > 0 && <p className="text-sm text-gray-600 mt-1">{details.join(' · ')}</p>}
+      {item.meaning && <p className="text-gray-700 mt-3 whitespace-pre-wrap">{item.meaning}</p>}
+      {relatedStories.length > 0 && (
+        <p className="text-sm mt-3">
+          <span className="text-gray-600">{t('program.relatedStories')}</span>
+          {relatedStories.map((story, index) => (
+            <span key={story.id}>
+              {index > 0 && ', '}
+              <Link to={buildPath('storyDetail', { storyId: story.id })} className="text-primary-600 hover:underline">{localizeStory(story, language).title}</Link>
+            </span>
+          ))}
+        </p>
+      )}
+      {relatedPhotos.length > 0 && (
+        <div className="flex flex-wrap gap-2 mt-3">
+          {relatedPhotos.map(photo => (
+            <Link key={photo.id} to={buildPath('photos')}>
+              <ResponsiveImage src={photo.url} thumbnailSrc={photo.thumbnailUrl} alt={t('program.photoAlt', { piece: item.pieceName })} className="w-16 h-16 rounded-md" sizes="64px" />
+            </Link>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+// Author form for adding or editing a program item
+const ProgramItemForm = ({ initialItem, stories, photos, onSave, onCancel }) => {
+  const [item, setItem] = useState({ ...EMPTY_PROGRAM_ITEM, ...initialItem });
+  const [saving, setSaving] = useState(false);
+
+  const setField = (field, value) => setItem(prev => ({ ...prev, [field]: value }));
+  const toggleId = (field, id) => setItem(prev => ({
+    ...prev,
+    [field]: prev[field].includes(id) ? prev[field].filter(existing => existing !== id) : [...prev[field], id]
+  }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!item.pieceName.trim()) return;
+
+    setSaving(true);
+    try {
+      await onSave({
+        pieceName: item.pieceName.trim(),
+        raga: item.raga.trim(),
+        tala: item.tala.trim(),
+        composer: item.composer.trim(),
+        meaning: item.meaning.trim(),
+        durationMinutes: Number(item.durationMinutes) || 0,
+        relatedStoryIds: item.relatedStoryIds,
+        relatedPhotoIds: item.relatedPhotoIds
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const labelClassName = "block text-gray-700 text-sm font-bold mb-1";
+
+  return (
+    <Card as="form" padding="md" onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <TextField size="sm" id="programPieceName" label="Piece Name:" type="text" value={item.pieceName} onChange={(e) => setField('pieceName', e.target.value)} required />
+        <TextField size="sm" id="programDuration" label="Estimated Duration (minutes):" type="number" min="0" value={item.durationMinutes} onChange={(e) => setField('durationMinutes', e.target.value)} />
+        <TextField size="sm" id="programRaga" label="Raga:" type="text" value={item.raga} onChange={(e) => setField('raga', e.target.value)} />
+        <TextField size="sm" id="programTala" label="Tala:" type="text" value={item.tala} onChange={(e) => setField('tala', e.target.value)} />
+        <div className="md:col-span-2">
+          <TextField size="sm" id="programComposer" label="Composer:" type="text" value={item.composer} onChange={(e) => setField('composer', e.target.value)} />
+        </div>
+        <div className="md:col-span-2">
+          <TextField as="textarea" size="sm" id="programMeaning" label="Meaning / Translation:" rows="4" value={item.meaning} onChange={(e) => setField('meaning', e.target.value)} />
+        </div>
+      </div>
+      {stories.length > 0 && (
+        <fieldset>
+          <legend className={labelClassName}>Related Stories:</legend>
+          <div className="flex flex-wrap gap-x-6 gap-y-1">
+            {stories.map(story => (
+              <label key={story.id} className="flex items-center gap-2 text-gray-700">
+                <input type="checkbox" checked={item.relatedStoryIds.includes(story.id)} onChange={() => toggleId('relatedStoryIds', story.id)} />
+                {story.title}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+      )}
+      {photos.length > 0 && (
+        <fieldset>
+          <legend className={labelClassName}>Related Photos:</legend>
+          <div className="flex flex-wrap gap-2">
+            {photos.map((photo, index) => (
+              <button
+                key={photo.id}
+                type="button"
+                onClick={() => toggleId('relatedPhotoIds', photo.id)}
+                aria-pressed={item.relatedPhotoIds.includes(photo.id)}
+                className={`rounded-md overflow-hidden border-4 ${item.relatedPhotoIds.includes(photo.id) ? 'border-primary-600' : 'border-transparent'}`}
+              >
+                <img src={photo.thumbnailUrl || photo.url} alt={`Dance Photo ${index + 1}`} className="w-16 h-16 object-cover" />
+              </button>
+            ))}
+          </div>
+        </fieldset>
+      )}
+      <div className="flex space-x-4">
+        <Button
+          type="submit"
+          disabled={saving}
+        >
+          {saving ? 'Saving...' : 'Save Item'}
+        </Button>
+        <Button
+          type="button"
+          onClick={onCancel}
+          variant="neutral"
+        >
+          Cancel
+        </Button>
+      </div>
+    </Card>
+  );
+};
+
+// Author editor: drag items (or use the arrows) to reorder, and add, edit or remove items
+const ProgramEditor = ({ items, stories, photos }) => {
+  const { repository } = useData();
+  const [orderedItems, setOrderedItems] = useState(items);
+  const [draggedIndex, setDraggedIndex] = useState(null);
+  const [editingId, setEditingId] = useState(null); // An item ID, 'new', or null
+  const [messageBox, setMessageBox] = useState({ show: false, message: '', type: 'alert', onConfirm: null, onCancel: null });
+
+  // Follow saved updates, except while an item is being dragged
+  useEffect(() => {
+    if (draggedIndex === null) setOrderedItems(items);
+  }, [items, draggedIndex]);
+
+  const showError = (message) => setMessageBox({ show: true, message, type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+
+  const saveOrder = async (newItems) => {
+    setOrderedItems(newItems);
+    try {
+      await repository.program.reorder(newItems.map(item => item.id));
+    } catch (error) {
+      console.error("Error saving program order:", error);
+      showError('Failed to save the new order. Please try again.');
+      setOrderedItems(items);
+    }
+  };
+
+  const moveItem = (fromIndex, toIndex) => {
+    if (toIndex < 0 || toIndex >= orderedItems.length || fromIndex === toIndex) return orderedItems;
+    const newItems = [...orderedItems];
+    const [moved] = newItems.splice(fromIndex, 1);
+    newItems.splice(toIndex, 0, moved);
+    return newItems;
+  };
+
+  const handleDragOver = (e, index) => {
+    e.preventDefault();
+    if (draggedIndex === null || draggedIndex === index) return;
+    setOrderedItems(moveItem(draggedIndex, index));
+    setDraggedIndex(index);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDraggedIndex(null);
+    saveOrder(orderedItems);
+  };
+
+  const handleSaveItem = async (data) => {
+    try {
+      if (editingId === 'new') {
+        await repository.program.create({ ...data, order: orderedItems.length });
+      } else {
+        await repository.program.update(editingId, data);
+      }
+      setEditingId(null);
+    } catch (error) {
+      console.error("Error saving program item:", error);
+      showError('Failed to save the program item. Please try again.');
+    }
+  };
+
+  const handleDeleteItem = (item) => {
+    setMessageBox({
+      show: true,
+      message: `Remove "${item.pieceName}" from the program?`,
+      type: 'confirm',
+      onCancel: () => setMessageBox({ show: false }),
+      onConfirm: async () => {
+        setMessageBox({ show: false });
+        try {
+          await repository.program.remove(item.id);
+        } catch (error) {
+          console.error("Error removing program item:", error);
+          showError('Failed to remove the program item. Please try again.');
+        }
+      }
+    });
+  };
 
+  const handleStartWithMargam = async () => {
+    try {
+      await repository.program.createMany(TRADITIONAL_MARGAM.map((pieceName, index) => (
+        { ...EMPTY_PROGRAM_ITEM, pieceName, durationMinutes: 0, order: index }
+      )));
+    } catch (error) {
+      console.error("Error creating traditional margam:", error);
+      showError('Failed to create the program. Please try again.');
+    }
+  };
+
+
+  return (
+    <div className="space-y-4">
+      {orderedItems.length === 0 && editingId === null && (
+        <div className="text-center">
+          <Button
+            onClick={handleStartWithMargam}
+          >
+            Start with the traditional margam
+          </Button>
+        </div>
+      )}
+      {orderedItems.map((item, index) => (
+        editingId === item.id ? (
+          <ProgramItemForm key={item.id} initialItem={item} stories={stories} photos={photos} onSave={handleSaveItem} onCancel={() => setEditingId(null)} />
+        ) : (
+          <div
+            key={item.id}
+            draggable={editingId === null}
+            onDragStart={() => setDraggedIndex(index)}
+            onDragOver={(e) => handleDragOver(e, index)}
+            onDrop={handleDrop}
+            onDragEnd={() => setDraggedIndex(null)}
+            className={`flex items-center gap-4 bg-white rounded-lg shadow p-4 border cursor-move ${draggedIndex === index ? 'border-primary-600 opacity-50' : 'border-primary-200'}`}
+          >
+            <span className="text-gray-400 select-none" aria-hidden="true">&#8942;&#8942;</span>
+            <div className="flex-grow">
+              <p className="font-semibold text-primary-700">{index + 1}. {item.pieceName}</p>
+              <p className="text-sm text-gray-500">{[item.raga, item.tala].filter(Boolean).join(' · ')}</p>
+            </div>
+            <div className="flex flex-wrap gap-2 justify-end">
+              <Button variant="neutral" size="xs" onClick={() => saveOrder(moveItem(index, index - 1))} disabled={index === 0} aria-label={`Move ${item.pieceName} up`}>&uarr;</Button>
+              <Button variant="neutral" size="xs" onClick={() => saveOrder(moveItem(index, index + 1))} disabled={index === orderedItems.length - 1} aria-label={`Move ${item.pieceName} down`}>&darr;</Button>
+              <Button variant="neutral" size="xs" onClick={() => setEditingId(item.id)}>Edit</Button>
+              <Button variant="danger" size="xs" onClick={() => handleDeleteItem(item)}>Remove</Button>
+            </div>
+          </div>
+        )
+      ))}
+      {editingId === 'new' ? (
+        <ProgramItemForm initialItem={EMPTY_PROGRAM_ITEM} stories={stories} photos={photos} onSave={handleSaveItem} onCancel={() => setEditingId(null)} />
+      ) : (
+        <button
+          onClick={() => setEditingId('new')}
+          className="w-full px-6 py-3 border-2 border-dashed border-primary-300 text-primary-700 font-medium rounded-lg hover:bg-primary-50 transition duration-150 ease-in-out"
+        >
+          + Add Program Item
+        </button>
+      )}
+      <MessageBox
+        show={messageBox.show}
+        message={messageBox.message}
+        type={messageBox.type}
+        onConfirm={messageBox.onConfirm}
+        onCancel={messageBox.onCancel}
+      />
+    </div>
+  );
+};
+
+const ProgramPage = () => {
+  const { repository, role, isAuthReady } = useData();
+  const { t } = useLanguage();
+  const [items, setItems] = useState([]);
+  const [stories, setStories] = useState([]);
+  const [photos, setPhotos] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isEditing, setIsEditing] = useState(false);
 
   useEffect(() => {
-    if (!db || !isAuthReady || !storyId) return;
+    if (!repository || !isAuthReady) {
+      console.log("ProgramPage: Data or Auth not ready. Skipping program fetch.");
+      return;
+    }
 
-    // Determine appId based on environment
-    const appId = typeof __app_id !== 'undefined' ? __app_id : process.env.REACT_APP_APP_ID || 'default-app-id';
+    const unsubscribe = repository.program.subscribe(
+      (fetchedItems) => {
+        setItems(fetchedItems);
+        setLoading(false);
+      },
+      (err) => {
+        console.error("Error fetching program:", err);
+        setError('program.loadError');
+        setLoading(false);
+      }
+    );
 
-    // Fetch story details
-    const storyDocRef = doc(db, `artifacts/${appId}/public/data/stories`, storyId);
-    const fetchStory = async () => {
+    // Stories and photos that program items can link to
+    const fetchLinkTargets = async () => {
       try {
-        const docSnap = await getDoc(storyDocRef);
-        if (docSnap.exists()) {
-          setStory({ id: docSnap.id, ...docSnap.data() });
-        } else {
-          setStoryError("Story not found.");
-        }
+        const [fetchedStories, fetchedPhotos] = await Promise.all([
+          // Only the author can read scheduled stories before their publishAt
+          repository.stories.listPublished({ includeScheduled: role === 'author' }),
+          repository.photos.listAll()
+        ]);
+        setStories(fetchedStories);
+        setPhotos(fetchedPhotos);
       } catch (err) {
-        console.error("Error fetching story:", err);
-        setStoryError("Failed to load story details.");
-      } finally {
-        setLoadingStory(false);
+        console.error("Error fetching stories and photos for the program:", err);
       }
     };
-    fetchStory();
+    fetchLinkTargets();
+
+    return () => unsubscribe(); // Cleanup listener
+  }, [repository, isAuthReady, role]);
+
+  const storiesById = useMemo(() => Object.fromEntries(stories.map(story => [story.id, story])), [stories]);
+  const photosById = useMemo(() => Object.fromEntries(photos.map(photo => [photo.id, photo])), [photos]);
+  const totalMinutes = items.reduce((sum, item) => sum + (Number(item.durationMinutes) || 0), 0);
+
+  if (loading) return <div className="text-center py-16 text-xl text-primary-700">{t('program.loading')}</div>;
+  if (error) return <div className="text-center py-16 text-xl text-red-600">{t(error)}</div>;
+
+  return (
+    <section className="py-16 bg-gradient-to-br from-primary-50 to-secondary-100">
+      <div className="container mx-auto px-4 max-w-3xl">
+        <h2 className="text-4xl font-bold text-center text-primary-800 mb-4">{t('program.title')}</h2>
+        <p className="text-center text-gray-600 mb-12">
+          {t('program.subtitle')}{totalMinutes > 0 && <> &middot; {t('program.totalDuration', { duration: formatDuration(totalMinutes, t) })}</>}
+        </p>
+        {role === 'author' && <LiveControlPanel items={items} />}
+        {role === 'author' && (
+          <div className="text-center mb-8">
+            <Button
+              onClick={() => setIsEditing(!isEditing)}
+            >
+              {isEditing ? 'Done Editing' : 'Edit Program'}
+            </Button>
+          </div>
+        )}
+        {role === 'author' && isEditing ? (
+          <ProgramEditor items={items} stories={stories} photos={photos} />
+        ) : items.length === 0 ? (
+          <p className="text-center text-gray-600 text-lg">{t('program.empty')}</p>
+        ) : (
+          <div className="space-y-6">
+            {items.map((item, index) => (
+              <ProgramItemCard key={item.id} item={item} position={index + 1} storiesById={storiesById} photosById={photosById} />
+            ))}
+          </div>
+        )}
+      </div>
+    </section>
+  );
+};
+
+// --- Live Mode ---
+// On the performance day the author marks the program item being performed, and every open client follows along
+const LIVE_TICKER_SIZE = 10;
+const LIVE_TICKER_INTERVAL_MS = 6000;
+
+// Formats elapsed seconds as m:ss, or h:mm:ss past the hour
+const formatElapsed = (totalSeconds) => {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+// Listens to the shared live state document: { active, currentItemId, startedAt, updatedAt }
+const useLiveState = () => {
+  const { repository, isAuthReady } = useData();
+  const [liveState, setLiveState] = useState(null);
+
+  useEffect(() => {
+    if (!repository || !isAuthReady) return;
+
+    const unsubscribe = repository.live.subscribe(
+      (state) => setLiveState(state),
+      (err) => console.error("Error fetching live state:", err)
+    );
+
+    return () => unsubscribe(); // Cleanup listener
+  }, [repository, isAuthReady]);
+
+  return liveState;
+};
+
+// Seconds since startMillis, updated every second
+const useElapsedSeconds = (startMillis) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!startMillis) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [startMillis]);
+
+  return startMillis ? Math.max(0, Math.floor((now - startMillis) / 1000)) : 0;
+};
+
+// Shown above every page while the author has live mode switched on
+const LiveBanner = () => {
+  const { repository, isAuthReady } = useData();
+  const { t } = useLanguage();
+  const liveState = useLiveState();
+  const isLive = Boolean(liveState?.active);
+  const [programItems, setProgramItems] = useState([]);
+  const [tickerMessages, setTickerMessages] = useState([]);
+  const [tickerIndex, setTickerIndex] = useState(0);
+  const elapsedSeconds = useElapsedSeconds(isLive ? liveState.startedAt?.toMillis() : null);
+
+  useEffect(() => {
+    if (!repository || !isAuthReady || !isLive) return;
+
+    const unsubscribeProgram = repository.program.subscribe(
+      (items) => setProgramItems(items),
+      (err) => console.error("Error fetching program for live banner:", err)
+    );
+    // The guestbook ticker shows the latest approved feedback
+    const unsubscribeFeedback = repository.feedback.subscribeLatestApproved(LIVE_TICKER_SIZE,
+      (messages) => setTickerMessages(messages),
+      (err) => console.error("Error fetching feedback for live banner:", err)
+    );
+
+    return () => {
+      unsubscribeProgram(); // Cleanup program listener
+      unsubscribeFeedback(); // Cleanup feedback listener
+    };
+  }, [repository, isAuthReady, isLive]);
+
+  useEffect(() => {
+    if (tickerMessages.length < 2) return;
+    const interval = setInterval(() => setTickerIndex(index => index + 1), LIVE_TICKER_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [tickerMessages.length]);
+
+  if (!isLive) return null;
+
+  const currentIndex = programItems.findIndex(item => item.id === liveState.currentItemId);
+  const currentItem = programItems[currentIndex];
+  const nextItem = programItems[currentIndex + 1]; // The first item while nothing is current yet
+  const tickerMessage = tickerMessages[tickerIndex % tickerMessages.length];
+
+  return (
+    <div className="bg-gradient-to-r from-primary-900 to-secondary-800 text-white shadow-lg" role="status" aria-live="polite">
+      <div className="container mx-auto px-4 py-3 flex flex-col md:flex-row md:items-center gap-2 md:gap-6">
+        <span className="flex items-center gap-2 font-bold uppercase tracking-wide text-sm">
+          <span className="w-3 h-3 rounded-full bg-red-500 animate-pulse" aria-hidden="true"></span>
+          {t('live.badge')}
+        </span>
+        <div className="flex-grow">
+          {currentItem ? (
+            <p className="text-lg">
+              {t('live.nowPerforming')} <Link to={buildPath('program')} className="font-semibold hover:underline">{currentItem.pieceName}</Link>
+              <span className="ml-2 text-primary-200 text-sm tabular-nums">{formatElapsed(elapsedSeconds)}</span>
+            </p>
+          ) : (
+            <p className="text-lg">{t('live.startingSoon')}</p>
+          )}
+          {nextItem && <p className="text-sm text-primary-200">{t('live.upNext', { piece: nextItem.pieceName })}</p>}
+        </div>
+        {tickerMessage && (
+          <Link to={buildPath('feedback')} className="md:max-w-sm text-sm text-primary-100 italic truncate hover:underline" key={tickerMessage.id}>
+            &ldquo;{tickerMessage.message}&rdquo; &mdash; {tickerMessage.name}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Author controls for live mode, shown on the Program page
+const LiveControlPanel = ({ items }) => {
+  const { repository } = useData();
+  const liveState = useLiveState();
+  const isLive = Boolean(liveState?.active);
+  const [saving, setSaving] = useState(false);
+  const [messageBox, setMessageBox] = useState({ show: false, message: '', type: 'alert', onConfirm: null });
+
+  const updateLiveState = async (changes) => {
+    setSaving(true);
+    try {
+      await repository.live.update(changes);
+    } catch (error) {
+      console.error("Error updating live state:", error);
+      setMessageBox({ show: true, message: 'Failed to update live mode. Please try again.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Setting the current item restarts the elapsed timer
+  const setCurrentItem = (itemId) => updateLiveState({ currentItemId: itemId, startedAt: itemId ? repository.serverTime() : null });
+
+  const currentIndex = items.findIndex(item => item.id === liveState?.currentItemId);
+
+  return (
+    <Card padding="md" className="mb-8">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <h3 className="text-2xl font-bold text-primary-800">Live Mode</h3>
+        <Button
+          onClick={() => updateLiveState(isLive ? { active: false } : { active: true, currentItemId: null, startedAt: null })}
+          disabled={saving}
+          variant={isLive ? 'danger' : 'primary'}
+        >
+          {isLive ? 'End Live Mode' : 'Go Live'}
+        </Button>
+      </div>
+      {isLive ? (
+        <div className="space-y-4">
+          <div>
+            <label htmlFor="liveCurrentItem" className="block text-gray-700 text-sm font-bold mb-1">Now performing:</label>
+            <TextField
+              as="select"
+              size="sm"
+              id="liveCurrentItem"
+              value={liveState.currentItemId || ''}
+              onChange={(e) => setCurrentItem(e.target.value || null)}
+              disabled={saving}
+            >
+              <option value="">Not started</option>
+              {items.map((item, index) => <option key={item.id} value={item.id}>{index + 1}. {item.pieceName}</option>)}
+            </TextField>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <Button variant="neutral" onClick={() => setCurrentItem(items[currentIndex - 1]?.id || null)} disabled={saving || currentIndex < 0}>
+              &larr; Previous
+            </Button>
+            <Button variant="neutral" onClick={() => setCurrentItem(items[currentIndex + 1].id)} disabled={saving || currentIndex >= items.length - 1}>
+              Next &rarr;
+            </Button>
+            <Button variant="neutral" onClick={() => setCurrentItem(liveState.currentItemId)} disabled={saving || currentIndex < 0}>
+              Restart Timer
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <p className="text-gray-600">Go live on the performance day to show every visitor what is being performed right now.</p>
+      )}
+      <MessageBox
+        show={messageBox.show}
+        message={messageBox.message}
+        type={messageBox.type}
+        onConfirm={messageBox.onConfirm}
+      />
+    </Card>
+  );
+};
+
+// --- RSVP ---
+// Limits shared with the rsvps rules in firestore.rules
+const RSVP_MAX_PARTY_SIZE = 10;
+const RSVP_MAX_NAME_LENGTH = 100;
+const RSVP_MAX_DIETARY_LENGTH = 500;
+const RSVP_MAX_MESSAGE_LENGTH = 1000;
+const RSVP_MIN_UPDATE_INTERVAL_MS = 30 * 1000; // A guest may change their RSVP at most every 30 seconds
+
+// Returns a translated error message for an invalid RSVP, or null if it can be saved
+const validateRsvp = ({ name, attending, partySize, dietaryNeeds, message }, t) => {
+  if (!name.trim()) return t('rsvp.errorName');
+  if (name.trim().length > RSVP_MAX_NAME_LENGTH) return t('rsvp.errorNameLength', { max: RSVP_MAX_NAME_LENGTH });
+  if (attending && (!Number.isInteger(partySize) || partySize < 1 || partySize > RSVP_MAX_PARTY_SIZE)) {
+    return t('rsvp.errorPartySize', { max: RSVP_MAX_PARTY_SIZE });
+  }
+  if (dietaryNeeds.length > RSVP_MAX_DIETARY_LENGTH) return t('rsvp.errorDietaryLength', { max: RSVP_MAX_DIETARY_LENGTH });
+  if (message.length > RSVP_MAX_MESSAGE_LENGTH) return t('rsvp.errorMessageLength', { max: RSVP_MAX_MESSAGE_LENGTH });
+  return null;
+};
+
+// Builds CSV text from an array of rows, quoting every cell and defusing spreadsheet formulas
+const toCsv = (rows) => rows
+  .map(row => row.map(cell => {
+    const text = String(cell ?? '');
+    const safeText = /^[=+\-@]/.test(text) ? `'${text}` : text;
+    return `"${safeText.replace(/"/g, '""')}"`;
+  }).join(','))
+  .join('\r\n');
+
+const Rsvp = () => {
+  const { repository, userId, isAuthReady } = useData();
+  const { t } = useLanguage();
+  const [existingRsvp, setExistingRsvp] = useState(null);
+  const [name, setName] = useState('');
+  const [attending, setAttending] = useState(true);
+  const [partySize, setPartySize] = useState(1);
+  const [dietaryNeeds, setDietaryNeeds] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [messageBox, setMessageBox] = useState({ show: false, message: '', type: 'alert', onConfirm: null });
+
+  // Each guest's RSVP is stored under their user ID, so returning guests can change it
+  useEffect(() => {
+    if (!repository || !isAuthReady || !userId) {
+      console.log("Rsvp: Data, Auth or User ID not ready. Skipping RSVP fetch.");
+      return;
+    }
 
-    // Listen for comments
-    const commentsCollectionRef = collection(db, `artifacts/${appId}/public/data/comments`);
-    const q = query(commentsCollectionRef, orderBy('createdAt', 'asc'));
-
-    const unsubscribeComments = onSnapshot(q,
-      (snapshot) => {
-        const fetchedComments = snapshot.docs
-          .map(doc => ({ id: doc.id, ...doc.data() }))
-          .filter(comment => comment.storyId === storyId); // Filter comments for this specific story
-        setComments(fetchedComments);
-        setLoadingComments(false);
+    const unsubscribe = repository.rsvps.subscribe(userId,
+      (data) => {
+        if (!data) return;
+        setExistingRsvp(data);
+        setName(data.name);
+        setAttending(data.attending);
+        setPartySize(data.partySize || 1);
+        setDietaryNeeds(data.dietaryNeeds);
+        setMessage(data.message);
       },
-      (err) => {
-        console.error("Error fetching comments:", err);
-        setCommentError("Failed to load comments.");
-        setLoadingComments(false);
-      }
+      (err) => console.error("Error fetching RSVP:", err)
     );
 
-    return () => unsubscribeComments(); // Cleanup comments listener
-  }, [db, storyId, isAuthReady]);
+    return () => unsubscribe(); // Cleanup listener
+  }, [repository, isAuthReady, userId]);
 
-  const handleAddComment = async (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!newComment.trim() || !commenterName.trim()) {
-      setMessageBox({ show: true, message: 'Please enter your name and a comment.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+    const rsvp = {
+      name: name.trim(),
+      attending,
+      partySize: attending ? Number(partySize) : 0,
+      dietaryNeeds: attending ? dietaryNeeds.trim() : '',
+      message: message.trim()
+    };
+    const validationError = validateRsvp(rsvp, t);
+    if (validationError) {
+      setMessageBox({ show: true, message: validationError, type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+      return;
+    }
+    const lastUpdated = existingRsvp?.updatedAt?.toMillis();
+    if (lastUpdated && Date.now() - lastUpdated < RSVP_MIN_UPDATE_INTERVAL_MS) {
+      setMessageBox({ show: true, message: t('rsvp.tooSoon'), type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
       return;
     }
 
+    setLoading(true);
     try {
-      // Determine appId based on environment
-      const appId = typeof __app_id !== 'undefined' ? __app_id : process.env.REACT_APP_APP_ID || 'default-app-id';
-      await addDoc(collection(db, `artifacts/${appId}/public/data/comments`), {
-        storyId: storyId,
-        commentText: newComment,
-        commenterName: commenterName,
-        createdAt: serverTimestamp(),
-        userId: userId // Store the commenter's user ID
-      });
-      setNewComment('');
-      setCommenterName('');
-      setMessageBox({ show: true, message: 'Comment added successfully!', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+      await repository.rsvps.save(userId, rsvp, existingRsvp);
+      setMessageBox({ show: true, message: t(existingRsvp ? 'rsvp.updated' : 'rsvp.sent'), type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
     } catch (error) {
-      console.error("Error adding comment:", error);
-      setMessageBox({ show: true, message: 'Failed to add comment. Please try again.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+      console.error("Error saving RSVP:", error);
+      setMessageBox({ show: true, message: t('rsvp.saveFailed'), type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+    } finally {
+      setLoading(false);
     }
   };
 
-  if (loadingStory || loadingComments) return <div className="text-center py-16 text-xl text-purple-700">Loading story...</div>;
-  if (storyError) return <div className="text-center py-16 text-xl text-red-600">{storyError}</div>;
-  if (!story) return <div className="text-center py-16 text-xl text-gray-600">Story not found.</div>;
+  if (!isAuthReady) {
+    return <div className="text-center py-16 text-xl text-primary-700">{t('common.loadingAuth')}</div>;
+  }
+
 
   return (
-    <section className="py-16 bg-gradient-to-br from-white to-purple-50">
+    <section className="py-16 bg-gradient-to-br from-secondary-50 to-primary-100">
       <div className="container mx-auto px-4 max-w-3xl">
-        <button
-          onClick={() => setCurrentPage('stories')}
-          className="mb-8 px-6 py-2 bg-purple-600 text-white rounded-full hover:bg-purple-700 transition duration-300 ease-in-out transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-opacity-50"
-        >
-          &larr; Back to Stories
-        </button>
-
-        <div className="bg-white rounded-xl shadow-lg p-8 border border-purple-200">
-          <img
-            src={story.imageUrl || 'https://placehold.co/800x500/DDA0DD/4B0082?text=Story+Image'}
-            alt={story.title}
-            className="w-full h-80 object-cover"
-            onError={(e) => { e.target.onerror = null; e.target.src = 'https://placehold.co/800x500/CCCCCC/000000?text=Image+Error'; }}
-          />
-          <h2 className="text-4xl font-bold text-purple-800 mb-4">{story.title}</h2>
-          <p className="text-gray-700 leading-relaxed mb-6 whitespace-pre-wrap">{story.content}</p>
-          <p className="text-sm text-gray-500 italic">
-            Published by Gayathri on {story.createdAt?.toDate().toLocaleDateString() || 'N/A'}
-          </p>
-        </div>
-
-        {/* Comments Section */}
-        <div className="mt-12 bg-white rounded-xl shadow-lg p-8 border border-purple-200">
-          <h3 className="text-3xl font-bold text-purple-800 mb-6">Comments</h3>
-          {commentError && <p className="text-red-600 mb-4">{commentError}</p>}
-          {comments.length === 0 ? (
-            <p className="text-gray-600 mb-6">No comments yet. Be the first to leave one!</p>
-          ) : (
-            <div className="space-y-6 mb-8">
-              {comments.map(comment => (
-                <div key={comment.id} className="bg-gray-50 p-4 rounded-lg border border-gray-200 shadow-sm">
-                  <p className="font-semibold text-gray-800">{comment.commenterName}</p>
-                  <p className="text-gray-700 mt-1">{comment.commentText}</p>
-                  <p className="text-xs text-gray-500 mt-2">
-                    {comment.createdAt?.toDate().toLocaleString() || 'N/A'}
-                  </p>
-                </div>
-              ))}
-            </div>
-          )}
-
-          {/* Add Comment Form */}
-          <form onSubmit={handleAddComment} className="space-y-4">
-            <h4 className="text-2xl font-semibold text-purple-700 mb-4">Leave a Comment</h4>
-            <div>
-              <label htmlFor="commenterName" className="block text-gray-700 text-sm font-bold mb-2">
-                Your Name:
-              </label>
-              <input
-                type="text"
-                id="commenterName"
-                value={commenterName}
-                onChange={(e) => setCommenterName(e.target.value)}
-                className="shadow appearance-none border rounded-md w-full py-3 px-4 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition duration-200"
-                required
-              />
-            </div>
-            <div>
-              <label htmlFor="newComment" className="block text-gray-700 text-sm font-bold mb-2">
-                Your Comment:
-              </label>
-              <textarea
-                id="newComment"
-                value={newComment}
-                onChange={(e) => setNewComment(e.target.value)}
-                rows="4"
-                className="shadow appearance-none border rounded-md w-full py-3 px-4 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition duration-200"
-                required
-              ></textarea>
-            </div>
-            <button
+        <h2 className="text-4xl font-bold text-center text-primary-800 mb-4">{t('rsvp.title')}</h2>
+        <p className="text-center text-gray-600 mb-12">
+          {t(existingRsvp ? 'rsvp.introExisting' : 'rsvp.intro')}
+        </p>
+        <Card>
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <TextField
+              label={t('common.yourName')}
+              type="text"
+              id="rsvpName"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              maxLength={RSVP_MAX_NAME_LENGTH}
+              required
+            />
+            <fieldset>
+              <legend className="block text-gray-700 text-sm font-bold mb-2">{t('rsvp.attendingQuestion')}</legend>
+              <div className="flex gap-6">
+                <label className="flex items-center gap-2 text-gray-700">
+                  <input type="radio" name="rsvpAttending" checked={attending} onChange={() => setAttending(true)} />
+                  {t('rsvp.attendingYes')}
+                </label>
+                <label className="flex items-center gap-2 text-gray-700">
+                  <input type="radio" name="rsvpAttending" checked={!attending} onChange={() => setAttending(false)} />
+                  {t('rsvp.attendingNo')}
+                </label>
+              </div>
+            </fieldset>
+            {attending && (
+              <>
+                <TextField
+                  label={t('rsvp.partySize')}
+                  type="number"
+                  id="rsvpPartySize"
+                  min="1"
+                  max={RSVP_MAX_PARTY_SIZE}
+                  value={partySize}
+                  onChange={(e) => setPartySize(e.target.value)}
+                  required
+                />
+                <TextField
+                  label={t('rsvp.dietaryNeeds')}
+                  type="text"
+                  id="rsvpDietaryNeeds"
+                  value={dietaryNeeds}
+                  onChange={(e) => setDietaryNeeds(e.target.value)}
+                  maxLength={RSVP_MAX_DIETARY_LENGTH}
+                  placeholder={t('rsvp.dietaryPlaceholder')}
+                />
+              </>
+            )}
+            <TextField
+              as="textarea"
+              label={t('rsvp.message')}
+              id="rsvpMessage"
+              value={message}
+              onChange={(e) => setMessage(e.target.value)}
+              maxLength={RSVP_MAX_MESSAGE_LENGTH}
+              rows="4"
+            />
+            <Button
               type="submit"
-              className="w-full px-6 py-3 bg-purple-600 text-white font-bold rounded-full hover:bg-purple-700 transition duration-300 ease-in-out transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-opacity-50"
+              size="lg"
+              disabled={loading}
             >
-              Post Comment
-            </button>
+              {loading ? t('rsvp.saving') : t(existingRsvp ? 'rsvp.update' : 'rsvp.send')}
+            </Button>
           </form>
-        </div>
+        </Card>
       </div>
       <MessageBox
         show={messageBox.show}
         message={messageBox.message}
         type={messageBox.type}
         onConfirm={messageBox.onConfirm}
-        onCancel={messageBox.onCancel}
       />
     </section>
   );
 };
 
-// --- Add Story Form (for daughter) ---
-const AddStoryForm = () => {
-  const { db, userId, isAuthReady } = useFirebase();
-  const [title, setTitle] = useState('');
-  const [content, setContent] = useState('');
-  const [imageUrl, setImageUrl] = useState('');
+// --- RSVP Dashboard (author only) ---
+const RsvpDashboard = () => {
+  const { repository, role, isAuthReady } = useData();
+  const { formatDateTime } = useLanguage();
+  const [rsvps, setRsvps] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [search, setSearch] = useState('');
+
+  useEffect(() => {
+    if (!repository || !isAuthReady || role !== 'author') {
+      console.log("RsvpDashboard: Data or Auth not ready, or not the author. Skipping RSVP fetch.");
+      return;
+    }
+
+    const unsubscribe = repository.rsvps.subscribeAll(
+      (fetchedRsvps) => {
+        setRsvps(fetchedRsvps);
+        setLoading(false);
+      },
+      (err) => {
+        console.error("Error fetching RSVPs:", err);
+        setError("Failed to load RSVPs. Please try again later.");
+        setLoading(false);
+      }
+    );
+
+    return () => unsubscribe(); // Cleanup listener
+  }, [repository, isAuthReady, role]);
+
+  const attendingRsvps = rsvps.filter(rsvp => rsvp.attending);
+  const totals = {
+    responses: rsvps.length,
+    headcount: attendingRsvps.reduce((sum, rsvp) => sum + rsvp.partySize, 0),
+    parties: attendingRsvps.length,
+    declined: rsvps.length - attendingRsvps.length,
+    dietary: attendingRsvps.filter(rsvp => rsvp.dietaryNeeds).length
+  };
+
+  const searchTerm = search.trim().toLowerCase();
+  const filteredRsvps = searchTerm
+    ? rsvps.filter(rsvp => [rsvp.name, rsvp.dietaryNeeds, rsvp.message].some(field => field?.toLowerCase().includes(searchTerm)))
+    : rsvps;
+
+  const handleExportCsv = () => {
+    const rows = [
+      ['Name', 'Attending', 'Party Size', 'Dietary Needs', 'Message', 'Last Updated'],
+      ...rsvps.map(rsvp => [
+        rsvp.name,
+        rsvp.attending ? 'Yes' : 'No',
+        rsvp.partySize,
+        rsvp.dietaryNeeds,
+        rsvp.message,
+        rsvp.updatedAt?.toDate().toISOString() || ''
+      ])
+    ];
+    const url = URL.createObjectURL(new Blob([toCsv(rows)], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'rsvps.csv';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (!isAuthReady) {
+    return <div className="text-center py-16 text-xl text-primary-700">Loading authentication...</div>;
+  }
+  if (role !== 'author') {
+    return <div className="text-center py-16 text-xl text-gray-600">Only the author can view the guest list.</div>;
+  }
+  if (loading) return <div className="text-center py-16 text-xl text-primary-700">Loading RSVPs...</div>;
+
+  const stats = [
+    ['Expected guests', totals.headcount],
+    ['Attending parties', totals.parties],
+    ['Declined', totals.declined],
+    ['Dietary needs', totals.dietary]
+  ];
+
+  return (
+    <section className="py-16 bg-gradient-to-br from-primary-50 to-secondary-100">
+      <div className="container mx-auto px-4 max-w-5xl">
+        <h2 className="text-4xl font-bold text-center text-primary-800 mb-12">Guest List</h2>
+        {error && <p className="text-center text-red-600 mb-4">{error}</p>}
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+          {stats.map(([label, value]) => (
+            <Card key={label} padding="md" className="text-center">
+              <p className="text-3xl font-bold text-primary-700">{value}</p>
+              <p className="text-sm text-gray-600 mt-1">{label}</p>
+            </Card>
+          ))}
+        </div>
+
+        <Card>
+          <div className="flex flex-col md:flex-row gap-4 md:items-center justify-between mb-6">
+            <h3 className="text-3xl font-bold text-primary-800">Responses ({totals.responses})</h3>
+            <div className="flex gap-4">
+              <TextField
+                type="search"
+                size="sm"
+                fullWidth={false}
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search guests..."
+                aria-label="Search guests"
+              />
+              <Button
+                onClick={handleExportCsv}
+                disabled={rsvps.length === 0}
+                className="whitespace-nowrap"
+              >
+                Export CSV
+              </Button>
+            </div>
+          </div>
+          {filteredRsvps.length === 0 ? (
+            <p className="text-gray-600">{rsvps.length === 0 ? 'No RSVPs yet.' : 'No guests match your search.'}</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-left text-gray-700">
+                <thead>
+                  <tr className="border-b border-primary-200 text-sm text-primary-800">
+                    <th className="py-2 pr-4">Name</th>
+                    <th className="py-2 pr-4">Attending</th>
+                    <th className="py-2 pr-4">Party</th>
+                    <th className="py-2 pr-4">Dietary Needs</th>
+                    <th className="py-2 pr-4">Message</th>
+                    <th className="py-2">Updated</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredRsvps.map(rsvp => (
+                    <tr key={rsvp.id} className="border-b border-gray-100 align-top">
+                      <td className="py-2 pr-4 font-semibold">{rsvp.name}</td>
+                      <td className="py-2 pr-4">{rsvp.attending ? 'Yes' : 'No'}</td>
+                      <td className="py-2 pr-4">{rsvp.attending ? rsvp.partySize : '-'}</td>
+                      <td className="py-2 pr-4">{rsvp.dietaryNeeds}</td>
+                      <td className="py-2 pr-4 whitespace-pre-wrap">{rsvp.message}</td>
+                      <td className="py-2 text-sm text-gray-500">{formatDateTime(rsvp.updatedAt)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </Card>
+      </div>
+    </section>
+  );
+};
+
+// --- Author Sign In ---
+const AuthorSignIn = () => {
+  const { repository, role, isAuthReady, signInAsAuthor } = useData();
+  const { navigate } = useRouter();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
   const [messageBox, setMessageBox] = useState({ show: false, message: '', type: 'alert', onConfirm: null });
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!title.trim() || !content.trim()) {
-      setMessageBox({ show: true, message: 'Please fill in all required fields.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+    if (!email.trim() || !password) {
+      setMessageBox({ show: true, message: 'Please enter your email and password.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
       return;
     }
 
     setLoading(true);
     try {
-      // Determine appId based on environment
-      const appId = typeof __app_id !== 'undefined' ? __app_id : process.env.REACT_APP_APP_ID || 'default-app-id';
-      await addDoc(collection(db, `artifacts/${appId}/public/data/stories`), {
-        title,
-        content,
-        imageUrl: imageUrl || 'https://placehold.co/800x600/DDA0DD/4B0082?text=Default+Story+Image', // Default image if none provided
-        authorId: userId, // The daughter's user ID
-        createdAt: serverTimestamp()
-      });
-      setTitle('');
-      setContent('');
-      setImageUrl('');
-      setMessageBox({ show: true, message: 'Story added successfully!', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+      await signInAsAuthor(email.trim(), password);
+      setPassword('');
+      navigate(buildPath('addStory'));
     } catch (error) {
-      console.error("Error adding story:", error);
-      setMessageBox({ show: true, message: 'Failed to add story. Please try again.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+      console.error("Error signing in as author:", error);
+      setMessageBox({ show: true, message: 'Sign in failed. Please check your email and password.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
     } finally {
       setLoading(false);
     }
   };
 
   if (!isAuthReady) {
-    return <div className="text-center py-16 text-xl text-purple-700">Loading authentication...</div>;
+    return <div className="text-center py-16 text-xl text-primary-700">Loading authentication...</div>;
+  }
+
+  if (role === 'author') {
+    return <div className="text-center py-16 text-xl text-primary-700">You are signed in as the author.</div>;
   }
 
   return (
-    <section className="py-16 bg-gradient-to-br from-purple-50 to-indigo-100">
-      <div className="container mx-auto px-4 max-w-2xl">
-        <h2 className="text-4xl font-bold text-center text-purple-800 mb-12">Add New Dance Story</h2>
-        <div className="bg-white rounded-xl shadow-lg p-8 border border-purple-200">
+    <section className="py-16 bg-gradient-to-br from-primary-50 to-secondary-100">
+      <div className="container mx-auto px-4 max-w-md">
+        <h2 className="text-4xl font-bold text-center text-primary-800 mb-12">Author Sign In</h2>
+        <Card>
+          {repository.backend === 'local' && (
+            <p className="text-sm text-gray-600 bg-primary-50 border border-primary-200 rounded-md p-3 mb-6">
+              This site is running without Firebase, keeping everything in this browser. Any email and password sign you in as the author.
+            </p>
+          )}
           <form onSubmit={handleSubmit} className="space-y-6">
-            <div>
-              <label htmlFor="storyTitle" className="block text-gray-700 text-sm font-bold mb-2">
-                Story Title:
-              </label>
-              <input
-                type="text"
-                id="storyTitle"
-                value={title}
-                onChange={(e) => setTitle(e.target.value)}
-                className="shadow appearance-none border rounded-md w-full py-3 px-4 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition duration-200"
-                required
-              />
-            </div>
-            <div>
-              <label htmlFor="storyContent" className="block text-gray-700 text-sm font-bold mb-2">
-                Story Content:
-              </label>
-              <textarea
-                id="storyContent"
-                value={content}
-                onChange={(e) => setContent(e.target.value)}
-                rows="8"
-                className="shadow appearance-none border rounded-md w-full py-3 px-4 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition duration-200"
-                required
-              ></textarea>
-            </div>
-            <div>
-              <label htmlFor="imageUrl" className="block text-gray-700 text-sm font-bold mb-2">
-                Image URL (Optional):
-              </label>
-              <input
-                type="url"
-                id="imageUrl"
-                value={imageUrl}
-                onChange={(e) => setImageUrl(e.target.value)}
-                className="shadow appearance-none border rounded-md w-full py-3 px-4 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition duration-200"
-                placeholder="e.g., https://example.com/your-image.jpg"
-              />
-            </div>
-            <button
+            <TextField
+              label="Email:"
+              type="email"
+              id="authorEmail"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              autoComplete="username"
+              required
+            />
+            <TextField
+              label="Password:"
+              type="password"
+              id="authorPassword"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              required
+            />
+            <Button
               type="submit"
-              className="w-full px-6 py-3 bg-purple-600 text-white font-bold rounded-full hover:bg-purple-700 transition duration-300 ease-in-out transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-opacity-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              size="lg"
               disabled={loading}
             >
-              {loading ? 'Adding Story...' : 'Add Story'}
-            </button>
+              {loading ? 'Signing In...' : 'Sign In'}
+            </Button>
           </form>
-        </div>
+        </Card>
       </div>
       <MessageBox
         show={messageBox.show}
@@ -600,315 +3854,797 @@ const AddStoryForm = () => {
 };
 
 // --- Feedback Section ---
+const FEEDBACK_PAGE_SIZE = 10;
+// Length limits for the private note, checked again in firestore.rules
+const FEEDBACK_EMAIL_MAX_LENGTH = 254;
+const FEEDBACK_NOTE_MAX_LENGTH = 2000;
+
+const FEEDBACK_STATUS_KEYS = {
+  pending: 'feedback.statusPending',
+  approved: 'feedback.statusApproved',
+  rejected: 'feedback.statusRejected'
+};
+
+// Private notes left with guestbook entries, with the guest's email (author only)
+const FeedbackNotes = () => {
+  const { repository } = useData();
+  const { formatDateTime } = useLanguage();
+  const [notes, setNotes] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const unsubscribe = repository.feedback.subscribeNotes(setNotes, (err) => {
+      console.error("Error fetching private notes:", err);
+      setError("Failed to load private notes.");
+    });
+    return () => unsubscribe();
+  }, [repository]);
+
+  return (
+    <Card className="mb-12">
+      <h3 className="text-3xl font-bold text-primary-800 mb-2">Private Notes</h3>
+      <p className="text-sm text-gray-500 mb-6">Only you can see these notes and email addresses.</p>
+      {error && <p className="text-red-600 mb-4">{error}</p>}
+      {notes.length === 0 ? (
+        <p className="text-gray-600">No private notes yet.</p>
+      ) : (
+        <div className="space-y-4">
+          {notes.map(note => (
+            <div key={note.id} className="bg-gray-50 p-4 rounded-lg border border-gray-200 shadow-sm">
+              <p className="font-semibold text-gray-800">
+                {note.name}
+                {note.email && <a href={`mailto:${note.email}`} className="ml-2 text-sm font-normal text-primary-600 hover:underline">{note.email}</a>}
+              </p>
+              {note.note && <p className="text-gray-700 mt-1 whitespace-pre-wrap">{note.note}</p>}
+              <p className="text-xs text-gray-500 mt-2">{formatDateTime(note.createdAt)}</p>
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+};
+
 const Feedback = () => {
-  const { db, userId, isAuthReady } = useFirebase();
+  const { repository, userId, role, isAuthReady } = useData();
+  const { t, formatDateTime } = useLanguage();
   const [name, setName] = useState('');
   const [email, setEmail] = useState('');
   const [message, setMessage] = useState('');
+  const [privateNote, setPrivateNote] = useState('');
+  const [consented, setConsented] = useState(false);
+  const [myFeedback, setMyFeedback] = useState([]); // The guest's own entries, which they may delete
   const [loading, setLoading] = useState(false);
-  const [feedbackList, setFeedbackList] = useState([]);
-  const [feedbackError, setFeedbackError] = useState(null);
   const [messageBox, setMessageBox] = useState({ show: false, message: '', type: 'alert', onConfirm: null });
+  const { pendingEntries: pendingFeedback, submit: submitFeedback } = usePendingWrites();
+  const feedbackGuard = usePostGuard();
 
-  useEffect(() => {
-    if (!db || !isAuthReady) {
-      console.log("Feedback: DB or Auth not ready. Skipping feedback fetch.");
-      return;
+  const approvedFeedbackList = useMemo(() => {
+    if (!repository || !isAuthReady) {
+      console.log("Feedback: Data or Auth not ready. Skipping feedback fetch.");
+      return null;
     }
-    console.log("Feedback: Fetching feedback...");
-
-    // Determine appId based on environment
-    const appId = typeof __app_id !== 'undefined' ? __app_id : process.env.REACT_APP_APP_ID || 'default-app-id';
-    const feedbackCollectionRef = collection(db, `artifacts/${appId}/public/data/feedback`);
-    const q = query(feedbackCollectionRef, orderBy('createdAt', 'desc'));
-
-    const unsubscribe = onSnapshot(q,
-      (snapshot) => {
-        const fetchedFeedback = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
-        setFeedbackList(fetchedFeedback);
-        console.log("Feedback: Feedback fetched successfully.");
-      },
-      (err) => {
-        console.error("Error fetching feedback:", err);
-        setFeedbackError("Failed to load feedback.");
-      }
-    );
+    return repository.feedback.approvedList();
+  }, [repository, isAuthReady]);
 
-    return () => unsubscribe(); // Cleanup listener
-  }, [db, isAuthReady]);
+  const {
+    items: feedbackList,
+    loadingMore: loadingMoreFeedback,
+    hasMore: hasMoreFeedback,
+    loadMore: loadMoreFeedback,
+    error: feedbackQueryError
+  } = usePagedList(approvedFeedbackList, { pageSize: FEEDBACK_PAGE_SIZE });
+  const feedbackError = feedbackQueryError && t('feedback.loadError');
+  const unlistedPendingFeedback = pendingFeedback.filter(entry =>
+    !feedbackList.some(item => item.id === entry.id) && !myFeedback.some(item => item.id === entry.id));
+
+  useEffect(() => {
+    if (!repository || !isAuthReady || !userId || role === 'author') return;
+    const unsubscribe = repository.feedback.subscribeMine(userId, setMyFeedback,
+      (err) => console.error("Error fetching your feedback:", err)
+    );
+    return () => unsubscribe();
+  }, [repository, userId, role, isAuthReady]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (!name.trim() || !message.trim()) {
-      setMessageBox({ show: true, message: 'Please fill in your name and message.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+      setMessageBox({ show: true, message: t('feedback.missingFields'), type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+      return;
+    }
+    if (!consented) {
+      setMessageBox({ show: true, message: t('feedback.consentRequired'), type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
       return;
     }
 
     setLoading(true);
     try {
-      // Determine appId based on environment
-      const appId = typeof __app_id !== 'undefined' ? __app_id : process.env.REACT_APP_APP_ID || 'default-app-id';
-      await addDoc(collection(db, `artifacts/${appId}/public/data/feedback`), {
+      const postError = await feedbackGuard.check({ name, text: message });
+      if (postError === 'bot') {
+        setMessage('');
+        setMessageBox({ show: true, message: t('feedback.awaitingApproval'), type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+        return;
+      }
+      if (postError) {
+        setMessageBox({ show: true, message: postError, type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+        return;
+      }
+      const feedbackId = repository.newId();
+      // The email and private note never go in the public entry, which guests' browsers can read
+      const note = email.trim() || privateNote.trim() ? { name, email: email.trim(), note: privateNote.trim() } : null;
+      const result = await submitFeedback({ id: feedbackId, name, text: message }, repository.feedback.create({
         name,
-        email,
         message,
-        createdAt: serverTimestamp(),
-        userId: userId // Store the feedback giver's user ID
-      });
+        status: role === 'author' ? 'approved' : 'pending', // Guest feedback waits for moderation
+        userId: userId, // Store the feedback giver's user ID
+        consentedAt: repository.serverTime()
+      }, feedbackId, note));
       setName('');
       setEmail('');
       setMessage('');
-      setMessageBox({ show: true, message: 'Thank you for your feedback!', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+      setPrivateNote('');
+      setConsented(false);
+      feedbackGuard.reset();
+      const successMessage = result === 'pending'
+        ? t('feedback.queuedOffline')
+        : t(role === 'author' ? 'feedback.thanks' : 'feedback.awaitingApproval');
+      setMessageBox({ show: true, message: successMessage, type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
     } catch (error) {
       console.error("Error submitting feedback:", error);
-      setMessageBox({ show: true, message: 'Failed to submit feedback. Please try again.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+      setMessageBox({ show: true, message: t('feedback.submitFailed'), type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
     } finally {
       setLoading(false);
     }
   };
 
+  const handleDelete = (entry) => {
+    setMessageBox({
+      show: true,
+      message: t('feedback.deleteConfirm'),
+      type: 'confirm',
+      onCancel: () => setMessageBox({ show: false }),
+      onConfirm: async () => {
+        setMessageBox({ show: false });
+        try {
+          await repository.feedback.remove(entry.id);
+        } catch (error) {
+          console.error("Error deleting feedback:", error);
+          setMessageBox({ show: true, message: t('feedback.deleteFailed'), type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+        }
+      }
+    });
+  };
+
   if (!isAuthReady) {
-    return <div className="text-center py-16 text-xl text-purple-700">Loading authentication...</div>;
+    return <div className="text-center py-16 text-xl text-primary-700">{t('common.loadingAuth')}</div>;
   }
 
   return (
-    <section className="py-16 bg-gradient-to-br from-indigo-50 to-purple-100">
+    <section className="py-16 bg-gradient-to-br from-secondary-50 to-primary-100">
       <div className="container mx-auto px-4 max-w-3xl">
-        <h2 className="text-4xl font-bold text-center text-purple-800 mb-12">Share Your Feedback</h2>
-        <div className="bg-white rounded-xl shadow-lg p-8 border border-purple-200 mb-12">
-          <form onSubmit={handleSubmit} className="space-y-6">
-            <div>
-              <label htmlFor="feedbackName" className="block text-gray-700 text-sm font-bold mb-2">
-                Your Name:
-              </label>
-              <input
-                type="text"
-                id="feedbackName"
-                value={name}
-                onChange={(e) => setName(e.target.value)}
-                className="shadow appearance-none border rounded-md w-full py-3 px-4 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition duration-200"
-                required
-              />
-            </div>
-            <div>
-              <label htmlFor="feedbackEmail" className="block text-gray-700 text-sm font-bold mb-2">
-                Your Email (Optional):
-              </label>
-              <input
+        <h2 className="text-4xl font-bold text-center text-primary-800 mb-12">{t('feedback.title')}</h2>
+        {role === 'author' && <FeedbackNotes />}
+        <Card className="mb-12">
+          <form onSubmit={handleSubmit} className="relative space-y-6">
+            <HoneypotField {...feedbackGuard.honeypotProps} />
+            <TextField
+              label={t('common.yourName')}
+              type="text"
+              id="feedbackName"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              maxLength={POST_NAME_MAX_LENGTH}
+              required
+            />
+            <TextField
+              as="textarea"
+              label={t('feedback.message')}
+              id="feedbackMessage"
+              value={message}
+              onChange={(e) => setMessage(e.target.value)}
+              maxLength={POST_TEXT_MAX_LENGTH}
+              rows="6"
+              required
+            />
+            <div className="space-y-4 bg-primary-50 border border-primary-200 rounded-lg p-4">
+              <p className="text-sm text-primary-800">{t('feedback.privateHint')}</p>
+              <TextField
+                label={t('feedback.email')}
                 type="email"
                 id="feedbackEmail"
                 value={email}
                 onChange={(e) => setEmail(e.target.value)}
-                className="shadow appearance-none border rounded-md w-full py-3 px-4 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition duration-200"
+                maxLength={FEEDBACK_EMAIL_MAX_LENGTH}
                 placeholder="email@example.com"
               />
+              <TextField
+                as="textarea"
+                label={t('feedback.privateNote')}
+                id="feedbackPrivateNote"
+                value={privateNote}
+                onChange={(e) => setPrivateNote(e.target.value)}
+                maxLength={FEEDBACK_NOTE_MAX_LENGTH}
+                rows="3"
+              />
             </div>
-            <div>
-              <label htmlFor="feedbackMessage" className="block text-gray-700 text-sm font-bold mb-2">
-                Your Message:
-              </label>
-              <textarea
-                id="feedbackMessage"
-                value={message}
-                onChange={(e) => setMessage(e.target.value)}
-                rows="6"
-                className="shadow appearance-none border rounded-md w-full py-3 px-4 text-gray-700 leading-tight focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition duration-200"
+            <label className="flex items-start gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={consented}
+                onChange={(e) => setConsented(e.target.checked)}
+                className="mt-1"
                 required
-              ></textarea>
-            </div>
-            <button
+              />
+              {t('feedback.consent')}
+            </label>
+            <Button
               type="submit"
-              className="w-full px-6 py-3 bg-purple-600 text-white font-bold rounded-full hover:bg-purple-700 transition duration-300 ease-in-out transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-opacity-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              size="lg"
               disabled={loading}
             >
-              {loading ? 'Submitting...' : 'Submit Feedback'}
-            </button>
+              {loading ? t('feedback.submitting') : t('feedback.submit')}
+            </Button>
           </form>
-        </div>
+        </Card>
+
+        {myFeedback.length > 0 && (
+          <Card className="mb-12">
+            <h3 className="text-3xl font-bold text-primary-800 mb-6">{t('feedback.yourEntries')}</h3>
+            <div className="space-y-4">
+              {myFeedback.map(entry => (
+                <div key={entry.id} className="flex items-start justify-between gap-4 bg-gray-50 p-4 rounded-lg border border-gray-200 shadow-sm">
+                  <div>
+                    <p className="font-semibold text-gray-800">
+                      {entry.name}
+                      <span className="ml-2 text-xs font-medium text-primary-700 bg-primary-100 px-2 py-0.5 rounded-full">
+                        {t(FEEDBACK_STATUS_KEYS[entry.status] || 'feedback.statusPending')}
+                      </span>
+                      {entry.hasPendingWrites && <PendingSyncBadge />}
+                    </p>
+                    <p className="text-gray-700 mt-1">{entry.message}</p>
+                    <p className="text-xs text-gray-500 mt-2">{formatDateTime(entry.createdAt)}</p>
+                  </div>
+                  <Button
+                    onClick={() => handleDelete(entry)}
+                    variant="dangerSoft" size="sm"
+                  >
+                    {t('feedback.delete')}
+                  </Button>
+                </div>
+              ))}
+            </div>
+          </Card>
+        )}
 
         {/* Display Feedback */}
-        <div className="bg-white rounded-xl shadow-lg p-8 border border-purple-200">
-          <h3 className="text-3xl font-bold text-purple-800 mb-6">Recent Feedback</h3>
+        <Card>
+          <h3 className="text-3xl font-bold text-primary-800 mb-6">{t('feedback.recent')}</h3>
           {feedbackError && <p className="text-red-600 mb-4">{feedbackError}</p>}
+          {unlistedPendingFeedback.length > 0 && (
+            <div className="space-y-4 mb-6">
+              {unlistedPendingFeedback.map(entry => <PendingEntryCard key={entry.id} name={entry.name} text={entry.text} />)}
+            </div>
+          )}
           {feedbackList.length === 0 ? (
-            <p className="text-gray-600">No feedback yet. Be the first to share your thoughts!</p>
+            <p className="text-gray-600">{t('feedback.empty')}</p>
           ) : (
             <div className="space-y-6">
               {feedbackList.map(item => (
                 <div key={item.id} className="bg-gray-50 p-4 rounded-lg border border-gray-200 shadow-sm">
-                  <p className="font-semibold text-gray-800">{item.name}</p>
+                  <p className="font-semibold text-gray-800">{item.name}{item.hasPendingWrites && <PendingSyncBadge />}</p>
                   <p className="text-gray-700 mt-1">{item.message}</p>
-                  {item.email && <p className="text-sm text-gray-500 mt-1">Email: {item.email}</p>}
                   <p className="text-xs text-gray-500 mt-2">
-                    {item.createdAt?.toDate().toLocaleString() || 'N/A'}
+                    {formatDateTime(item.createdAt)}
                   </p>
                 </div>
               ))}
             </div>
           )}
-        </div>
+          {hasMoreFeedback && (
+            <div className="mt-6">
+              <LoadMoreButton onClick={loadMoreFeedback} loading={loadingMoreFeedback}>{t('feedback.loadMore')}</LoadMoreButton>
+            </div>
+          )}
+        </Card>
       </div>
       <MessageBox
         show={messageBox.show}
         message={messageBox.message}
         type={messageBox.type}
         onConfirm={messageBox.onConfirm}
+        onCancel={messageBox.onCancel}
       />
     </section>
   );
 };
 
-// --- Main App Content Component (wraps the core logic that uses Firebase context) ---
-const MainAppContent = () => {
-  const [currentPage, setCurrentPage] = useState('home');
-  const [selectedStoryId, setSelectedStoryId] = useState(null);
-  const { userId, isAuthReady, db } = useFirebase(); // Now correctly inside FirebaseProvider's child
-
-  // Function to add sample data (for initial setup)
-  const addSampleData = async () => {
-    if (!isAuthReady || !userId || !db) { // Ensure db is also available
-      console.log("Sample data: Auth not ready, userId not available, or db not initialized. Skipping sample data addition.");
-      return;
-    }
-    console.log("Sample data: Attempting to add sample data. isAuthReady:", isAuthReady, "userId:", userId, "db:", !!db);
+// --- Moderation Queue (author only) ---
+// Guest-submitted collections that go through moderation, and where each keeps its name and text
+const MODERATED_COLLECTIONS = {
+  comments: { label: 'Comment', nameField: 'commenterName', textField: 'commentText' },
+  feedback: { label: 'Feedback', nameField: 'name', textField: 'message' },
+};
 
-    // Determine appId based on environment
-    const appId = typeof __app_id !== 'undefined' ? __app_id : process.env.REACT_APP_APP_ID || 'default-app-id';
+// Returns the blocked words or phrases found in text, ignoring case. Single words only match whole words.
+const findBlockedWords = (text, blockedWords) => {
+  const lowerText = (text || '').toLowerCase();
+  const words = new Set(lowerText.match(/[\p{L}\p{N}']+/gu) || []);
+  return blockedWords.filter(blocked => (blocked.includes(' ') ? lowerText.includes(blocked) : words.has(blocked)));
+};
 
-    // Check if stories already exist to prevent duplicates on refresh
-    const storiesCollectionRef = collection(db, `artifacts/${appId}/public/data/stories`);
-    // To reliably check if *any* sample data exists, we should query for one of the sample stories by its ID.
-    // However, getDoc(doc(storiesCollectionRef, 'sample-story-1')) will only work if 'sample-story-1' exists.
-    // If the user has deleted it, it will re-add. This is acceptable for sample data.
-    const storiesSnapshot = await getDoc(doc(storiesCollectionRef, 'sample-story-1'));
+// Parses the blocked-word editor text, one word or phrase per line or separated by commas
+const parseBlockedWords = (text) =>
+  [...new Set(text.split(/[\n,]/).map(word => word.trim().toLowerCase()).filter(Boolean))];
 
-    if (storiesSnapshot.exists()) {
-      console.log("Sample data: Sample data already exists. Skipping insertion.");
-      return;
+const ModerationQueue = () => {
+  const { repository, userId, role, isAuthReady } = useData();
+  const { formatDateTime } = useLanguage();
+  const [pendingItems, setPendingItems] = useState({ comments: [], feedback: [] });
+  const [blockedWords, setBlockedWords] = useState([]);
+  const [blockedWordsText, setBlockedWordsText] = useState('');
+  const [selectedKeys, setSelectedKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [messageBox, setMessageBox] = useState({ show: false, message: '', type: 'alert', onConfirm: null });
+
+  useEffect(() => {
+    if (!repository || !isAuthReady || role !== 'author') return;
+
+    const unsubscribes = Object.keys(MODERATED_COLLECTIONS).map(collectionName =>
+      repository.moderation.subscribePending(collectionName,
+        (records) => {
+          const items = records.map(record => ({ ...record, collectionName }));
+          setPendingItems(prev => ({ ...prev, [collectionName]: items }));
+          setLoading(false);
+        },
+        (err) => {
+          console.error(`Error fetching pending ${collectionName}:`, err);
+          setError("Failed to load the moderation queue.");
+          setLoading(false);
+        }
+      )
+    );
+
+    // The blocked-word list lives in private settings only the author can read
+    const unsubscribeSettings = repository.moderation.subscribeSettings(
+      (settings) => {
+        const words = settings.blockedWords || [];
+        setBlockedWords(words);
+        setBlockedWordsText(words.join('\n'));
+      },
+      (err) => console.error("Error fetching moderation settings:", err)
+    );
+
+    return () => {
+      unsubscribes.forEach(unsubscribe => unsubscribe()); // Cleanup queue listeners
+      unsubscribeSettings(); // Cleanup settings listener
+    };
+  }, [repository, isAuthReady, role]);
+
+  const items = [...pendingItems.comments, ...pendingItems.feedback]
+    .map(item => {
+      const { nameField, textField } = MODERATED_COLLECTIONS[item.collectionName];
+      return {
+        ...item,
+        key: `${item.collectionName}/${item.id}`,
+        authorName: item[nameField],
+        text: item[textField],
+        flaggedWords: findBlockedWords(`${item[nameField]} ${item[textField]}`, blockedWords)
+      };
+    })
+    .sort((a, b) => (a.createdAt?.toMillis() || 0) - (b.createdAt?.toMillis() || 0));
+
+  const toggleSelected = (key) => {
+    setSelectedKeys(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+  };
+
+  const handleModerate = async (status) => {
+    if (selectedKeys.length === 0) return;
+
+    setSaving(true);
+    try {
+      const selectedItems = selectedKeys.map(key => {
+        const [collectionName, id] = key.split('/');
+        return { collectionName, id };
+      });
+      await repository.moderation.review(selectedItems, status, userId);
+      setSelectedKeys([]);
+    } catch (error) {
+      console.error("Error moderating items:", error);
+      setMessageBox({ show: true, message: 'Failed to update the selected items. Please try again.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveBlockedWords = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await repository.moderation.saveSettings({ blockedWords: parseBlockedWords(blockedWordsText) });
+      setMessageBox({ show: true, message: 'Blocked words saved.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+    } catch (error) {
+      console.error("Error saving blocked words:", error);
+      setMessageBox({ show: true, message: 'Failed to save blocked words. Please try again.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+    } finally {
+      setSaving(false);
     }
+  };
 
-    console.log("Sample data: Adding sample data...");
+  if (!isAuthReady) {
+    return <div className="text-center py-16 text-xl text-primary-700">Loading authentication...</div>;
+  }
+  if (role !== 'author') {
+    return <div className="text-center py-16 text-xl text-gray-600">Only the author can moderate comments and feedback.</div>;
+  }
+  if (loading) return <div className="text-center py-16 text-xl text-primary-700">Loading moderation queue...</div>;
 
-    // Sample Stories
-    const sampleStories = [
-      {
-        id: 'sample-story-1',
-        title: "My First Steps in Bharatanatyam",
-        content: `I remember my first Bharatanatyam class like it was yesterday. The vibrant colors of the studio, the rhythmic beats of the natuvangam, and the graceful movements of my teacher captivated me instantly. I was just five years old, and the world of classical dance opened up before me.
 
-Learning the basic adavus (steps) felt challenging at first, but with each practice, I felt a growing connection to this ancient art form. The intricate hand gestures (mudras) and facial expressions (abhinaya) fascinated me, allowing me to tell stories without words. My teacher, Guru Smt. Padma Devi, always emphasized the importance of bhavam (expression) and laya (rhythm).
+  return (
+    <section className="py-16 bg-gradient-to-br from-primary-50 to-secondary-100">
+      <div className="container mx-auto px-4 max-w-4xl">
+        <h2 className="text-4xl font-bold text-center text-primary-800 mb-12">Moderation Queue</h2>
 
-One of my earliest memories is performing a short piece at a local community event. I was nervous, but the applause and encouragement from the audience filled me with immense joy. It was then I knew that dance would be a significant part of my life's journey. This art form has taught me discipline, patience, and the beauty of storytelling through movement.`,
-        imageUrl: 'https://placehold.co/800x600/FFD700/8B4513?text=First+Steps',
-        authorId: userId,
-        createdAt: serverTimestamp()
-      },
-      {
-        id: 'sample-story-2',
-        title: "The Joy of Expressing Emotions",
-        content: `Bharatanatyam is not just about steps and poses; it's about conveying emotions and narratives. I've always found immense joy in the abhinaya aspect of the dance. Being able to portray different characters – from a mischievous Krishna to a loving Yashoda, or a fierce Durga – allows me to explore a spectrum of human feelings.
+        <Card className="mb-12">
+          <h3 className="text-3xl font-bold text-primary-800 mb-6">Pending ({items.length})</h3>
+          {error && <p className="text-red-600 mb-4">{error}</p>}
+          {items.length === 0 ? (
+            <p className="text-gray-600">Nothing waiting for review.</p>
+          ) : (
+            <>
+              <div className="flex flex-wrap gap-2 mb-6">
+                <Button variant="neutral" size="sm" onClick={() => setSelectedKeys(items.map(item => item.key))}>Select all</Button>
+                <Button variant="neutral" size="sm" onClick={() => setSelectedKeys(items.filter(item => item.flaggedWords.length > 0).map(item => item.key))}>Select flagged</Button>
+                <Button variant="neutral" size="sm" onClick={() => setSelectedKeys(items.filter(item => item.flaggedWords.length === 0).map(item => item.key))}>Select unflagged</Button>
+                <Button variant="neutral" size="sm" onClick={() => setSelectedKeys([])}>Clear</Button>
+              </div>
+              <div className="space-y-4 mb-6">
+                {items.map(item => (
+                  <label
+                    key={item.key}
+                    className={`flex items-start gap-4 p-4 rounded-lg border shadow-sm cursor-pointer ${item.flaggedWords.length > 0 ? 'bg-red-50 border-red-300' : 'bg-gray-50 border-gray-200'}`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={selectedKeys.includes(item.key)}
+                      onChange={() => toggleSelected(item.key)}
+                      className="mt-1"
+                    />
+                    <div className="flex-grow">
+                      <p className="font-semibold text-gray-800">
+                        {item.authorName}
+                        <span className="ml-2 text-xs font-medium text-primary-700 bg-primary-100 px-2 py-0.5 rounded-full">
+                          {MODERATED_COLLECTIONS[item.collectionName].label}
+                        </span>
+                      </p>
+                      <p className="text-gray-700 mt-1 whitespace-pre-wrap">{item.text}</p>
+                      {item.flaggedWords.length > 0 && (
+                        <p className="text-sm text-red-600 mt-1">Flagged: {item.flaggedWords.join(', ')}</p>
+                      )}
+                      <p className="text-xs text-gray-500 mt-2">
+                        {formatDateTime(item.createdAt)}
+                        {item.storyId && (
+                          <> &middot; <Link to={buildPath('storyDetail', { storyId: item.storyId })} className="text-primary-600 hover:underline">View story</Link></>
+                        )}
+                      </p>
+                    </div>
+                  </label>
+                ))}
+              </div>
+              <div className="flex space-x-4">
+                <Button
+                  onClick={() => handleModerate('approved')}
+                  disabled={saving || selectedKeys.length === 0}
+                >
+                  Approve selected ({selectedKeys.length})
+                </Button>
+                <Button
+                  onClick={() => handleModerate('rejected')}
+                  disabled={saving || selectedKeys.length === 0}
+                  variant="danger"
+                >
+                  Reject selected ({selectedKeys.length})
+                </Button>
+              </div>
+            </>
+          )}
+        </Card>
+
+        <Card>
+          <h3 className="text-3xl font-bold text-primary-800 mb-6">Blocked Words</h3>
+          <form onSubmit={handleSaveBlockedWords} className="space-y-4">
+            <label htmlFor="blockedWords" className="block text-gray-700 text-sm font-bold">
+              Submissions containing these words or phrases are flagged (one per line or comma-separated):
+            </label>
+            <TextField
+              as="textarea"
+              id="blockedWords"
+              value={blockedWordsText}
+              onChange={(e) => setBlockedWordsText(e.target.value)}
+              rows="6"
+            />
+            <Button
+              type="submit"
+              disabled={saving}
+            >
+              Save Blocked Words
+            </Button>
+          </form>
+        </Card>
+      </div>
+      <MessageBox
+        show={messageBox.show}
+        message={messageBox.message}
+        type={messageBox.type}
+        onConfirm={messageBox.onConfirm}
+      />
+    </section>
+  );
+};
 
-One particular piece, a Varnam, truly challenged me to delve deep into emotional expression. It required me to switch between various moods and characters rapidly, demanding both technical precision and emotional depth. It was exhausting but incredibly rewarding. The audience's reactions, especially when they connected with the story I was telling, made every hour of practice worthwhile.
+// --- Backup (author only) ---
+// How importBackup treats a record whose ID is already taken (CONFLICT_MODES in src/data/backup.js)
+const CONFLICT_MODE_LABELS = {
+  skip: 'Keep the existing record',
+  overwrite: 'Replace it with the one from the backup',
+  duplicate: 'Add the one from the backup as a copy'
+};
 
-Dance has become my language, a way to communicate what words sometimes cannot. It's a journey of self-discovery and a continuous learning process, always pushing me to refine my craft and connect more deeply with the art.`,
-        imageUrl: 'https://placehold.co/800x600/ADD8E6/000080?text=Expressing+Emotions',
-        authorId: userId,
-        createdAt: serverTimestamp()
-      },
-      {
-        id: 'sample-story-3',
-        title: "Preparing for My Arangetram",
-        content: `The Arangetram, my solo debut performance, is a monumental milestone in a Bharatanatyam dancer's life. The preparations have been intense, filled with countless hours of practice, refining every movement, every expression. My days are a blend of school, homework, and rigorous dance rehearsals.
+// Formats { stories: 3, photos: 0, comments: 2 } as "3 stories, 2 comments"
+const formatRecordCounts = (counts) =>
+  Object.entries(counts).filter(([, count]) => count > 0).map(([name, count]) => `${count} ${name}`).join(', ') || 'no records';
 
-There's a mix of excitement and nervousness. I'm excited to present years of learning and dedication on stage, to share my passion with family and friends. But there's also the pressure to perform flawlessly, to honor my Guru and the art form itself.
+const BackupPage = () => {
+  const { repository, userId, role, isAuthReady } = useData();
+  const { formatDateTime } = useLanguage();
+  const [includeImages, setIncludeImages] = useState(true);
+  const [archive, setArchive] = useState(null); // The backup chosen for import, as read by readBackup
+  const [conflict, setConflict] = useState('skip');
+  const [progress, setProgress] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [messageBox, setMessageBox] = useState({ show: false, message: '', type: 'alert', onConfirm: null });
 
-My parents have been incredibly supportive, driving me to classes, helping me with costumes, and cheering me on. My Guru has guided me with immense patience and wisdom, pushing me to my limits while nurturing my artistic growth. This journey has been a testament to perseverance, and I can't wait to step onto that stage and offer my heartfelt performance.`,
-        imageUrl: 'https://placehold.co/800x600/98FB98/228B22?text=Arangetram+Prep',
-        authorId: userId,
-        createdAt: serverTimestamp()
-      }
-    ];
+  const showAlert = (message) => setMessageBox({ show: true, message, type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
 
-    // Sample Feedback
-    const sampleFeedback = [
-      {
-        name: "Priya Sharma",
-        email: "priya.s@example.com",
-        message: "Gayathri, your dedication shines through! Wishing you all the best for your debut.",
-        createdAt: serverTimestamp(),
-        userId: 'sample-user-1'
-      },
-      {
-        name: "Rajesh Kumar",
-        email: "",
-        message: "Such a talented young dancer. Looking forward to seeing your photos and stories!",
-        createdAt: serverTimestamp(),
-        userId: 'sample-user-2'
-      }
-    ];
+  const handleExport = async () => {
+    setBusy(true);
+    try {
+      const { blob, fileName, counts, missingImages } = await exportBackup(repository, { includeImages, onProgress: setProgress });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+      showAlert(`Backup saved with ${formatRecordCounts(counts)}.`
+        + (missingImages.length > 0 ? ` ${missingImages.length} image(s) could not be downloaded and are not in the zip.` : ''));
+    } catch (error) {
+      console.error("Error exporting backup:", error);
+      showAlert('Failed to create the backup. Please try again.');
+    } finally {
+      setBusy(false);
+      setProgress('');
+    }
+  };
 
-    // Sample Comments for 'My First Steps in Bharatanatyam'
-    const sampleCommentsStory1 = [
-      {
-        storyId: 'sample-story-1',
-        commentText: "This is so inspiring, Gayathri! Keep dancing!",
-        commenterName: "Auntie Meena",
-        createdAt: serverTimestamp(),
-        userId: 'sample-user-3'
-      },
-      {
-        storyId: 'sample-story-1',
-        commentText: "What a beautiful journey! Your passion is evident.",
-        commenterName: "Dance Lover",
-        createdAt: serverTimestamp(),
-        userId: 'sample-user-4'
-      }
-    ];
+  const handleChooseFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Lets the same file be chosen again
+    if (!file) return;
+    try {
+      setArchive({ ...(await readBackup(file)), fileName: file.name });
+    } catch (error) {
+      console.error("Error reading backup:", error);
+      setArchive(null);
+      showAlert(error.message);
+    }
+  };
 
+  const runImport = async () => {
+    setMessageBox({ show: false });
+    setBusy(true);
     try {
-      // Add stories
-      for (const story of sampleStories) {
-        await setDoc(doc(storiesCollectionRef, story.id), story); // Use setDoc with ID to avoid duplicates
-      }
-      // Add feedback
-      for (const feedback of sampleFeedback) {
-        const feedbackCollectionRef = collection(db, `artifacts/${appId}/public/data/feedback`);
-        await addDoc(feedbackCollectionRef, feedback);
-      }
-      // Add comments
-      for (const comment of sampleCommentsStory1) {
-        const commentsCollectionRef = collection(db, `artifacts/${appId}/public/data/comments`);
-        await addDoc(commentsCollectionRef, comment);
-      }
-      console.log("Sample data: Sample data added successfully!");
+      const summary = await importBackup(repository, archive, { conflict, userId, onProgress: setProgress });
+      setArchive(null);
+      showAlert(`Import finished: ${summary.created} added, ${summary.overwritten} replaced, ${summary.duplicated} copied`
+        + ` and ${summary.skipped} skipped, with ${summary.images} image(s) uploaded.`);
     } catch (error) {
-      console.error("Sample data: Error adding sample data:", error);
+      console.error("Error importing backup:", error);
+      showAlert('Failed to import the backup. Some records may have been saved; importing again with "Keep the existing record" adds the rest.');
+    } finally {
+      setBusy(false);
+      setProgress('');
     }
   };
 
-  useEffect(() => {
-    if (isAuthReady && userId && db) { // Ensure db is available before trying to add data
-      addSampleData();
+  const handleImport = () => {
+    setMessageBox({
+      show: true,
+      message: `Import ${archive.fileName}? Records that already exist: ${CONFLICT_MODE_LABELS[conflict].toLowerCase()}.`,
+      type: 'confirm',
+      onCancel: () => setMessageBox({ show: false }),
+      onConfirm: runImport
+    });
+  };
+
+  if (!isAuthReady) {
+    return <div className="text-center py-16 text-xl text-primary-700">Loading authentication...</div>;
+  }
+  if (role !== 'author') {
+    return <div className="text-center py-16 text-xl text-gray-600">Only the author can back up and restore the site.</div>;
+  }
+
+  const archiveCounts = archive && Object.fromEntries(
+    Object.entries(archive.manifest.collections).map(([name, records]) => [name, records.length])
+  );
+
+  return (
+    <section className="py-16 bg-gradient-to-br from-primary-50 to-secondary-100">
+      <div className="container mx-auto px-4 max-w-3xl">
+        <h2 className="text-4xl font-bold text-center text-primary-800 mb-12">Backup</h2>
+
+        <Card className="mb-12 space-y-4">
+          <h3 className="text-3xl font-bold text-primary-800">Export</h3>
+          <p className="text-gray-700">
+            Downloads every story (with its revisions), photo, comment, guestbook message, program item and RSVP, and the site settings, as a JSON file.
+          </p>
+          <label className="flex items-center gap-2 text-gray-700">
+            <input type="checkbox" checked={includeImages} onChange={(e) => setIncludeImages(e.target.checked)} />
+            Include the images (downloads a zip)
+          </label>
+          <Button onClick={handleExport} disabled={busy}>Download Backup</Button>
+        </Card>
+
+        <Card className="space-y-4">
+          <h3 className="text-3xl font-bold text-primary-800">Import</h3>
+          <p className="text-gray-700">
+            Restores a backup made here. Dates, replies and the links between comments and stories are kept.
+          </p>
+          <input type="file" accept=".json,.zip,application/json,application/zip" onChange={handleChooseFile} disabled={busy} />
+          {archive && (
+            <>
+              <p className="text-gray-700">
+                <span className="font-semibold">{archive.fileName}</span>, made {formatDateTime(new Date(archive.manifest.exportedAt))}:
+                {' '}{formatRecordCounts(archiveCounts)}{archive.images.length > 0 && `, ${archive.images.length} image(s)`}.
+              </p>
+              <fieldset className="space-y-2">
+                <legend className="text-gray-700 text-sm font-bold mb-2">When a record already exists:</legend>
+                {CONFLICT_MODES.map(mode => (
+                  <label key={mode} className="flex items-center gap-2 text-gray-700">
+                    <input type="radio" name="conflict" value={mode} checked={conflict === mode} onChange={() => setConflict(mode)} />
+                    {CONFLICT_MODE_LABELS[mode]}
+                  </label>
+                ))}
+              </fieldset>
+              <Button onClick={handleImport} disabled={busy}>Import</Button>
+            </>
+          )}
+        </Card>
+        {progress && <p className="text-center text-primary-700 mt-6">{progress}</p>}
+      </div>
+      <MessageBox
+        show={messageBox.show}
+        message={messageBox.message}
+        type={messageBox.type}
+        onConfirm={messageBox.onConfirm}
+        onCancel={messageBox.onCancel}
+      />
+    </section>
+  );
+};
+
+// --- Appearance Page (author only) ---
+const AppearancePage = () => {
+  const { repository, role, isAuthReady } = useData();
+  const { accent } = useTheme();
+  const [saving, setSaving] = useState(false);
+  const [messageBox, setMessageBox] = useState({ show: false, message: '', type: 'alert', onConfirm: null });
+
+  const handleChooseAccent = async (newAccent) => {
+    setSaving(true);
+    try {
+      await repository.settings.save({ accent: newAccent });
+    } catch (error) {
+      console.error("Error saving the accent:", error);
+      setMessageBox({ show: true, message: 'Failed to save the colors. Please try again.', type: 'alert', onConfirm: () => setMessageBox({ show: false }) });
+    } finally {
+      setSaving(false);
     }
-  }, [isAuthReady, userId, db]); // Rerun when auth is ready, userId, or db changes
+  };
+
+  if (!isAuthReady) {
+    return <div className="text-center py-16 text-xl text-primary-700">Loading authentication...</div>;
+  }
+  if (role !== 'author') {
+    return <div className="text-center py-16 text-xl text-gray-600">Only the author can change the site's colors.</div>;
+  }
+
+  return (
+    <section className="py-16 bg-gradient-to-br from-primary-50 to-secondary-100">
+      <div className="container mx-auto px-4 max-w-3xl">
+        <h2 className="text-4xl font-bold text-center text-primary-800 mb-12">Appearance</h2>
+        <Card className="space-y-4">
+          <h3 className="text-3xl font-bold text-primary-800">Accent Colors</h3>
+          <p className="text-gray-700">
+            The colors of the buttons, headings and backgrounds, for every visitor. Visitors still choose
+            light, dark or high contrast for themselves in the navigation bar.
+          </p>
+          <fieldset className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <legend className="sr-only">Accent colors</legend>
+            {Object.entries(ACCENT_PALETTES).map(([name, { label }]) => (
+              <label
+                key={name}
+                className={`flex items-center gap-3 p-3 rounded-md border cursor-pointer ${accent === name ? 'border-primary-600 bg-primary-50' : 'border-gray-200 hover:bg-primary-50'}`}
+              >
+                <input
+                  type="radio"
+                  name="accent"
+                  value={name}
+                  checked={accent === name}
+                  onChange={() => handleChooseAccent(name)}
+                  disabled={saving}
+                  className="text-primary-600 focus:ring-primary-500"
+                />
+                <span className="flex" aria-hidden="true">
+                  <span className="w-6 h-6 rounded-full" style={{ backgroundColor: `rgb(var(--swatch-${name}-primary))` }}></span>
+                  <span className="w-6 h-6 rounded-full -ml-2" style={{ backgroundColor: `rgb(var(--swatch-${name}-secondary))` }}></span>
+                </span>
+                <span className="text-gray-700">{label}</span>
+              </label>
+            ))}
+          </fieldset>
+        </Card>
+      </div>
+      <MessageBox
+        show={messageBox.show}
+        message={messageBox.message}
+        type={messageBox.type}
+        onConfirm={messageBox.onConfirm}
+        onCancel={messageBox.onCancel}
+      />
+    </section>
+  );
+};
+
+// --- Main App Content Component (wraps the core logic that uses the data context) ---
+const MainAppContent = () => {
+  const { page, params } = useRouter();
+  const { userId, role } = useData(); // Now correctly inside DataProvider's child
+  const { t } = useLanguage();
 
   const renderPage = () => {
-    switch (currentPage) {
+    switch (page) {
       case 'home':
         return <HeroSection userId={userId} />;
       case 'photos':
         return <PhotoGallery />;
       case 'stories':
-        return <StoriesList setCurrentPage={setCurrentPage} setSelectedStoryId={setSelectedStoryId} />;
+        return <StoriesList />;
       case 'storyDetail':
-        return <StoryDetail storyId={selectedStoryId} setCurrentPage={setCurrentPage} />;
+        return <StoryDetail key={params.storyId} storyId={params.storyId} />;
       case 'addStory':
         return <AddStoryForm />;
+      case 'editStory':
+        return <AddStoryForm key={params.storyId} storyId={params.storyId} />;
+      case 'drafts':
+        return <MyDrafts />;
       case 'feedback':
         return <Feedback />;
+      case 'program':
+        return <ProgramPage />;
+      case 'rsvp':
+        return <Rsvp />;
+      case 'rsvpDashboard':
+        return <RsvpDashboard />;
+      case 'signIn':
+        return <AuthorSignIn />;
+      case 'moderation':
+        return <ModerationQueue />;
+      case 'backup':
+        return <BackupPage />;
+      case 'appearance':
+        return <AppearancePage />;
       default:
         return <HeroSection userId={userId} />;
     }
@@ -916,14 +4652,20 @@ My parents have been incredibly supportive, driving me to classes, helping me wi
 
   return (
     <div className="min-h-screen flex flex-col bg-gray-100 font-sans">
-      <Navbar setCurrentPage={setCurrentPage} />
+      <Navbar />
+      <LiveBanner />
       <main className="flex-grow">
         {renderPage()}
       </main>
       <footer className="bg-gray-800 text-white py-6 text-center text-sm">
         <div className="container mx-auto px-4">
-          <p>&copy; {new Date().getFullYear()} Gayathri's Dance Debut. All rights reserved.</p>
-          <p className="mt-2">Built with ❤️ for a beautiful journey.</p>
+          <p>{t('footer.rights', { year: new Date().getFullYear() })}</p>
+          <p className="mt-2">{t('footer.madeWith')}</p>
+          {role !== 'author' && (
+            <p className="mt-2">
+              <Link to={buildPath('signIn')} className="text-gray-400 hover:text-white hover:underline">{t('footer.authorSignIn')}</Link>
+            </p>
+          )}
         </div>
       </footer>
     </div>
@@ -931,33 +4673,21 @@ My parents have been incredibly supportive, driving me to classes, helping me wi
 };
 
 // --- Main App Component ---
+// Styles come from src/index.css, built with Tailwind (see tailwind.config.js)
 const App = () => {
-  // Inject Tailwind CSS
-  useEffect(() => {
-    const script = document.createElement('script');
-    script.src = 'https://cdn.tailwindcss.com';
-    document.head.appendChild(script);
-
-    // Add Inter font
-    const link = document.createElement('link');
-    link.href = 'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800;900&display=swap';
-    link.rel = 'stylesheet';
-    document.head.appendChild(link);
-
-    // Apply Inter font to body
-    document.body.style.fontFamily = "'Inter', sans-serif";
-
-    return () => {
-      document.head.removeChild(script);
-      document.head.removeChild(link);
-    };
-  }, []);
-
   return (
-    <FirebaseProvider>
-      <MainAppContent /> {/* Main content now wrapped by FirebaseProvider */}
-    </FirebaseProvider>
+    <DataProvider>
+      <LanguageProvider>
+        <RouterProvider>
+          <ThemeProvider>
+            <MainAppContent /> {/* Main content now wrapped by DataProvider */}
+          </ThemeProvider>
+        </RouterProvider>
+      </LanguageProvider>
+    </DataProvider>
   );
 };
 
 export default App;
+// For the tests in tests/app
+export { DataProvider, LanguageProvider, RouterProvider, ThemeProvider, Navbar, StoriesList, StoryDetail, AddStoryForm, Feedback, AppearancePage };
@@ -0,0 +1,79 @@
+// Site configuration: every setting read from the build environment, checked in one place.
+// Vite exposes `VITE_*` variables from .env files and the host's environment through import.meta.env.
+//
+//   VITE_DATA_BACKEND    'firebase' or 'local', which keeps all data in this browser (no Firebase needed).
+//                        Defaults to 'firebase', except in development without VITE_FIREBASE_CONFIG, where
+//                        it's 'local'. A production build only uses 'local' when it is set explicitly.
+//   VITE_FIREBASE_CONFIG The Firebase web app config as JSON (required for the firebase backend)
+//   VITE_APP_ID          Names this site's data (`artifacts/<appId>/...`). Defaults to 'default-app-id'.
+//   VITE_USE_EMULATORS   'true' to use the local Firebase Emulator Suite (`npm run emulators`)
+//
+// Canvas previews inject `__app_id` and `__initial_auth_token` as globals, which take precedence.
+
+export const DATA_BACKENDS = ['firebase', 'local'];
+const DEFAULT_APP_ID = 'default-app-id';
+const REQUIRED_FIREBASE_KEYS = ['apiKey', 'projectId'];
+
+// Parses VITE_FIREBASE_CONFIG, adding a description of anything wrong with it to problems
+const parseFirebaseConfig = (text, problems) => {
+  let firebaseConfig;
+  try {
+    firebaseConfig = JSON.parse(text);
+  } catch {
+    problems.push('VITE_FIREBASE_CONFIG is not valid JSON.');
+    return null;
+  }
+  if (!firebaseConfig || typeof firebaseConfig !== 'object' || Array.isArray(firebaseConfig)) {
+    problems.push('VITE_FIREBASE_CONFIG must be a JSON object.');
+    return null;
+  }
+  const missingKeys = REQUIRED_FIREBASE_KEYS.filter(key => !firebaseConfig[key]);
+  if (missingKeys.length > 0) {
+    problems.push(`VITE_FIREBASE_CONFIG is missing ${missingKeys.join(', ')}.`);
+  }
+  return firebaseConfig;
+};
+
+// Reads the configuration from env (import.meta.env) and globals (window). Throws an Error listing
+// every problem found, so a misconfigured deployment says what to fix instead of loading forever.
+export const loadConfig = (env = import.meta.env, globals = globalThis) => {
+  const problems = [];
+
+  const appId = String(globals.__app_id ?? env.VITE_APP_ID ?? DEFAULT_APP_ID).trim();
+  if (!/^[\w-]+$/.test(appId)) {
+    problems.push(`App ID "${appId}" may only contain letters, digits, "-" and "_".`);
+  }
+
+  const firebaseConfigText = env.VITE_FIREBASE_CONFIG?.trim();
+  // A production build without a Firebase config is a deployment mistake, not a request for the local demo
+  const dataBackend = env.VITE_DATA_BACKEND?.trim() || (firebaseConfigText || env.PROD ? 'firebase' : 'local');
+  if (!DATA_BACKENDS.includes(dataBackend)) {
+    problems.push(`VITE_DATA_BACKEND must be one of ${DATA_BACKENDS.join(', ')} (got "${dataBackend}").`);
+  }
+
+  let firebaseConfig = null;
+  if (dataBackend === 'firebase') {
+    if (firebaseConfigText) {
+      firebaseConfig = parseFirebaseConfig(firebaseConfigText, problems);
+    } else {
+      problems.push('VITE_FIREBASE_CONFIG must be set for the firebase backend. Set VITE_DATA_BACKEND=local to run without Firebase.');
+    }
+  }
+
+  const useEmulators = env.VITE_USE_EMULATORS || 'false';
+  if (!['true', 'false'].includes(useEmulators)) {
+    problems.push(`VITE_USE_EMULATORS must be "true" or "false" (got "${useEmulators}").`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration: ${problems.join(' ')}`);
+  }
+
+  return Object.freeze({
+    appId,
+    dataBackend,
+    firebaseConfig,
+    useEmulators: useEmulators === 'true',
+    initialAuthToken: globals.__initial_auth_token ?? null
+  });
+};
@@ -0,0 +1,311 @@
+// Backup archives of the site's content, made and restored on the author's Backup page (App.jsx) through
+// either repository backend. An archive is a JSON file, or a zip holding that JSON as backup.json together
+// with the images the records use:
+//
+//   {
+//     format: 'gayathri-dance-backup', version: 2, appId, backend, exportedAt,
+//     collections: { stories: [{ id, data, subcollections: { revisions: [{ id, data }], ... } }], ... },
+//     images: [{ url, file, contentType }]   (zips only) which file in the zip holds the image at url
+//   }
+//
+// Version 2 added feedbackNotes, the guests' private notes; version 1 kept their email and note in feedback.
+// Timestamps are written as { $timestamp: '<ISO date>' } and come back as Dates, which both backends store
+// as timestamps again, so createdAt and the other times survive a round trip.
+import { strFromU8, strToU8, unzipSync, zipSync } from 'fflate';
+import { MARKDOWN_IMAGE_PATTERN, nextReactionCounts } from './shared.js';
+
+export const BACKUP_FORMAT = 'gayathri-dance-backup';
+// Bump when the archive layout changes, and teach readBackup to read the older versions
+export const BACKUP_VERSION = 2;
+const MANIFEST_FILE = 'backup.json';
+
+// What importBackup does with a record whose ID is already taken
+export const CONFLICT_MODES = ['skip', 'overwrite', 'duplicate'];
+
+// Every collection under the site's data, with its subcollections and the fields holding IDs of other
+// records. Keyed collections have meaningful IDs (a guest's user ID, 'state', 'site'), so they are never duplicated.
+// path is where the repository keeps the collection, if not under its name; idsFrom names the collection
+// whose records share their IDs, so a note follows its guestbook entry when the entry gets a new ID.
+const BACKUP_COLLECTIONS = [
+  { name: 'stories', subcollections: ['revisions', 'reactions'] },
+  { name: 'photos' },
+  { name: 'comments', subcollections: ['reactions'], links: { storyId: 'stories', parentId: 'comments' } },
+  { name: 'feedback' },
+  { name: 'feedbackNotes', path: 'private/feedbackNotes', keyed: true, idsFrom: 'feedback' },
+  { name: 'program', links: { relatedStoryIds: 'stories', relatedPhotoIds: 'photos' } },
+  { name: 'rsvps', keyed: true },
+  { name: 'live', keyed: true },
+  { name: 'settings', keyed: true }
+];
+
+// Fields holding an image URL, and images inside Markdown (story content and translations)
+const IMAGE_FIELDS = ['imageUrl', 'thumbnailUrl', 'url'];
+// Photos also keep the Storage paths of their files, so they can be deleted
+const PHOTO_PATH_FIELDS = { url: 'storagePath', thumbnailUrl: 'thumbnailPath' };
+const IMAGE_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif', 'image/svg+xml': 'svg' };
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const mapValues = (object, mapValue) => Object.fromEntries(Object.entries(object).map(([key, value]) => [key, mapValue(value, key)]));
+
+// Firestore Timestamps and the local backend's LocalTimestamps both have toDate()
+const encodeValue = (value) => {
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (value instanceof Date) return { $timestamp: value.toISOString() };
+  if (value && typeof value.toDate === 'function') return { $timestamp: value.toDate().toISOString() };
+  if (isPlainObject(value)) return mapValues(value, encodeValue);
+  return value;
+};
+
+const decodeValue = (value) => {
+  if (Array.isArray(value)) return value.map(decodeValue);
+  if (isPlainObject(value)) {
+    return typeof value.$timestamp === 'string' ? new Date(value.$timestamp) : mapValues(value, decodeValue);
+  }
+  return value;
+};
+
+// Calls visit(text, key) for every string in value, with the key of the field it is in (null in arrays)
+const forEachString = (value, visit, key = null) => {
+  if (typeof value === 'string') visit(value, key);
+  else if (Array.isArray(value)) value.forEach(item => forEachString(item, visit));
+  else if (isPlainObject(value)) Object.entries(value).forEach(([childKey, item]) => forEachString(item, visit, childKey));
+};
+
+const findImageUrls = (value, urls = new Set()) => {
+  forEachString(value, (text, key) => {
+    if (IMAGE_FIELDS.includes(key) && text) urls.add(text);
+    for (const match of text.matchAll(MARKDOWN_IMAGE_PATTERN)) urls.add(match[1]);
+  });
+  return urls;
+};
+
+const replaceStrings = (value, replacements) => {
+  if (typeof value === 'string') {
+    return [...replacements].reduce((text, [from, to]) => text.split(from).join(to), value);
+  }
+  if (Array.isArray(value)) return value.map(item => replaceStrings(item, replacements));
+  if (isPlainObject(value)) return mapValues(value, item => replaceStrings(item, replacements));
+  return value;
+};
+
+const exportRecords = async (repository, collectionPath, subcollections = []) => {
+  const records = await repository.backup.list(collectionPath);
+  return Promise.all(records.map(async ({ id, ...data }) => {
+    const entry = { id, data: encodeValue(data) };
+    if (subcollections.length > 0) {
+      entry.subcollections = Object.fromEntries(await Promise.all(subcollections.map(async (name) =>
+        [name, await exportRecords(repository, `${collectionPath}/${id}/${name}`)]
+      )));
+    }
+    return entry;
+  }));
+};
+
+// Downloads the images for a zip. Ones that can't be fetched (e.g. from a Storage bucket without CORS
+// set up, see README) are left out and reported, rather than failing the whole export.
+const downloadImages = async (urls, onProgress) => {
+  const files = {};
+  const images = [];
+  const missingImages = [];
+  for (const [index, url] of [...urls].entries()) {
+    onProgress(`Downloading image ${index + 1} of ${urls.size}...`);
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const blob = await response.blob();
+      const file = `images/${index + 1}.${IMAGE_EXTENSIONS[blob.type] || 'jpg'}`;
+      files[file] = [new Uint8Array(await blob.arrayBuffer()), { level: 0 }]; // Images are already compressed
+      images.push({ url, file, contentType: blob.type || 'image/jpeg' });
+    } catch (error) {
+      console.error(`Backup: Could not download image ${url}:`, error);
+      missingImages.push(url);
+    }
+  }
+  return { files, images, missingImages };
+};
+
+// Reads every collection into an archive, as a zip with the images if includeImages is set.
+// Returns { blob, fileName, counts, missingImages }, where counts has the number of records per collection.
+export const exportBackup = async (repository, { includeImages = false, onProgress = () => {} } = {}) => {
+  onProgress("Reading records...");
+  const collections = {};
+  for (const { name, path = name, subcollections } of BACKUP_COLLECTIONS) {
+    collections[name] = await exportRecords(repository, path, subcollections);
+  }
+  const exportedAt = new Date().toISOString();
+  const manifest = { format: BACKUP_FORMAT, version: BACKUP_VERSION, appId: repository.appId, backend: repository.backend, exportedAt, collections };
+  const counts = mapValues(collections, records => records.length);
+  const baseName = `gayathri-dance-backup-${exportedAt.slice(0, 10)}`;
+
+  if (!includeImages) {
+    const blob = new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' });
+    return { blob, fileName: `${baseName}.json`, counts, missingImages: [] };
+  }
+  const { files, images, missingImages } = await downloadImages(findImageUrls(collections), onProgress);
+  onProgress("Creating the zip...");
+  const zipped = zipSync({ [MANIFEST_FILE]: strToU8(JSON.stringify({ ...manifest, images }, null, 2)), ...files });
+  return { blob: new Blob([zipped], { type: 'application/zip' }), fileName: `${baseName}.zip`, counts, missingImages };
+};
+
+// Version 1 archives kept the guest's email and note in the public feedback entry. They move to the entry's
+// private note, as the 003-feedback-private-email migration does for the entries on the site.
+const upgradeFromVersion1 = (collections) => {
+  const feedbackNotes = [];
+  const feedback = (collections.feedback || []).map(({ id, data, ...rest }) => {
+    const { email, note, ...publicData } = data;
+    if (email || note) {
+      feedbackNotes.push({
+        id,
+        data: { name: data.name || '', email: email || '', note: note || '', userId: data.userId || null, createdAt: data.createdAt || null }
+      });
+    }
+    return { id, data: publicData, ...rest };
+  });
+  return { ...collections, feedback, feedbackNotes };
+};
+
+// Reads an archive file (.json or .zip) for importBackup. Throws an Error saying what is wrong with it.
+export const readBackup = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let zipEntries = {};
+  let manifestText;
+  if (bytes[0] === 0x50 && bytes[1] === 0x4b) { // 'PK', the start of every zip
+    try {
+      zipEntries = unzipSync(bytes);
+    } catch {
+      throw new Error("The zip file could not be read.");
+    }
+    if (!zipEntries[MANIFEST_FILE]) {
+      throw new Error(`The zip file has no ${MANIFEST_FILE}, so it is not a site backup.`);
+    }
+    manifestText = strFromU8(zipEntries[MANIFEST_FILE]);
+  } else {
+    manifestText = strFromU8(bytes);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(manifestText);
+  } catch {
+    throw new Error("The file is not a site backup.");
+  }
+  if (manifest?.format !== BACKUP_FORMAT || !isPlainObject(manifest.collections)) {
+    throw new Error("The file is not a site backup.");
+  }
+  if (!Number.isInteger(manifest.version) || manifest.version < 1 || manifest.version > BACKUP_VERSION) {
+    throw new Error(`This backup has version ${manifest.version}, but this site reads versions up to ${BACKUP_VERSION}.`);
+  }
+  if (manifest.version === 1) {
+    manifest = { ...manifest, version: BACKUP_VERSION, collections: upgradeFromVersion1(manifest.collections) };
+  }
+  const images = (manifest.images || [])
+    .filter(image => zipEntries[image.file])
+    .map(image => ({ ...image, bytes: zipEntries[image.file] }));
+  return { manifest, images };
+};
+
+// Writes an archive's records. conflict says what happens to a record whose ID is already taken:
+// 'skip' keeps the existing record, 'overwrite' replaces it, and 'duplicate' adds the archived one under a
+// new ID, with comments, replies and program items pointing at the new IDs. Subcollection records
+// (revisions and reactions) are only ever added. Stories new to the site are given to userId, because
+// only the author's own stories may be created (see firestore.rules).
+// Images bundled in the archive are uploaded again and the records point at the new copies.
+// Returns { created, overwritten, duplicated, skipped, images }.
+export const importBackup = async (repository, { manifest, images }, { conflict, userId, onProgress = () => {} }) => {
+  if (!CONFLICT_MODES.includes(conflict)) {
+    throw new Error(`Unknown conflict mode "${conflict}".`);
+  }
+  const summary = { created: 0, overwritten: 0, duplicated: 0, skipped: 0, images: 0 };
+
+  // Every record's target ID is settled before any data is written, so links can point forward
+  onProgress("Checking existing records...");
+  const plans = [];
+  const idMaps = {};
+  const remapId = (target, value) => (typeof value === 'string' ? idMaps[target].get(value) || value : value);
+  for (const { name, path = name, subcollections = [], links = {}, keyed = false, idsFrom } of BACKUP_COLLECTIONS) {
+    const existing = new Map((await repository.backup.list(path)).map(record => [record.id, record]));
+    idMaps[name] = new Map();
+    for (const record of manifest.collections[name] || []) {
+      const targetId = idsFrom ? remapId(idsFrom, record.id) : record.id;
+      let action = 'create';
+      if (existing.has(targetId)) {
+        action = conflict === 'duplicate' && keyed ? 'skip' : conflict;
+      }
+      const id = action === 'duplicate' ? repository.newId() : targetId;
+      idMaps[name].set(record.id, id);
+      plans.push({ name, path, subcollections, links, record, action, id, existingRecord: existing.get(targetId) });
+    }
+  }
+
+  const writes = [];
+  for (const { name, path, subcollections, links, record, action, id, existingRecord } of plans) {
+    summary[{ create: 'created', overwrite: 'overwritten', duplicate: 'duplicated', skip: 'skipped' }[action]] += 1;
+    if (action === 'skip') continue;
+
+    const data = decodeValue(record.data);
+    Object.entries(links).forEach(([field, target]) => {
+      if (Array.isArray(data[field])) data[field] = data[field].map(value => remapId(target, value));
+      else if (data[field] != null) data[field] = remapId(target, data[field]);
+    });
+    if (name === 'comments' && data.parentId === undefined) {
+      data.parentId = null; // Saved before top-level comments had one (see the 004-comment-parent-id migration)
+    }
+    if (name === 'stories') {
+      data.authorId = (action === 'overwrite' && existingRecord.authorId) || userId;
+    }
+    writes.push({ collection: name, path: `${path}/${id}`, data });
+
+    for (const subcollection of subcollections) {
+      const subcollectionPath = `${name}/${id}/${subcollection}`;
+      const existingRecords = action === 'overwrite' ? await repository.backup.list(subcollectionPath) : [];
+      const existingIds = new Set(existingRecords.map(subRecord => subRecord.id));
+      const addedRecords = (record.subcollections?.[subcollection] || [])
+        .filter(subRecord => !existingIds.has(subRecord.id))
+        .map(subRecord => ({ id: subRecord.id, ...decodeValue(subRecord.data) }));
+      addedRecords.forEach(({ id: subId, ...subData }) => {
+        writes.push({ collection: name, path: `${subcollectionPath}/${subId}`, data: subData });
+      });
+      if (subcollection === 'reactions') {
+        // An overwrite keeps the reactions already there, so count the ones the record ends up with
+        data.reactionCounts = [...existingRecords, ...addedRecords]
+          .reduce((counts, reaction) => nextReactionCounts(counts, null, reaction.emoji), {});
+      }
+    }
+  }
+
+  // Upload the bundled images the written records use, into the folder of the record that uses them first
+  const bundledImages = new Map(images.map(image => [image.url, image]));
+  const uploads = new Map(); // archived URL -> { url, path }
+  for (const write of writes) {
+    for (const url of findImageUrls(write.data)) {
+      const image = bundledImages.get(url);
+      if (!image || uploads.has(url)) continue;
+      onProgress(`Uploading image ${uploads.size + 1}...`);
+      const folder = write.collection === 'photos' ? 'photos' : 'stories';
+      const extension = IMAGE_EXTENSIONS[image.contentType] || 'jpg';
+      const blob = new Blob([image.bytes], { type: image.contentType });
+      uploads.set(url, await repository.images.upload(`${folder}/${Date.now()}-${crypto.randomUUID()}.${extension}`, blob, { contentType: image.contentType }));
+    }
+  }
+  if (uploads.size > 0) {
+    const urlReplacements = new Map([...uploads].map(([url, uploaded]) => [url, uploaded.url]));
+    writes.forEach((write) => {
+      const originalData = write.data;
+      write.data = replaceStrings(originalData, urlReplacements);
+      if (write.collection === 'photos') {
+        Object.entries(PHOTO_PATH_FIELDS).forEach(([urlField, pathField]) => {
+          const uploaded = uploads.get(originalData[urlField]);
+          if (uploaded) write.data[pathField] = uploaded.path;
+        });
+      }
+    });
+  }
+  summary.images = uploads.size;
+
+  onProgress(`Saving ${writes.length} records...`);
+  await repository.backup.write(writes.map(({ path, data }) => ({ path, data })));
+  return summary;
+};
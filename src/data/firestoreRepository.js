@@ -0,0 +1,411 @@
+// Firebase backend for the data repository (see index.js): records in Cloud Firestore, images in
+// Firebase Storage and visitors in Firebase Auth. Everything lives under `artifacts/<appId>/`.
+import { initializeApp } from 'firebase/app';
+import { getAuth, signInAnonymously, signInWithCustomToken, signInWithEmailAndPassword, signOut, onAuthStateChanged, connectAuthEmulator } from 'firebase/auth';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator, collection, deleteDoc, updateDoc, onSnapshot, query, orderBy, where, limit, startAfter, endAt, serverTimestamp, doc, getDoc, getDocs, setDoc, runTransaction, writeBatch } from 'firebase/firestore';
+import { getStorage, connectStorageEmulator, ref as storageRef, uploadBytesResumable, getDownloadURL, deleteObject } from 'firebase/storage';
+import { PUBLIC_STORY_STATUSES, DRAFT_STORY_STATUSES, pickRevisionFields, nextReactionCounts, orphanedStoryImageUrls } from './shared.js';
+
+// The most writes one Firestore batch may hold
+const MAX_BATCH_WRITES = 500;
+
+const toRecord = (docSnap) => ({ id: docSnap.id, ...docSnap.data() });
+// Also reports whether a local write to the document still awaits the server (needs includeMetadataChanges)
+const toRecordWithPendingWrites = (docSnap) => ({ ...toRecord(docSnap), hasPendingWrites: docSnap.metadata.hasPendingWrites });
+
+const watchQuery = (q, onChange, onError) =>
+  onSnapshot(q, (snapshot) => onChange(snapshot.docs.map(toRecord)), onError);
+
+const watchDoc = (docRef, onChange, onError) =>
+  onSnapshot(docRef, (docSnap) => onChange(docSnap.exists() ? toRecord(docSnap) : null), onError);
+
+const listQuery = async (q) => (await getDocs(q)).docs.map(toRecord);
+
+// A PagedList over baseQuery, newest first by orderField. Page cursors are document snapshots.
+const pagedList = (baseQuery, orderField) => {
+  const orderedQuery = query(baseQuery, orderBy(orderField, 'desc'));
+  return {
+    fetchPage: async (after, pageSize) => {
+      const snapshot = await getDocs(query(orderedQuery, ...(after ? [startAfter(after)] : []), limit(pageSize)));
+      return { items: snapshot.docs.map(toRecord), last: snapshot.docs[snapshot.docs.length - 1] || null };
+    },
+    // Metadata changes report when a locally written document has been confirmed by the server
+    subscribe: (through, onChange, onError) =>
+      onSnapshot(through ? query(orderedQuery, endAt(through)) : orderedQuery, { includeMetadataChanges: true },
+        (snapshot) => onChange(snapshot.docs.map(toRecordWithPendingWrites)),
+        onError
+      )
+  };
+};
+
+export const createFirestoreRepository = ({ appId, firebaseConfig, useEmulators, initialAuthToken }) => {
+  const app = initializeApp(firebaseConfig);
+  // Cache data in IndexedDB (shared across tabs) so pages load and writes queue while offline
+  const db = initializeFirestore(app, {
+    localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+  });
+  const auth = getAuth(app);
+  const storage = getStorage(app);
+
+  // Point at the local Firebase Emulator Suite (`npm run emulators`) when requested
+  if (useEmulators) {
+    connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+    connectFirestoreEmulator(db, '127.0.0.1', 8080);
+    connectStorageEmulator(storage, '127.0.0.1', 9199);
+    console.log("Firebase: Using local emulators.");
+  }
+
+  const dataCollection = (name) => collection(db, `artifacts/${appId}/public/data/${name}`);
+  const storiesRef = dataCollection('stories');
+  const commentsRef = dataCollection('comments');
+  const feedbackRef = dataCollection('feedback');
+  const photosRef = dataCollection('photos');
+  const programRef = dataCollection('program');
+  const rsvpsRef = dataCollection('rsvps');
+  const liveStateRef = doc(dataCollection('live'), 'state');
+  // Site-wide settings everyone sees, e.g. the accent palette
+  const siteSettingsRef = doc(dataCollection('settings'), 'site');
+  // The private part of each guestbook entry (the guest's email and note), which only the author can read
+  const feedbackNotesRef = collection(db, `artifacts/${appId}/private/data/feedbackNotes`);
+  // Author-only settings, e.g. the moderation blocked-word list
+  const moderationSettingsRef = doc(db, `artifacts/${appId}/private/data/settings`, 'moderation');
+  // When each user last posted a comment or guestbook entry, and what it said. firestore.rules check it
+  // to rate-limit guests and turn away repeated messages.
+  const postLimitsRef = collection(db, `artifacts/${appId}/private/data/postLimits`);
+
+  // Saves a new document, with a generated ID unless one is given, and returns its ID
+  const createRecord = async (collectionRef, data, id = null) => {
+    const docRef = id ? doc(collectionRef, id) : doc(collectionRef);
+    await setDoc(docRef, { createdAt: serverTimestamp(), ...data });
+    return docRef.id;
+  };
+
+  // Applies addWrite(batch, item) for every item, over as many batches as Firestore's limit requires.
+  // Not atomic as a whole: if a batch fails, the ones before it stay applied.
+  const commitInBatches = async (items, addWrite) => {
+    for (let start = 0; start < items.length; start += MAX_BATCH_WRITES) {
+      const batch = writeBatch(db);
+      items.slice(start, start + MAX_BATCH_WRITES).forEach(item => addWrite(batch, item));
+      await batch.commit();
+    }
+  };
+
+  const createRecords = (collectionRef, list) => {
+    const batch = writeBatch(db);
+    list.forEach(data => batch.set(doc(collectionRef), { createdAt: serverTimestamp(), ...data }));
+    return batch.commit();
+  };
+
+  // Saves a comment or guestbook entry along with the poster's post limit, which the rules require
+  // to be stamped in the same write. extraWrites(batch, docRef) adds anything else saved with it.
+  const createPost = async (collectionRef, data, text, id = null, extraWrites = () => {}) => {
+    const docRef = id ? doc(collectionRef, id) : doc(collectionRef);
+    const batch = writeBatch(db);
+    batch.set(docRef, { createdAt: serverTimestamp(), ...data });
+    batch.set(doc(postLimitsRef, data.userId), { lastPostAt: serverTimestamp(), lastMessage: text });
+    extraWrites(batch, docRef);
+    await batch.commit();
+    return docRef.id;
+  };
+
+  const updateRecord = (collectionRef, id, changes) =>
+    updateDoc(doc(collectionRef, id), { ...changes, updatedAt: serverTimestamp() });
+
+  // The Storage path of a story image uploaded to this site, or null for other URLs (e.g. the sample images)
+  const storyImagePath = (url) => {
+    try {
+      const { fullPath } = storageRef(storage, url);
+      return fullPath.startsWith(`artifacts/${appId}/stories/`) ? fullPath : null;
+    } catch {
+      return null; // Not a Firebase Storage URL
+    }
+  };
+
+  // Backup paths are relative to the site's public data, or to its private data when they start with 'private/'
+  const backupPath = (path) => (path.startsWith('private/')
+    ? `artifacts/${appId}/private/data/${path.slice('private/'.length)}`
+    : `artifacts/${appId}/public/data/${path}`);
+
+  const publishedStoriesQuery = query(storiesRef, where('status', '==', 'published'));
+
+  return {
+    backend: 'firebase',
+    appId,
+    newId: () => doc(storiesRef).id,
+    serverTime: () => serverTimestamp(),
+
+    auth: {
+      onChange: (callback) => onAuthStateChanged(auth, async (user) => {
+        if (user) {
+          // The author role comes from a custom claim, the same one the security rules check
+          let role = 'guest';
+          try {
+            const { claims } = await user.getIdTokenResult();
+            role = claims.role === 'author' ? 'author' : 'guest';
+          } catch (error) {
+            console.error("Error reading auth claims:", error);
+          }
+          console.log("Firebase Auth: User signed in, UID:", user.uid);
+          callback({ userId: user.uid, role });
+          return;
+        }
+        // Nobody is signed in: use the Canvas custom token if there is one, otherwise sign in anonymously.
+        // Either way this listener runs again with the new user.
+        try {
+          if (initialAuthToken) {
+            await signInWithCustomToken(auth, initialAuthToken);
+            console.log("Firebase Auth: Signed in with custom token (Canvas).");
+          } else {
+            await signInAnonymously(auth);
+            console.log("Firebase Auth: Signed in anonymously (Vercel/Local).");
+          }
+        } catch (error) {
+          console.error("Error signing in:", error);
+          // Fallback to a random UUID if anonymous sign-in fails
+          const newUuid = crypto.randomUUID();
+          console.log("Firebase Auth: Anonymous sign-in failed, using random UUID:", newUuid);
+          callback({ userId: newUuid, role: 'guest' });
+        }
+      }),
+      signInAsAuthor: (email, password) => signInWithEmailAndPassword(auth, email, password),
+      // Signing out drops back to an anonymous guest session via onChange
+      signOut: () => signOut(auth)
+    },
+
+    images: {
+      upload: async (path, blob, { contentType, onProgress = () => {} } = {}) => {
+        const imageRef = storageRef(storage, `artifacts/${appId}/${path}`);
+        const uploadTask = uploadBytesResumable(imageRef, blob, { contentType });
+        await new Promise((resolve, reject) => {
+          uploadTask.on('state_changed',
+            (snapshot) => onProgress(Math.round((snapshot.bytesTransferred / snapshot.totalBytes) * 100)),
+            reject,
+            resolve
+          );
+        });
+        return { url: await getDownloadURL(imageRef), path: imageRef.fullPath };
+      },
+      remove: (path) => deleteObject(storageRef(storage, path))
+    },
+
+    stories: {
+      // Guests list published stories only. Scheduled ones are published on the server once their publishAt
+      // has passed (`npm run data -- publish`), so the list never depends on the device's clock.
+      publishedList: () => pagedList(publishedStoriesQuery, 'publishAt'),
+      listPublished: ({ includeScheduled = false } = {}) => listQuery(query(
+        includeScheduled ? query(storiesRef, where('status', 'in', PUBLIC_STORY_STATUSES)) : publishedStoriesQuery,
+        orderBy('publishAt', 'desc')
+      )),
+      subscribe: (id, onChange, onError) => watchDoc(doc(storiesRef, id), onChange, onError),
+      get: async (id) => {
+        const docSnap = await getDoc(doc(storiesRef, id));
+        return docSnap.exists() ? toRecord(docSnap) : null;
+      },
+      subscribeDrafts: (authorId, onChange, onError) => watchQuery(
+        query(storiesRef, where('authorId', '==', authorId), where('status', 'in', DRAFT_STORY_STATUSES)),
+        onChange,
+        onError
+      ),
+      create: (data, id) => createRecord(storiesRef, data, id),
+      update: (id, changes) => updateRecord(storiesRef, id, changes),
+      // Applies changes to a story and keeps its previous version in the `revisions` subcollection, atomically
+      updateWithRevision: (id, changes, userId) => runTransaction(db, async (transaction) => {
+        const storyDocRef = doc(storiesRef, id);
+        const currentSnap = await transaction.get(storyDocRef);
+        if (!currentSnap.exists()) {
+          throw new Error("Story not found.");
+        }
+        transaction.set(doc(collection(storyDocRef, 'revisions')), {
+          ...pickRevisionFields(currentSnap.data()),
+          savedAt: serverTimestamp(),
+          savedBy: userId
+        });
+        transaction.update(storyDocRef, { ...changes, updatedAt: serverTimestamp() });
+      }),
+      remove: async (id) => {
+        const storyDocRef = doc(storiesRef, id);
+        const [commentsSnap, revisionsSnap, storyReactionsSnap, storiesSnap] = await Promise.all([
+          getDocs(query(commentsRef, where('storyId', '==', id))),
+          getDocs(collection(storyDocRef, 'revisions')),
+          getDocs(collection(storyDocRef, 'reactions')),
+          getDocs(storiesRef)
+        ]);
+        const commentReactionSnaps = await Promise.all(
+          commentsSnap.docs.map(commentDoc => getDocs(collection(commentDoc.ref, 'reactions')))
+        );
+
+        // A well-discussed story can need more writes than one batch holds. The story goes last, so if a
+        // batch fails it is still listed and deleting it again removes the rest.
+        const docRefs = [
+          ...commentReactionSnaps.flatMap(snap => snap.docs.map(reactionDoc => reactionDoc.ref)),
+          ...commentsSnap.docs.map(commentDoc => commentDoc.ref),
+          ...revisionsSnap.docs.map(revisionDoc => revisionDoc.ref),
+          ...storyReactionsSnap.docs.map(reactionDoc => reactionDoc.ref),
+          storyDocRef
+        ];
+        await commitInBatches(docRefs, (batch, docRef) => batch.delete(docRef));
+
+        // Then its uploaded images. One that can't be deleted is only logged, since the story is gone.
+        const imagePaths = orphanedStoryImageUrls(
+          [...storiesSnap.docs.filter(storyDoc => storyDoc.id === id), ...revisionsSnap.docs].map(versionDoc => versionDoc.data()),
+          storiesSnap.docs.filter(storyDoc => storyDoc.id !== id).map(storyDoc => storyDoc.data())
+        ).map(storyImagePath).filter(Boolean);
+        await Promise.all(imagePaths.map(path => deleteObject(storageRef(storage, path)).catch((error) => {
+          console.error(`Error deleting story image ${path}:`, error);
+        })));
+      },
+      subscribeRevisions: (id, onChange, onError) =>
+        watchQuery(query(collection(storiesRef, id, 'revisions'), orderBy('savedAt', 'desc')), onChange, onError)
+    },
+
+    reactions: {
+      subscribeMine: (target, userId, onChange, onError) =>
+        onSnapshot(doc(dataCollection(target.collection), target.id, 'reactions', userId),
+          (docSnap) => onChange(docSnap.exists() ? docSnap.data().emoji : null),
+          onError
+        ),
+      // The per-user doc in the target's `reactions` subcollection and the target's reactionCounts change
+      // in one transaction, so counts stay consistent (firestore.rules checks they change together)
+      toggle: (target, userId, emoji) => runTransaction(db, async (transaction) => {
+        const targetDocRef = doc(dataCollection(target.collection), target.id);
+        const reactionDocRef = doc(targetDocRef, 'reactions', userId);
+        const targetSnap = await transaction.get(targetDocRef);
+        const reactionSnap = await transaction.get(reactionDocRef);
+        if (!targetSnap.exists()) {
+          throw new Error("Reaction target not found.");
+        }
+
+        const previousEmoji = reactionSnap.exists() ? reactionSnap.data().emoji : null;
+        if (previousEmoji === emoji) {
+          transaction.delete(reactionDocRef);
+        } else {
+          transaction.set(reactionDocRef, { emoji, createdAt: serverTimestamp() });
+        }
+        transaction.update(targetDocRef, { reactionCounts: nextReactionCounts(targetSnap.data().reactionCounts, previousEmoji, emoji) });
+      })
+    },
+
+    comments: {
+      // Top-level comments only; their replies come from subscribeApprovedReplies
+      approvedList: (storyId) => pagedList(
+        query(commentsRef, where('storyId', '==', storyId), where('status', '==', 'approved'), where('parentId', '==', null)),
+        'createdAt'
+      ),
+      subscribeApprovedReplies: (storyId, onChange, onError) => onSnapshot(
+        query(commentsRef, where('storyId', '==', storyId), where('status', '==', 'approved'), where('parentId', '!=', null)),
+        { includeMetadataChanges: true },
+        (snapshot) => onChange(snapshot.docs.map(toRecordWithPendingWrites)),
+        onError
+      ),
+      create: (data, id) => createPost(commentsRef, data, data.commentText, id)
+    },
+
+    feedback: {
+      approvedList: () => pagedList(query(feedbackRef, where('status', '==', 'approved')), 'createdAt'),
+      subscribeLatestApproved: (count, onChange, onError) => watchQuery(
+        query(feedbackRef, where('status', '==', 'approved'), orderBy('createdAt', 'desc'), limit(count)),
+        onChange,
+        onError
+      ),
+      // The entry and its private note (if any) are saved together, under the same ID
+      create: (data, id = null, privateNote = null) => createPost(feedbackRef, data, data.message, id, (batch, entryRef) => {
+        if (privateNote) {
+          batch.set(doc(feedbackNotesRef, entryRef.id), { ...privateNote, userId: data.userId, createdAt: serverTimestamp() });
+        }
+      }),
+      subscribeMine: (userId, onChange, onError) => onSnapshot(
+        query(feedbackRef, where('userId', '==', userId), orderBy('createdAt', 'desc')),
+        { includeMetadataChanges: true },
+        (snapshot) => onChange(snapshot.docs.map(toRecordWithPendingWrites)),
+        onError
+      ),
+      remove: (id) => {
+        const batch = writeBatch(db);
+        batch.delete(doc(feedbackRef, id));
+        batch.delete(doc(feedbackNotesRef, id));
+        return batch.commit();
+      },
+      subscribeNotes: (onChange, onError) => watchQuery(query(feedbackNotesRef, orderBy('createdAt', 'desc')), onChange, onError)
+    },
+
+    postLimits: {
+      get: async (userId) => (await getDoc(doc(postLimitsRef, userId))).data() || null
+    },
+
+    moderation: {
+      subscribePending: (collectionName, onChange, onError) => watchQuery(
+        query(dataCollection(collectionName), where('status', '==', 'pending'), orderBy('createdAt', 'asc')),
+        onChange,
+        onError
+      ),
+      review: (items, status, moderatorId) => {
+        const batch = writeBatch(db);
+        items.forEach(({ collectionName, id }) => {
+          batch.update(doc(dataCollection(collectionName), id), {
+            status,
+            moderatedAt: serverTimestamp(),
+            moderatedBy: moderatorId
+          });
+        });
+        return batch.commit();
+      },
+      subscribeSettings: (onChange, onError) =>
+        onSnapshot(moderationSettingsRef, (docSnap) => onChange(docSnap.data() || {}), onError),
+      saveSettings: (changes) => setDoc(moderationSettingsRef, { ...changes, updatedAt: serverTimestamp() }, { merge: true })
+    },
+
+    photos: {
+      subscribeAll: (onChange, onError) => watchQuery(query(photosRef, orderBy('createdAt', 'desc')), onChange, onError),
+      listAll: () => listQuery(query(photosRef, orderBy('createdAt', 'desc'))),
+      create: (data) => createRecord(photosRef, data),
+      createMany: (list) => createRecords(photosRef, list),
+      update: (id, changes) => updateRecord(photosRef, id, changes),
+      remove: (id) => deleteDoc(doc(photosRef, id))
+    },
+
+    program: {
+      subscribe: (onChange, onError) => watchQuery(query(programRef, orderBy('order', 'asc')), onChange, onError),
+      create: (data) => createRecord(programRef, data),
+      createMany: (list) => createRecords(programRef, list),
+      update: (id, changes) => updateRecord(programRef, id, changes),
+      reorder: (ids) => {
+        const batch = writeBatch(db);
+        ids.forEach((id, index) => batch.update(doc(programRef, id), { order: index }));
+        return batch.commit();
+      },
+      remove: (id) => deleteDoc(doc(programRef, id))
+    },
+
+    live: {
+      // Estimate pending server timestamps so the author's timer starts immediately
+      subscribe: (onChange, onError) =>
+        onSnapshot(liveStateRef, (docSnap) => onChange(docSnap.exists() ? docSnap.data({ serverTimestamps: 'estimate' }) : null), onError),
+      update: (changes) => setDoc(liveStateRef, { ...changes, updatedAt: serverTimestamp() }, { merge: true })
+    },
+
+    settings: {
+      subscribe: (onChange, onError) => onSnapshot(siteSettingsRef, (docSnap) => onChange(docSnap.data() || {}), onError),
+      save: (changes) => setDoc(siteSettingsRef, { ...changes, updatedAt: serverTimestamp() }, { merge: true })
+    },
+
+    rsvps: {
+      subscribe: (userId, onChange, onError) => watchDoc(doc(rsvpsRef, userId), onChange, onError),
+      subscribeAll: (onChange, onError) => watchQuery(query(rsvpsRef, orderBy('updatedAt', 'desc')), onChange, onError),
+      // firestore.rules require createdAt to stay the same when a guest changes their RSVP
+      save: (userId, rsvp, existingRsvp = null) => setDoc(doc(rsvpsRef, userId), {
+        ...rsvp,
+        userId,
+        createdAt: existingRsvp?.createdAt || serverTimestamp(),
+        updatedAt: serverTimestamp()
+      })
+    },
+
+    backup: {
+      list: (collectionPath) => listQuery(collection(db, backupPath(collectionPath))),
+      // Large imports are split over several batches, so they are not atomic as a whole
+      write: (writes) => commitInBatches(writes, (batch, { path, data }) =>
+        batch.set(doc(db, backupPath(path)), data)
+      )
+    }
+  };
+};
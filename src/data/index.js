@@ -0,0 +1,83 @@
+// The data repository: every read and write the site makes, behind one interface with two backends.
+//   - firestoreRepository.js stores data in Cloud Firestore and Firebase Storage (the deployed site)
+//   - localRepository.js keeps it in this browser's IndexedDB, so the site runs without a Firebase project
+// Components get the repository from useData() in App.jsx and never talk to a backend directly.
+//
+// Records are plain objects `{ id, ...fields }`. Timestamps have toDate() and toMillis() (Firestore
+// Timestamps, or LocalTimestamps for the local backend). Writes may contain Dates, or repository.serverTime()
+// for "the time this write is saved"; createdAt and updatedAt are set by the repository itself.
+// Live reads take `(onChange, onError)` callbacks and return an unsubscribe function.
+//
+// Repository:
+//   backend                      'firebase' | 'local'
+//   appId                        The app ID the data belongs to (see src/config.js)
+//   newId()                      A fresh record ID, for writes whose ID is needed before they finish
+//   serverTime()                 Placeholder for the time a write is saved
+//   auth
+//     onChange(callback)         callback({ userId, role }) now and whenever it changes. Signs visitors in
+//                                as anonymous guests; role is 'author' for the site's author.
+//     signInAsAuthor(email, password), signOut()
+//   images
+//     upload(path, blob, { contentType, onProgress })  -> { url, path }. path is relative to the site's folder.
+//     remove(path)               path as returned by upload()
+//   stories
+//     publishedList()            PagedList of published stories, by publishAt. With Firebase, scheduled stories
+//                                only count once `npm run data -- publish` has published them.
+//     listPublished({ includeScheduled })  -> every published story, newest first; includeScheduled (author only)
+//                                adds the scheduled ones
+//     subscribe(id, ...)         The story, or null once it doesn't exist
+//     get(id)                    -> the story or null
+//     subscribeDrafts(authorId, ...)  The author's drafts and scheduled stories
+//     create(data, id?)          -> id
+//     update(id, changes)
+//     updateWithRevision(id, changes, userId)  Keeps the previous version in the story's revisions
+//     remove(id)                 Deletes the story with its comments, reactions and revisions, then the images
+//                                uploaded for it that no other story shows
+//     subscribeRevisions(id, ...)  Revisions, newest first
+//   reactions                    target is { collection: 'stories' | 'comments', id }
+//     subscribeMine(target, userId, ...)  The user's emoji on target, or null
+//     toggle(target, userId, emoji)
+//   comments
+//     approvedList(storyId)      PagedList of a story's approved top-level comments (parentId null), by createdAt
+//     subscribeApprovedReplies(storyId, ...)  Every approved reply to the story's comments, the only source of replies
+//     create(data, id?)          -> id
+//   feedback                     Public guestbook entries; each may have a private note only the author can read
+//     approvedList()             PagedList of approved guestbook messages, by createdAt
+//     subscribeLatestApproved(count, ...)
+//     subscribeMine(userId, ...) The user's own entries in any status, newest first
+//     create(data, id?, privateNote?)  -> id. privateNote is { name, email, note }, saved with the entry.
+//     remove(id)                 Deletes the entry and its private note
+//     subscribeNotes(...)        Every private note, newest first (author only)
+//                                comments.create and feedback.create also record the post in postLimits
+//   postLimits
+//     get(userId)                -> { lastPostAt, lastMessage } of the user's latest post, or null
+//   moderation                   collectionName is 'comments' or 'feedback'
+//     subscribePending(collectionName, ...)  Oldest first
+//     review(items, status, moderatorId)     items are [{ collectionName, id }], updated together
+//     subscribeSettings(...), saveSettings(changes)
+//   photos: subscribeAll(...), listAll(), create(data), createMany(list), update(id, changes), remove(id)
+//   program: subscribe(...), create(data), createMany(list), update(id, changes), reorder(ids), remove(id)
+//   live: subscribe(...), update(changes)
+//   settings                     Site-wide settings everyone can read, e.g. { accent } (see src/theme.js)
+//     subscribe(...), save(changes)  Only the author may save
+//   rsvps: subscribe(userId, ...), subscribeAll(...), save(userId, rsvp, existingRsvp)
+//   backup                       Raw access for export and import (see backup.js); the author's only
+//     list(collectionPath)       -> every record in a collection, e.g. 'stories' or 'stories/<id>/revisions'.
+//                                Paths starting with 'private/' are in the author-only data, e.g. 'private/feedbackNotes'.
+//     write(writes)              writes are [{ path, data }], each replacing the document at path as is
+//
+// PagedList (for usePagedList in App.jsx), newest first:
+//   fetchPage(after, pageSize)   -> { items, last }. after is the previous page's `last` (an opaque cursor), or null.
+//   subscribe(through, onChange, onError)  Live items from the newest down to and including the cursor `through`.
+//                                Items carry hasPendingWrites while a local write awaits the server.
+
+// Connects to the backend chosen in config (see loadConfig in src/config.js). Each backend is loaded
+// on demand, so the local backend doesn't download the Firebase SDK.
+export const createRepository = async (config) => {
+  if (config.dataBackend === 'local') {
+    const { createLocalRepository } = await import('./localRepository.js');
+    return createLocalRepository(config);
+  }
+  const { createFirestoreRepository } = await import('./firestoreRepository.js');
+  return createFirestoreRepository(config);
+};
@@ -0,0 +1,330 @@
+// Local backend for the data repository (see index.js): everything is kept in this browser (see
+// localStore.js), so the site can be run and demoed without a Firebase project. There are no accounts
+// or security rules: visitors get a guest ID remembered in localStorage, and any email and password
+// sign in as the author. Data is per browser and per app ID, and starts out as the sample content.
+import { SAVE_TIME, openLocalStore } from './localStore.js';
+import { PUBLIC_STORY_STATUSES, DRAFT_STORY_STATUSES, pickRevisionFields, nextReactionCounts, orphanedStoryImageUrls } from './shared.js';
+import { createSampleData } from './sampleData.js';
+
+// The author's user ID, the same in every browser
+const LOCAL_AUTHOR_ID = 'local-author';
+
+const newId = () => crypto.randomUUID().replace(/-/g, '');
+
+// Orders records by field, highest (newest) first unless direction is 'asc', then by ID
+const compareBy = (field, direction = 'desc') => (a, b) =>
+  (direction === 'desc' ? b[field] - a[field] : a[field] - b[field]) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+
+// Sorts records like a Firestore orderBy, which leaves out records without the field
+const orderRecords = (records, field, direction = 'desc') =>
+  records.filter(record => record[field] != null).sort(compareBy(field, direction));
+
+// Calls onChange with read() now and after every change to the store until unsubscribed
+const watch = (store, read, onChange, onError = () => {}) => {
+  let active = true;
+  const emit = () => {
+    if (!active) return;
+    let result;
+    try {
+      result = read();
+    } catch (error) {
+      onError(error);
+      return;
+    }
+    onChange(result);
+  };
+  const unsubscribe = store.subscribe(emit);
+  queueMicrotask(emit); // Like Firestore listeners, the first result arrives asynchronously
+  return () => {
+    active = false;
+    unsubscribe();
+  };
+};
+
+// A PagedList over the records read() returns, newest first by orderField. Page cursors are records.
+const pagedList = (store, read, orderField) => {
+  const compare = compareBy(orderField);
+  const readOrdered = () => orderRecords(read(), orderField);
+  return {
+    fetchPage: async (after, pageSize) => {
+      const items = readOrdered().filter(item => !after || compare(item, after) > 0).slice(0, pageSize);
+      return { items, last: items[items.length - 1] || null };
+    },
+    subscribe: (through, onChange, onError) =>
+      watch(store, () => readOrdered().filter(item => !through || compare(item, through) <= 0), onChange, onError)
+  };
+};
+
+export const createLocalRepository = async ({ appId }) => {
+  const storeName = `gayathri-dance-${appId}`;
+  const store = await openLocalStore(storeName);
+  const sessionKey = `${storeName}:session`;
+  const authListeners = new Set();
+
+  // There is no seeding CLI for a browser's data, so a new store is filled here. The sample records have
+  // fixed IDs, so tabs opened at the same moment write the same documents.
+  if (store.isEmpty()) {
+    const sampleData = createSampleData({ authorId: LOCAL_AUTHOR_ID, time: SAVE_TIME });
+    await store.commit(Object.entries(sampleData).flatMap(([collectionPath, records]) =>
+      records.map(({ id, ...data }) => ({ type: 'set', path: `${collectionPath}/${id}`, data }))
+    ));
+  }
+
+  const list = (collectionPath) => store.list(collectionPath);
+  const getRecord = (collectionPath, id) => {
+    const data = store.get(`${collectionPath}/${id}`);
+    return data && { id, ...data };
+  };
+
+  const createRecord = async (collectionPath, data, id = null) => {
+    const recordId = id || newId();
+    await store.commit([{ type: 'set', path: `${collectionPath}/${recordId}`, data: { createdAt: SAVE_TIME, ...data } }]);
+    return recordId;
+  };
+
+  const createRecords = (collectionPath, dataList) =>
+    store.commit(dataList.map(data => ({ type: 'set', path: `${collectionPath}/${newId()}`, data: { createdAt: SAVE_TIME, ...data } })));
+
+  const updateRecord = (collectionPath, id, changes) =>
+    store.commit([{ type: 'update', path: `${collectionPath}/${id}`, data: { ...changes, updatedAt: SAVE_TIME } }]);
+
+  // Records when a user last posted and what, like the Firestore backend does for its rate limit
+  const postLimitWrite = (userId, text) =>
+    ({ type: 'set', path: `private/postLimits/${userId}`, data: { lastPostAt: SAVE_TIME, lastMessage: text } });
+
+  const deleteRecord = (collectionPath, id) => store.commit([{ type: 'delete', path: `${collectionPath}/${id}` }]);
+
+  const publicStories = (publishedBy) => list('stories').filter(story =>
+    PUBLIC_STORY_STATUSES.includes(story.status) && (publishedBy === null || (story.publishAt && story.publishAt.toMillis() <= publishedBy)));
+
+  const approved = (collectionPath, matches = () => true) =>
+    list(collectionPath).filter(record => record.status === 'approved' && matches(record));
+
+  // The visitor's session: a guest ID, and whether they signed in as the author
+  const readSession = () => {
+    try {
+      return JSON.parse(localStorage.getItem(sessionKey)) || {};
+    } catch {
+      return {};
+    }
+  };
+
+  const updateSession = (changes) => {
+    localStorage.setItem(sessionKey, JSON.stringify({ ...readSession(), ...changes }));
+    authListeners.forEach(listener => listener());
+  };
+
+  return {
+    backend: 'local',
+    appId,
+    newId,
+    serverTime: () => SAVE_TIME,
+
+    auth: {
+      onChange: (callback) => {
+        const report = () => {
+          const session = readSession();
+          if (!session.guestId) {
+            updateSession({ guestId: newId() }); // Reports again with the new ID
+            return;
+          }
+          callback(session.author ? { userId: LOCAL_AUTHOR_ID, role: 'author' } : { userId: session.guestId, role: 'guest' });
+        };
+        // Signing in or out in another tab applies here too
+        const handleStorage = (event) => {
+          if (event.key === sessionKey) report();
+        };
+        authListeners.add(report);
+        window.addEventListener('storage', handleStorage);
+        queueMicrotask(report);
+        return () => {
+          authListeners.delete(report);
+          window.removeEventListener('storage', handleStorage);
+        };
+      },
+      signInAsAuthor: async (email, password) => {
+        if (!email || !password) {
+          throw new Error("Email and password are required.");
+        }
+        updateSession({ author: true });
+      },
+      signOut: async () => updateSession({ author: false })
+    },
+
+    images: {
+      upload: async (path, blob, { onProgress = () => {} } = {}) => {
+        const fullPath = `artifacts/${appId}/${path}`;
+        const url = await store.saveFile(fullPath, blob);
+        onProgress(100);
+        return { url, path: fullPath };
+      },
+      remove: (path) => store.removeFile(path)
+    },
+
+    stories: {
+      // Nothing publishes scheduled stories for the local backend, so they are listed once their publishAt has passed
+      publishedList: () => pagedList(store, () => publicStories(Date.now()), 'publishAt'),
+      listPublished: async ({ includeScheduled = false } = {}) =>
+        orderRecords(publicStories(includeScheduled ? null : Date.now()), 'publishAt'),
+      subscribe: (id, onChange, onError) => watch(store, () => getRecord('stories', id), onChange, onError),
+      get: async (id) => getRecord('stories', id),
+      subscribeDrafts: (authorId, onChange, onError) => watch(store,
+        () => list('stories').filter(story => story.authorId === authorId && DRAFT_STORY_STATUSES.includes(story.status)),
+        onChange,
+        onError
+      ),
+      create: (data, id) => createRecord('stories', data, id),
+      update: (id, changes) => updateRecord('stories', id, changes),
+      updateWithRevision: async (id, changes, userId) => {
+        const current = store.get(`stories/${id}`);
+        if (!current) {
+          throw new Error("Story not found.");
+        }
+        await store.commit([
+          { type: 'set', path: `stories/${id}/revisions/${newId()}`, data: { ...pickRevisionFields(current), savedAt: SAVE_TIME, savedBy: userId } },
+          { type: 'update', path: `stories/${id}`, data: { ...changes, updatedAt: SAVE_TIME } }
+        ]);
+      },
+      remove: async (id) => {
+        const imagePaths = orphanedStoryImageUrls(
+          [getRecord('stories', id), ...list(`stories/${id}/revisions`)].filter(Boolean),
+          list('stories').filter(story => story.id !== id)
+        ).map(store.filePath).filter(Boolean);
+        const commentPaths = list('comments').filter(comment => comment.storyId === id).map(comment => `comments/${comment.id}`);
+        const paths = [
+          ...commentPaths.flatMap(commentPath => list(`${commentPath}/reactions`).map(reaction => `${commentPath}/reactions/${reaction.id}`)),
+          ...commentPaths,
+          ...list(`stories/${id}/revisions`).map(revision => `stories/${id}/revisions/${revision.id}`),
+          ...list(`stories/${id}/reactions`).map(reaction => `stories/${id}/reactions/${reaction.id}`),
+          `stories/${id}`
+        ];
+        await store.commit(paths.map(path => ({ type: 'delete', path })));
+        await Promise.all(imagePaths.map(path => store.removeFile(path)));
+      },
+      subscribeRevisions: (id, onChange, onError) =>
+        watch(store, () => orderRecords(list(`stories/${id}/revisions`), 'savedAt'), onChange, onError)
+    },
+
+    reactions: {
+      subscribeMine: (target, userId, onChange, onError) =>
+        watch(store, () => store.get(`${target.collection}/${target.id}/reactions/${userId}`)?.emoji || null, onChange, onError),
+      toggle: async (target, userId, emoji) => {
+        const targetPath = `${target.collection}/${target.id}`;
+        const reactionPath = `${targetPath}/reactions/${userId}`;
+        const targetData = store.get(targetPath);
+        if (!targetData) {
+          throw new Error("Reaction target not found.");
+        }
+        const previousEmoji = store.get(reactionPath)?.emoji || null;
+        await store.commit([
+          previousEmoji === emoji
+            ? { type: 'delete', path: reactionPath }
+            : { type: 'set', path: reactionPath, data: { emoji, createdAt: SAVE_TIME } },
+          { type: 'update', path: targetPath, data: { reactionCounts: nextReactionCounts(targetData.reactionCounts, previousEmoji, emoji) } }
+        ]);
+      }
+    },
+
+    comments: {
+      approvedList: (storyId) => pagedList(store, () => approved('comments', comment => comment.storyId === storyId && comment.parentId == null), 'createdAt'),
+      subscribeApprovedReplies: (storyId, onChange, onError) => watch(store,
+        () => approved('comments', comment => comment.storyId === storyId && comment.parentId != null),
+        onChange,
+        onError
+      ),
+      create: async (data, id = null) => {
+        const commentId = id || newId();
+        await store.commit([
+          { type: 'set', path: `comments/${commentId}`, data: { createdAt: SAVE_TIME, ...data } },
+          postLimitWrite(data.userId, data.commentText)
+        ]);
+        return commentId;
+      }
+    },
+
+    feedback: {
+      approvedList: () => pagedList(store, () => approved('feedback'), 'createdAt'),
+      subscribeLatestApproved: (count, onChange, onError) =>
+        watch(store, () => orderRecords(approved('feedback'), 'createdAt').slice(0, count), onChange, onError),
+      create: async (data, id = null, privateNote = null) => {
+        const entryId = id || newId();
+        await store.commit([
+          { type: 'set', path: `feedback/${entryId}`, data: { createdAt: SAVE_TIME, ...data } },
+          postLimitWrite(data.userId, data.message),
+          ...(privateNote ? [{ type: 'set', path: `private/feedbackNotes/${entryId}`, data: { ...privateNote, userId: data.userId, createdAt: SAVE_TIME } }] : [])
+        ]);
+        return entryId;
+      },
+      subscribeMine: (userId, onChange, onError) =>
+        watch(store, () => orderRecords(list('feedback').filter(entry => entry.userId === userId), 'createdAt'), onChange, onError),
+      remove: (id) => store.commit([
+        { type: 'delete', path: `feedback/${id}` },
+        { type: 'delete', path: `private/feedbackNotes/${id}` }
+      ]),
+      subscribeNotes: (onChange, onError) =>
+        watch(store, () => orderRecords(list('private/feedbackNotes'), 'createdAt'), onChange, onError)
+    },
+
+    postLimits: {
+      get: async (userId) => store.get(`private/postLimits/${userId}`)
+    },
+
+    moderation: {
+      subscribePending: (collectionName, onChange, onError) => watch(store,
+        () => orderRecords(list(collectionName).filter(record => record.status === 'pending'), 'createdAt', 'asc'),
+        onChange,
+        onError
+      ),
+      review: (items, status, moderatorId) => store.commit(items.map(({ collectionName, id }) => ({
+        type: 'update',
+        path: `${collectionName}/${id}`,
+        data: { status, moderatedAt: SAVE_TIME, moderatedBy: moderatorId }
+      }))),
+      subscribeSettings: (onChange, onError) => watch(store, () => store.get('private/moderation') || {}, onChange, onError),
+      saveSettings: (changes) => store.commit([{ type: 'merge', path: 'private/moderation', data: { ...changes, updatedAt: SAVE_TIME } }])
+    },
+
+    photos: {
+      subscribeAll: (onChange, onError) => watch(store, () => orderRecords(list('photos'), 'createdAt'), onChange, onError),
+      listAll: async () => orderRecords(list('photos'), 'createdAt'),
+      create: (data) => createRecord('photos', data),
+      createMany: (dataList) => createRecords('photos', dataList),
+      update: (id, changes) => updateRecord('photos', id, changes),
+      remove: (id) => deleteRecord('photos', id)
+    },
+
+    program: {
+      subscribe: (onChange, onError) => watch(store, () => orderRecords(list('program'), 'order', 'asc'), onChange, onError),
+      create: (data) => createRecord('program', data),
+      createMany: (dataList) => createRecords('program', dataList),
+      update: (id, changes) => updateRecord('program', id, changes),
+      reorder: (ids) => store.commit(ids.map((id, index) => ({ type: 'update', path: `program/${id}`, data: { order: index } }))),
+      remove: (id) => deleteRecord('program', id)
+    },
+
+    live: {
+      subscribe: (onChange, onError) => watch(store, () => store.get('live/state'), onChange, onError),
+      update: (changes) => store.commit([{ type: 'merge', path: 'live/state', data: { ...changes, updatedAt: SAVE_TIME } }])
+    },
+
+    settings: {
+      subscribe: (onChange, onError) => watch(store, () => store.get('settings/site') || {}, onChange, onError),
+      save: (changes) => store.commit([{ type: 'merge', path: 'settings/site', data: { ...changes, updatedAt: SAVE_TIME } }])
+    },
+
+    rsvps: {
+      subscribe: (userId, onChange, onError) => watch(store, () => getRecord('rsvps', userId), onChange, onError),
+      subscribeAll: (onChange, onError) => watch(store, () => orderRecords(list('rsvps'), 'updatedAt'), onChange, onError),
+      save: (userId, rsvp, existingRsvp = null) => store.commit([{
+        type: 'set',
+        path: `rsvps/${userId}`,
+        data: { ...rsvp, userId, createdAt: existingRsvp?.createdAt || SAVE_TIME, updatedAt: SAVE_TIME }
+      }])
+    },
+
+    backup: {
+      list: async (collectionPath) => list(collectionPath),
+      write: (writes) => store.commit(writes.map(({ path, data }) => ({ type: 'set', path, data })))
+    }
+  };
+};
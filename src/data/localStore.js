@@ -0,0 +1,199 @@
+// Document store behind the local backend (see localRepository.js). Documents are held in memory under
+// their path (e.g. 'stories/abc' or 'stories/abc/revisions/xyz'), saved to IndexedDB so they survive
+// reloads, and shared with other open tabs through a BroadcastChannel. Uploaded images are saved too.
+
+const DOCUMENTS = 'documents';
+const FILES = 'files';
+// Stored documents refer to uploaded images as `local-file:<path>`; what the store hands out uses
+// object URLs made for this page instead
+const FILE_REF_PREFIX = 'local-file:';
+const FILE_REF_PATTERN = /local-file:([^\s)"']+)/g;
+const OBJECT_URL_PATTERN = /blob:[^\s)"']+/g;
+
+// A point in time, with the toDate() and toMillis() methods of Firestore's Timestamp
+export class LocalTimestamp {
+  constructor(millis) {
+    this.millis = millis;
+  }
+
+  static now() {
+    return new LocalTimestamp(Date.now());
+  }
+
+  toDate() {
+    return new Date(this.millis);
+  }
+
+  toMillis() {
+    return this.millis;
+  }
+
+  // Lets timestamps be compared and sorted like numbers
+  valueOf() {
+    return this.millis;
+  }
+}
+
+// Written in place of a value to store the time of the write, like Firestore's serverTimestamp()
+export const SAVE_TIME = Symbol('saveTime');
+
+// Applies mapLeaf to every value that isn't an array or a plain object, returning a copy
+const mapLeaves = (value, mapLeaf) => {
+  if (Array.isArray(value)) return value.map(item => mapLeaves(item, mapLeaf));
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapLeaves(item, mapLeaf)]));
+  }
+  return mapLeaf(value);
+};
+
+// IndexedDB and other tabs hand timestamps back as Dates, which is also what the site may write
+const toStoredValue = (value, savedAt) => mapLeaves(value, (leaf) => {
+  if (leaf === SAVE_TIME) return savedAt;
+  if (leaf instanceof Date) return new LocalTimestamp(leaf.getTime());
+  return leaf;
+});
+
+// Class instances don't survive IndexedDB or postMessage, so timestamps travel as Dates
+const toPlainValue = (value) => mapLeaves(value, leaf => (leaf instanceof LocalTimestamp ? leaf.toDate() : leaf));
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+const openDatabase = (name) => {
+  const request = indexedDB.open(name, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(DOCUMENTS, { keyPath: 'path' });
+    request.result.createObjectStore(FILES, { keyPath: 'path' });
+  };
+  return requestResult(request);
+};
+
+const parentPath = (path) => path.slice(0, path.lastIndexOf('/'));
+const lastSegment = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+// Opens (creating if needed) the store called name and loads everything in it
+export const openLocalStore = async (name) => {
+  const database = await openDatabase(name);
+  const documents = new Map(); // path -> stored data
+  const fileUrls = new Map(); // file path -> object URL
+  const filePaths = new Map(); // object URL -> file path
+  const listeners = new Set();
+  const channel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(name);
+
+  const addFile = (path, blob) => {
+    const url = URL.createObjectURL(blob);
+    fileUrls.set(path, url);
+    filePaths.set(url, path);
+    return url;
+  };
+
+  const dropFile = (path) => {
+    const url = fileUrls.get(path);
+    if (!url) return;
+    URL.revokeObjectURL(url);
+    fileUrls.delete(path);
+    filePaths.delete(url);
+  };
+
+  const withFileUrls = (data) => mapLeaves(data, leaf => (
+    typeof leaf === 'string' ? leaf.replace(FILE_REF_PATTERN, (ref, path) => fileUrls.get(path) || ref) : leaf
+  ));
+
+  const withFileRefs = (data) => mapLeaves(data, leaf => (
+    typeof leaf === 'string' ? leaf.replace(OBJECT_URL_PATTERN, url => (filePaths.has(url) ? FILE_REF_PREFIX + filePaths.get(url) : url)) : leaf
+  ));
+
+  const notify = () => listeners.forEach(listener => listener());
+
+  const applyChanges = (changes) => {
+    changes.forEach(({ path, data }) => (data ? documents.set(path, data) : documents.delete(path)));
+    notify();
+  };
+
+  const readTransaction = database.transaction([DOCUMENTS, FILES]);
+  const [storedDocuments, storedFiles] = await Promise.all([
+    requestResult(readTransaction.objectStore(DOCUMENTS).getAll()),
+    requestResult(readTransaction.objectStore(FILES).getAll())
+  ]);
+  storedDocuments.forEach(({ path, data }) => documents.set(path, toStoredValue(data)));
+  storedFiles.forEach(({ path, blob }) => addFile(path, blob));
+
+  // Changes made in other tabs
+  channel?.addEventListener('message', ({ data: message }) => {
+    message.files?.forEach(({ path, blob }) => addFile(path, blob));
+    message.removedFiles?.forEach(dropFile);
+    applyChanges((message.documents || []).map(({ path, data }) => ({ path, data: data && toStoredValue(data) })));
+  });
+
+  return {
+    // Whether the store has no documents at all, e.g. the first time it is opened
+    isEmpty: () => documents.size === 0,
+
+    // The data of the document at path, or null if there is none
+    get: (path) => (documents.has(path) ? withFileUrls(documents.get(path)) : null),
+
+    // The documents directly inside collectionPath, as { id, ...data } records
+    list: (collectionPath) => [...documents]
+      .filter(([path]) => parentPath(path) === collectionPath)
+      .map(([path, data]) => ({ id: lastSegment(path), ...withFileUrls(data) })),
+
+    // Applies writes together, or none of them if one fails. Each write is { type, path, data }, where
+    // type is 'set' (replace), 'merge' (set some fields), 'update' (like merge, but the document must
+    // exist) or 'delete'. Memory changes right away; the returned promise settles once saved to IndexedDB.
+    commit: async (writes) => {
+      const savedAt = LocalTimestamp.now();
+      const changes = writes.map(({ type, path, data }) => {
+        if (type === 'delete') return { path, data: null };
+        const current = documents.get(path);
+        if (type === 'update' && !current) {
+          throw new Error(`No document to update at ${path}.`);
+        }
+        const stored = toStoredValue(withFileRefs(data), savedAt);
+        return { path, data: type === 'set' ? stored : { ...current, ...stored } };
+      });
+      applyChanges(changes);
+
+      const plainChanges = changes.map(({ path, data }) => ({ path, data: data && toPlainValue(data) }));
+      channel?.postMessage({ documents: plainChanges });
+      const transaction = database.transaction(DOCUMENTS, 'readwrite');
+      plainChanges.forEach(({ path, data }) => (
+        data ? transaction.objectStore(DOCUMENTS).put({ path, data }) : transaction.objectStore(DOCUMENTS).delete(path)
+      ));
+      await transactionDone(transaction);
+    },
+
+    // Saves an image file under path and returns a URL for it, usable in documents written to this store
+    saveFile: async (path, blob) => {
+      const transaction = database.transaction(FILES, 'readwrite');
+      transaction.objectStore(FILES).put({ path, blob });
+      await transactionDone(transaction);
+      channel?.postMessage({ files: [{ path, blob }] });
+      return addFile(path, blob);
+    },
+
+    // The path of the file a URL handed out by this store points at, or null for other URLs
+    filePath: (url) => filePaths.get(url) || null,
+
+    removeFile: async (path) => {
+      const transaction = database.transaction(FILES, 'readwrite');
+      transaction.objectStore(FILES).delete(path);
+      await transactionDone(transaction);
+      channel?.postMessage({ removedFiles: [path] });
+      dropFile(path);
+    },
+
+    // Calls listener after every change, including ones made in other tabs. Returns an unsubscribe function.
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
@@ -0,0 +1,47 @@
+// Record rules shared by both repository backends and the components in App.jsx
+
+// Stories start as drafts (author only). Published and scheduled stories are public once their
+// publishAt has passed. Stories saved before drafts existed have neither field: they open by link as
+// published, but the story list queries only find them once the 001-story-status migration has set both.
+export const PUBLIC_STORY_STATUSES = ['published', 'scheduled'];
+// Listed on the author's My Drafts page
+export const DRAFT_STORY_STATUSES = ['draft', 'scheduled'];
+
+// Story fields captured in each revision snapshot
+export const STORY_REVISION_FIELDS = ['title', 'content', 'translations', 'tags', 'imageUrl', 'thumbnailUrl'];
+
+// An image in Markdown, e.g. ![alt](url); the URL is the first group
+export const MARKDOWN_IMAGE_PATTERN = /!\[[^\]]*\]\(\s*<?([^\s)>]+)/g;
+
+// URLs of the images story data (or a revision of it) shows: the cover image, its thumbnail and the
+// images in the content and its translations
+const storyImageUrls = (data) => [
+  data.imageUrl,
+  data.thumbnailUrl,
+  ...[data.content, ...Object.values(data.translations || {}).map(translation => translation.content)]
+    .flatMap(markdown => [...(markdown || '').matchAll(MARKDOWN_IMAGE_PATTERN)].map(match => match[1]))
+].filter(Boolean);
+
+// Image URLs to delete along with a story: those in versions (the story and its revisions) that none of
+// otherStories shows. Stories copied by a backup import share their images with the original.
+export const orphanedStoryImageUrls = (versions, otherStories) => {
+  const keptUrls = new Set(otherStories.flatMap(storyImageUrls));
+  return [...new Set(versions.flatMap(storyImageUrls))].filter(url => !keptUrls.has(url));
+};
+
+// Picks the revisioned fields from story data, skipping ones that were never set
+export const pickRevisionFields = (data) =>
+  Object.fromEntries(STORY_REVISION_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+
+// A target's reactionCounts after a user whose reaction was previousEmoji (or null) picks emoji.
+// Picking the same emoji again clears the reaction, so each user holds at most one reaction per target.
+export const nextReactionCounts = (counts = {}, previousEmoji, emoji) => {
+  const nextCounts = { ...counts };
+  if (previousEmoji) {
+    nextCounts[previousEmoji] = Math.max(0, (nextCounts[previousEmoji] || 0) - 1);
+  }
+  if (previousEmoji !== emoji) {
+    nextCounts[emoji] = (nextCounts[emoji] || 0) + 1;
+  }
+  return nextCounts;
+};
@@ -0,0 +1,195 @@
+// English UI strings. Keys are grouped by the part of the page they belong to; `{name}` placeholders
+// are filled in by t(). Every key here should also exist in ta.js (missing ones fall back to English).
+const en = {
+  'common.loading': 'Loading...',
+  'common.loadingAuth': 'Loading authentication...',
+  'common.ok': 'OK',
+  'common.cancel': 'Cancel',
+  'common.confirm': 'Confirm',
+  'common.notAvailable': 'N/A',
+  'common.yourName': 'Your Name:',
+  'common.pendingSync': 'Pending sync',
+  'common.pendingSyncNote': 'Saved on this device. It will be sent when you are back online.',
+
+  'nav.siteTitle': "Gayathri's Arangetram",
+  'nav.home': 'Home',
+  'nav.photos': 'Photos',
+  'nav.stories': 'Stories',
+  'nav.program': 'Program',
+  'nav.rsvp': 'RSVP',
+  'nav.feedback': 'Feedback',
+  'nav.addStory': 'Add Story',
+  'nav.drafts': 'My Drafts',
+  'nav.rsvpDashboard': 'RSVPs',
+  'nav.moderation': 'Moderation',
+  'nav.backup': 'Backup',
+  'nav.appearance': 'Appearance',
+  'nav.signOut': 'Sign Out',
+  'nav.switchLanguage': 'Switch language to {language}',
+  'nav.switchTheme': 'Theme: {theme}. Switch to {next}',
+
+  'theme.system': 'Auto',
+  'theme.light': 'Light',
+  'theme.dark': 'Dark',
+  'theme.highContrast': 'High contrast',
+
+  'hero.title': "Gayathri's Arangetram",
+  'hero.tagline': 'A Celebration of Grace, Dedication, and Art',
+  'hero.userId': 'Current User ID:',
+
+  'footer.rights': "© {year} Gayathri's Dance Debut. All rights reserved.",
+  'footer.madeWith': 'Built with ❤️ for a beautiful journey.',
+  'footer.authorSignIn': 'Author sign in',
+
+  'photos.title': 'Photo Gallery',
+  'photos.loading': 'Loading photos...',
+  'photos.loadError': 'Failed to load photos. Please try again later.',
+  'photos.empty': 'No photos yet. Check back soon!',
+  'photos.caption': 'A moment of beauty and expression.',
+  'photos.alt': 'Dance Photo {number}',
+  'photos.all': 'All',
+  'photos.album.Rehearsals': 'Rehearsals',
+  'photos.album.Costume': 'Costume',
+  'photos.album.Stage': 'Stage',
+  'photos.emptyAlbum': 'No photos in this album yet.',
+  'photos.credit': 'Photo: {credit}',
+  'photos.counter': '{current} / {total}',
+
+  'lightbox.open': 'Open photo {number}',
+  'lightbox.close': 'Close',
+  'lightbox.previous': 'Previous photo',
+  'lightbox.next': 'Next photo',
+  'lightbox.zoomIn': 'Zoom in',
+  'lightbox.zoomOut': 'Zoom out',
+  'lightbox.play': 'Slideshow',
+  'lightbox.pause': 'Pause',
+  'lightbox.download': 'Download',
+
+  'stories.title': "Gayathri's Dance Stories",
+  'stories.loading': 'Loading stories...',
+  'stories.loadError': 'Failed to load stories. Please try again later.',
+  'stories.empty': 'No stories yet. Check back soon!',
+  'stories.readMore': 'Read More →',
+  'stories.loadMore': 'Load More Stories',
+  'stories.searchLabel': 'Search stories',
+  'stories.searchPlaceholder': 'Search titles, stories and tags...',
+  'stories.allTags': 'All',
+  'stories.searching': 'Searching stories...',
+  'stories.resultCount': 'Stories found: {count}',
+  'stories.noMatches': 'No stories match your search.',
+
+  'tags.practice': 'Practice',
+  'tags.costume': 'Costume',
+  'tags.guru': 'Guru',
+  'tags.music': 'Music',
+  'tags.performance': 'Performance',
+
+  'story.loading': 'Loading story...',
+  'story.notFound': 'Story not found.',
+  'story.loadError': 'Failed to load story details.',
+  'story.back': '← Back to Stories',
+  'story.published': 'Published by Gayathri on {date}',
+  'story.lastEdited': 'Last edited {date}',
+
+  'comments.title': 'Comments',
+  'comments.loadError': 'Failed to load comments.',
+  'comments.loadOlder': 'Load Older Comments',
+  'comments.empty': 'No comments yet. Be the first to leave one!',
+  'comments.leave': 'Leave a Comment',
+  'comments.yourComment': 'Your Comment:',
+  'comments.post': 'Post Comment',
+  'comments.missingFields': 'Please enter your name and a comment.',
+  'comments.added': 'Comment added successfully!',
+  'comments.awaitingApproval': 'Thank you! Your comment will appear once it has been approved.',
+  'comments.queuedOffline': "You're offline. Your comment is saved on this device and will be sent when you're back online.",
+  'comments.addFailed': 'Failed to add comment. Please try again.',
+  'comments.authorBadge': 'Author',
+  'comments.reply': 'Reply',
+  'comments.showReply': 'Show 1 reply',
+  'comments.showReplies': 'Show {count} replies',
+  'comments.hideReply': 'Hide 1 reply',
+  'comments.hideReplies': 'Hide {count} replies',
+  'comments.replyName': 'Your name',
+  'comments.replyText': 'Your reply',
+  'comments.posting': 'Posting...',
+  'comments.postReply': 'Post Reply',
+
+  'posts.errorNameLength': 'Your name can be at most {max} characters.',
+  'posts.errorTextLength': 'Your message can be at most {max} characters.',
+  'posts.errorLinks': 'Please include at most {max} links.',
+  'posts.tooFast': 'That was quick! Please take a moment to check your message, then send it again.',
+  'posts.tooSoon': 'You just posted. Please wait a moment before posting again.',
+  'posts.duplicate': 'You already posted this message.',
+  'posts.honeypot': 'Leave this field empty',
+
+  'program.title': 'Program',
+  'program.loading': 'Loading program...',
+  'program.loadError': 'Failed to load the program. Please try again later.',
+  'program.subtitle': 'The order of the evening',
+  'program.totalDuration': 'about {duration}',
+  'program.empty': 'The program will be announced soon.',
+  'program.raga': 'Raga: {value}',
+  'program.tala': 'Tala: {value}',
+  'program.composer': 'Composer: {value}',
+  'program.relatedStories': 'Stories: ',
+  'program.photoAlt': 'Photo for {piece}',
+  'duration.minutes': '{minutes} min',
+  'duration.hours': '{hours} hr',
+  'duration.hoursMinutes': '{hours} hr {minutes} min',
+
+  'live.badge': 'Live',
+  'live.nowPerforming': 'Now performing:',
+  'live.startingSoon': 'The performance will begin shortly.',
+  'live.upNext': 'Up next: {piece}',
+
+  'rsvp.title': 'RSVP',
+  'rsvp.intro': 'Please let us know if you can join us.',
+  'rsvp.introExisting': 'We have your RSVP. You can change it below at any time.',
+  'rsvp.attendingQuestion': 'Will you attend?',
+  'rsvp.attendingYes': "Yes, I'll be there",
+  'rsvp.attendingNo': "Sorry, I can't make it",
+  'rsvp.partySize': 'Party Size (including you):',
+  'rsvp.dietaryNeeds': 'Dietary Needs (Optional):',
+  'rsvp.dietaryPlaceholder': 'e.g. vegetarian, nut allergy',
+  'rsvp.message': 'Message (Optional):',
+  'rsvp.saving': 'Saving...',
+  'rsvp.send': 'Send RSVP',
+  'rsvp.update': 'Update RSVP',
+  'rsvp.sent': 'Thank you for your RSVP!',
+  'rsvp.updated': 'Your RSVP has been updated.',
+  'rsvp.saveFailed': 'Failed to save your RSVP. Please try again.',
+  'rsvp.tooSoon': 'Your RSVP was just saved. Please wait a moment before changing it again.',
+  'rsvp.errorName': 'Please fill in your name.',
+  'rsvp.errorNameLength': 'Your name can be at most {max} characters.',
+  'rsvp.errorPartySize': 'Party size must be between 1 and {max}.',
+  'rsvp.errorDietaryLength': 'Dietary needs can be at most {max} characters.',
+  'rsvp.errorMessageLength': 'Your message can be at most {max} characters.',
+
+  'feedback.title': 'Share Your Feedback',
+  'feedback.email': 'Your Email (Optional, private):',
+  'feedback.message': 'Your Guestbook Message (shown publicly once approved):',
+  'feedback.privateNote': 'Private Note to Gayathri (Optional):',
+  'feedback.privateHint': 'Your email and private note are only ever seen by Gayathri.',
+  'feedback.consent': 'I agree that my name and guestbook message may be shown on this site once approved. I can delete my entry at any time.',
+  'feedback.submitting': 'Submitting...',
+  'feedback.submit': 'Submit Feedback',
+  'feedback.recent': 'Recent Feedback',
+  'feedback.loadError': 'Failed to load feedback.',
+  'feedback.empty': 'No feedback yet. Be the first to share your thoughts!',
+  'feedback.loadMore': 'Load More Feedback',
+  'feedback.missingFields': 'Please fill in your name and message.',
+  'feedback.consentRequired': 'Please agree to your name and message being shown publicly.',
+  'feedback.thanks': 'Thank you for your feedback!',
+  'feedback.awaitingApproval': 'Thank you for your feedback! It will appear once it has been approved.',
+  'feedback.queuedOffline': "You're offline. Your feedback is saved on this device and will be sent when you're back online.",
+  'feedback.submitFailed': 'Failed to submit feedback. Please try again.',
+  'feedback.yourEntries': 'Your Entries',
+  'feedback.statusPending': 'Awaiting approval',
+  'feedback.statusApproved': 'Published',
+  'feedback.statusRejected': 'Not published',
+  'feedback.delete': 'Delete',
+  'feedback.deleteConfirm': 'Delete your entry, including any email and private note? This cannot be undone.',
+  'feedback.deleteFailed': 'Failed to delete your entry. Please try again.',
+};
+
+export default en;
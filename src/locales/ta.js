@@ -0,0 +1,194 @@
+// Tamil UI strings, with the same keys as en.js.
+const ta = {
+  'common.loading': 'ஏற்றப்படுகிறது...',
+  'common.loadingAuth': 'உள்நுழைவு சரிபார்க்கப்படுகிறது...',
+  'common.ok': 'சரி',
+  'common.cancel': 'ரத்து செய்',
+  'common.confirm': 'உறுதிசெய்',
+  'common.notAvailable': 'கிடைக்கவில்லை',
+  'common.yourName': 'உங்கள் பெயர்:',
+  'common.pendingSync': 'அனுப்பக் காத்திருக்கிறது',
+  'common.pendingSyncNote': 'இந்தச் சாதனத்தில் சேமிக்கப்பட்டது. இணைப்பு கிடைத்ததும் அனுப்பப்படும்.',
+
+  'nav.siteTitle': 'காயத்ரியின் அரங்கேற்றம்',
+  'nav.home': 'முகப்பு',
+  'nav.photos': 'புகைப்படங்கள்',
+  'nav.stories': 'கதைகள்',
+  'nav.program': 'நிகழ்ச்சி நிரல்',
+  'nav.rsvp': 'வருகை உறுதி',
+  'nav.feedback': 'கருத்துகள்',
+  'nav.addStory': 'கதை சேர்',
+  'nav.drafts': 'என் வரைவுகள்',
+  'nav.rsvpDashboard': 'வருகைப் பட்டியல்',
+  'nav.moderation': 'மதிப்பாய்வு',
+  'nav.backup': 'காப்புப் பிரதி',
+  'nav.appearance': 'தோற்றம்',
+  'nav.signOut': 'வெளியேறு',
+  'nav.switchLanguage': 'மொழியை {language} ஆக மாற்று',
+  'nav.switchTheme': 'தோற்றம்: {theme}. {next} ஆக மாற்று',
+
+  'theme.system': 'தானியங்கி',
+  'theme.light': 'வெளிச்சம்',
+  'theme.dark': 'இருள்',
+  'theme.highContrast': 'உயர் மாறுபாடு',
+
+  'hero.title': 'காயத்ரியின் அரங்கேற்றம்',
+  'hero.tagline': 'நளினம், அர்ப்பணிப்பு, கலை ஆகியவற்றின் கொண்டாட்டம்',
+  'hero.userId': 'தற்போதைய பயனர் ID:',
+
+  'footer.rights': '© {year} காயத்ரியின் நடன அரங்கேற்றம். அனைத்து உரிமைகளும் பாதுகாக்கப்பட்டவை.',
+  'footer.madeWith': 'ஒரு அழகான பயணத்திற்காக ❤️ உடன் உருவாக்கப்பட்டது.',
+  'footer.authorSignIn': 'ஆசிரியர் உள்நுழைவு',
+
+  'photos.title': 'புகைப்படத் தொகுப்பு',
+  'photos.loading': 'புகைப்படங்கள் ஏற்றப்படுகின்றன...',
+  'photos.loadError': 'புகைப்படங்களை ஏற்ற முடியவில்லை. சிறிது நேரம் கழித்து மீண்டும் முயற்சிக்கவும்.',
+  'photos.empty': 'இன்னும் புகைப்படங்கள் இல்லை. விரைவில் பாருங்கள்!',
+  'photos.caption': 'அழகும் பாவமும் நிறைந்த ஒரு தருணம்.',
+  'photos.alt': 'நடனப் புகைப்படம் {number}',
+  'photos.all': 'அனைத்தும்',
+  'photos.album.Rehearsals': 'ஒத்திகைகள்',
+  'photos.album.Costume': 'ஆடை அலங்காரம்',
+  'photos.album.Stage': 'மேடை',
+  'photos.emptyAlbum': 'இந்தத் தொகுப்பில் இன்னும் புகைப்படங்கள் இல்லை.',
+  'photos.credit': 'புகைப்படம்: {credit}',
+  'photos.counter': '{current} / {total}',
+
+  'lightbox.open': 'புகைப்படம் {number} ஐத் திற',
+  'lightbox.close': 'மூடு',
+  'lightbox.previous': 'முந்தைய புகைப்படம்',
+  'lightbox.next': 'அடுத்த புகைப்படம்',
+  'lightbox.zoomIn': 'பெரிதாக்கு',
+  'lightbox.zoomOut': 'சிறிதாக்கு',
+  'lightbox.play': 'படக்காட்சி',
+  'lightbox.pause': 'நிறுத்து',
+  'lightbox.download': 'பதிவிறக்கு',
+
+  'stories.title': 'காயத்ரியின் நடனக் கதைகள்',
+  'stories.loading': 'கதைகள் ஏற்றப்படுகின்றன...',
+  'stories.loadError': 'கதைகளை ஏற்ற முடியவில்லை. சிறிது நேரம் கழித்து மீண்டும் முயற்சிக்கவும்.',
+  'stories.empty': 'இன்னும் கதைகள் இல்லை. விரைவில் பாருங்கள்!',
+  'stories.readMore': 'மேலும் படிக்க →',
+  'stories.loadMore': 'மேலும் கதைகள்',
+  'stories.searchLabel': 'கதைகளைத் தேடு',
+  'stories.searchPlaceholder': 'தலைப்புகள், கதைகள், குறிச்சொற்களில் தேடுங்கள்...',
+  'stories.allTags': 'அனைத்தும்',
+  'stories.searching': 'கதைகள் தேடப்படுகின்றன...',
+  'stories.resultCount': 'கண்டறிந்த கதைகள்: {count}',
+  'stories.noMatches': 'உங்கள் தேடலுக்குப் பொருந்தும் கதைகள் இல்லை.',
+
+  'tags.practice': 'பயிற்சி',
+  'tags.costume': 'ஆடை அலங்காரம்',
+  'tags.guru': 'குரு',
+  'tags.music': 'இசை',
+  'tags.performance': 'நிகழ்ச்சி',
+
+  'story.loading': 'கதை ஏற்றப்படுகிறது...',
+  'story.notFound': 'கதை கிடைக்கவில்லை.',
+  'story.loadError': 'கதையின் விவரங்களை ஏற்ற முடியவில்லை.',
+  'story.back': '← கதைகளுக்குத் திரும்பு',
+  'story.published': '{date} அன்று காயத்ரி வெளியிட்டது',
+  'story.lastEdited': 'கடைசியாகத் திருத்தியது {date}',
+
+  'comments.title': 'கருத்துரைகள்',
+  'comments.loadError': 'கருத்துரைகளை ஏற்ற முடியவில்லை.',
+  'comments.loadOlder': 'முந்தைய கருத்துரைகள்',
+  'comments.empty': 'இன்னும் கருத்துரைகள் இல்லை. முதலில் நீங்கள் எழுதுங்கள்!',
+  'comments.leave': 'கருத்துரை எழுதுங்கள்',
+  'comments.yourComment': 'உங்கள் கருத்துரை:',
+  'comments.post': 'கருத்துரையைப் பதிவிடு',
+  'comments.missingFields': 'உங்கள் பெயரையும் கருத்துரையையும் உள்ளிடவும்.',
+  'comments.added': 'கருத்துரை சேர்க்கப்பட்டது!',
+  'comments.awaitingApproval': 'நன்றி! ஒப்புதல் கிடைத்ததும் உங்கள் கருத்துரை தோன்றும்.',
+  'comments.queuedOffline': 'நீங்கள் இணைப்பில் இல்லை. உங்கள் கருத்துரை இந்தச் சாதனத்தில் சேமிக்கப்பட்டது; இணைப்பு கிடைத்ததும் அனுப்பப்படும்.',
+  'comments.addFailed': 'கருத்துரையைச் சேர்க்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'comments.authorBadge': 'ஆசிரியர்',
+  'comments.reply': 'பதில்',
+  'comments.showReply': '1 பதிலைக் காட்டு',
+  'comments.showReplies': '{count} பதில்களைக் காட்டு',
+  'comments.hideReply': '1 பதிலை மறை',
+  'comments.hideReplies': '{count} பதில்களை மறை',
+  'comments.replyName': 'உங்கள் பெயர்',
+  'comments.replyText': 'உங்கள் பதில்',
+  'comments.posting': 'பதிவிடப்படுகிறது...',
+  'comments.postReply': 'பதிலைப் பதிவிடு',
+
+  'posts.errorNameLength': 'பெயர் அதிகபட்சம் {max} எழுத்துகள் இருக்கலாம்.',
+  'posts.errorTextLength': 'உங்கள் செய்தி அதிகபட்சம் {max} எழுத்துகள் இருக்கலாம்.',
+  'posts.errorLinks': 'அதிகபட்சம் {max} இணைப்புகளை மட்டும் சேர்க்கவும்.',
+  'posts.tooFast': 'மிக விரைவாக அனுப்பப்பட்டது! உங்கள் செய்தியைச் சரிபார்த்து மீண்டும் அனுப்பவும்.',
+  'posts.tooSoon': 'நீங்கள் இப்போதுதான் பதிவிட்டீர்கள். மீண்டும் பதிவிடும் முன் சற்று காத்திருக்கவும்.',
+  'posts.duplicate': 'இந்தச் செய்தியை ஏற்கனவே பதிவிட்டுள்ளீர்கள்.',
+  'posts.honeypot': 'இந்தப் புலத்தை காலியாக விடவும்',
+
+  'program.title': 'நிகழ்ச்சி நிரல்',
+  'program.loading': 'நிகழ்ச்சி நிரல் ஏற்றப்படுகிறது...',
+  'program.loadError': 'நிகழ்ச்சி நிரலை ஏற்ற முடியவில்லை. சிறிது நேரம் கழித்து மீண்டும் முயற்சிக்கவும்.',
+  'program.subtitle': 'இன்றைய மாலையின் வரிசை',
+  'program.totalDuration': 'சுமார் {duration}',
+  'program.empty': 'நிகழ்ச்சி நிரல் விரைவில் அறிவிக்கப்படும்.',
+  'program.raga': 'ராகம்: {value}',
+  'program.tala': 'தாளம்: {value}',
+  'program.composer': 'இயற்றியவர்: {value}',
+  'program.relatedStories': 'கதைகள்: ',
+  'program.photoAlt': '{piece} புகைப்படம்',
+  'duration.minutes': '{minutes} நிமிடம்',
+  'duration.hours': '{hours} மணி',
+  'duration.hoursMinutes': '{hours} மணி {minutes} நிமிடம்',
+
+  'live.badge': 'நேரலை',
+  'live.nowPerforming': 'இப்போது நடைபெறுவது:',
+  'live.startingSoon': 'நிகழ்ச்சி விரைவில் தொடங்கும்.',
+  'live.upNext': 'அடுத்து: {piece}',
+
+  'rsvp.title': 'வருகை உறுதி',
+  'rsvp.intro': 'நீங்கள் வர இயலுமா என்று எங்களுக்குத் தெரிவியுங்கள்.',
+  'rsvp.introExisting': 'உங்கள் பதில் எங்களிடம் உள்ளது. கீழே எப்போது வேண்டுமானாலும் மாற்றலாம்.',
+  'rsvp.attendingQuestion': 'நீங்கள் வருவீர்களா?',
+  'rsvp.attendingYes': 'ஆம், வருகிறேன்',
+  'rsvp.attendingNo': 'மன்னிக்கவும், வர இயலாது',
+  'rsvp.partySize': 'வருபவர்கள் எண்ணிக்கை (உங்களையும் சேர்த்து):',
+  'rsvp.dietaryNeeds': 'உணவுத் தேவைகள் (விருப்பத்தேர்வு):',
+  'rsvp.dietaryPlaceholder': 'எ.கா. சைவம், கொட்டை ஒவ்வாமை',
+  'rsvp.message': 'செய்தி (விருப்பத்தேர்வு):',
+  'rsvp.saving': 'சேமிக்கப்படுகிறது...',
+  'rsvp.send': 'பதிலை அனுப்பு',
+  'rsvp.update': 'பதிலைப் புதுப்பி',
+  'rsvp.sent': 'உங்கள் பதிலுக்கு நன்றி!',
+  'rsvp.updated': 'உங்கள் பதில் புதுப்பிக்கப்பட்டது.',
+  'rsvp.saveFailed': 'உங்கள் பதிலைச் சேமிக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'rsvp.tooSoon': 'உங்கள் பதில் இப்போதுதான் சேமிக்கப்பட்டது. மீண்டும் மாற்றும் முன் சற்று காத்திருக்கவும்.',
+  'rsvp.errorName': 'உங்கள் பெயரை உள்ளிடவும்.',
+  'rsvp.errorNameLength': 'பெயர் அதிகபட்சம் {max} எழுத்துகள் இருக்கலாம்.',
+  'rsvp.errorPartySize': 'வருபவர்கள் எண்ணிக்கை 1 முதல் {max} வரை இருக்க வேண்டும்.',
+  'rsvp.errorDietaryLength': 'உணவுத் தேவைகள் அதிகபட்சம் {max} எழுத்துகள் இருக்கலாம்.',
+  'rsvp.errorMessageLength': 'செய்தி அதிகபட்சம் {max} எழுத்துகள் இருக்கலாம்.',
+
+  'feedback.title': 'உங்கள் கருத்துகளைப் பகிருங்கள்',
+  'feedback.email': 'உங்கள் மின்னஞ்சல் (விருப்பத்தேர்வு, தனிப்பட்டது):',
+  'feedback.message': 'உங்கள் வாழ்த்துச் செய்தி (ஒப்புதலுக்குப் பின் அனைவருக்கும் தெரியும்):',
+  'feedback.privateNote': 'காயத்ரிக்கு ஒரு தனிப்பட்ட குறிப்பு (விருப்பத்தேர்வு):',
+  'feedback.privateHint': 'உங்கள் மின்னஞ்சலும் தனிப்பட்ட குறிப்பும் காயத்ரிக்கு மட்டுமே தெரியும்.',
+  'feedback.consent': 'ஒப்புதல் கிடைத்ததும் என் பெயரும் வாழ்த்துச் செய்தியும் இந்தத் தளத்தில் காட்டப்படலாம் என்பதை ஏற்கிறேன். என் பதிவை எப்போது வேண்டுமானாலும் நீக்கலாம்.',
+  'feedback.submitting': 'அனுப்பப்படுகிறது...',
+  'feedback.submit': 'கருத்தை அனுப்பு',
+  'feedback.recent': 'சமீபத்திய கருத்துகள்',
+  'feedback.loadError': 'கருத்துகளை ஏற்ற முடியவில்லை.',
+  'feedback.empty': 'இன்னும் கருத்துகள் இல்லை. முதலில் உங்கள் எண்ணங்களைப் பகிருங்கள்!',
+  'feedback.loadMore': 'மேலும் கருத்துகள்',
+  'feedback.missingFields': 'உங்கள் பெயரையும் செய்தியையும் உள்ளிடவும்.',
+  'feedback.consentRequired': 'உங்கள் பெயரும் செய்தியும் பொதுவில் காட்டப்படுவதை ஏற்கவும்.',
+  'feedback.thanks': 'உங்கள் கருத்துக்கு நன்றி!',
+  'feedback.awaitingApproval': 'உங்கள் கருத்துக்கு நன்றி! ஒப்புதல் கிடைத்ததும் அது தோன்றும்.',
+  'feedback.queuedOffline': 'நீங்கள் இணைப்பில் இல்லை. உங்கள் கருத்து இந்தச் சாதனத்தில் சேமிக்கப்பட்டது; இணைப்பு கிடைத்ததும் அனுப்பப்படும்.',
+  'feedback.submitFailed': 'கருத்தை அனுப்ப முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+  'feedback.yourEntries': 'உங்கள் பதிவுகள்',
+  'feedback.statusPending': 'ஒப்புதலுக்காகக் காத்திருக்கிறது',
+  'feedback.statusApproved': 'வெளியிடப்பட்டது',
+  'feedback.statusRejected': 'வெளியிடப்படவில்லை',
+  'feedback.delete': 'நீக்கு',
+  'feedback.deleteConfirm': 'உங்கள் பதிவை, மின்னஞ்சல் மற்றும் தனிப்பட்ட குறிப்புடன் சேர்த்து நீக்கவா? இதைத் திரும்பப் பெற முடியாது.',
+  'feedback.deleteFailed': 'உங்கள் பதிவை நீக்க முடியவில்லை. மீண்டும் முயற்சிக்கவும்.',
+};
+
+export default ta;
@@ -0,0 +1,20 @@
+// The site's color themes, shared by tailwind.config.js (which builds the CSS for them) and App.jsx.
+//
+// A theme is the light/dark/contrast mode each visitor picks for themselves. An accent is the pair of
+// Tailwind color palettes behind the primary-* and secondary-* classes, which the author picks for
+// everyone (for example, to match the costume colors). The chosen ones are set on <html> as
+// data-theme and data-accent.
+
+export const THEMES = ['light', 'dark', 'high-contrast'];
+
+// primary and secondary name palettes in tailwindcss/colors
+export const ACCENT_PALETTES = {
+  purple: { label: 'Purple & Indigo', primary: 'purple', secondary: 'indigo' },
+  red: { label: 'Red & Rose', primary: 'red', secondary: 'rose' },
+  pink: { label: 'Pink & Fuchsia', primary: 'pink', secondary: 'fuchsia' },
+  amber: { label: 'Gold & Orange', primary: 'amber', secondary: 'orange' },
+  emerald: { label: 'Emerald & Teal', primary: 'emerald', secondary: 'teal' },
+  blue: { label: 'Blue & Sky', primary: 'blue', secondary: 'sky' },
+};
+
+export const DEFAULT_ACCENT = 'purple';
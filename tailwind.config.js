@@ -0,0 +1,120 @@
+import colors from 'tailwindcss/colors'
+import defaultTheme from 'tailwindcss/defaultTheme'
+import plugin from 'tailwindcss/plugin'
+import { ACCENT_PALETTES, DEFAULT_ACCENT } from './src/theme.js'
+
+// The site's design tokens. Components use primary-* and secondary-* rather than naming colors, and
+// those, gray-*, the status colors and bg-white read CSS variables, so the themes and accents in
+// src/theme.js can restyle the whole site without dark: variants. The fonts are self-hosted (see src/index.css).
+const SHADES = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950]
+// Errors, pending entries and search highlights. Like gray, they keep their palette in every accent.
+const STATUS_COLORS = ['red', 'amber', 'yellow']
+const FIXED_COLORS = ['gray', ...STATUS_COLORS]
+const THEMED_COLORS = [...FIXED_COLORS, 'primary', 'secondary']
+// Backgrounds, gradients and rings use --color-<name>-<shade>; text and borders have their own variables,
+// because a theme may shade them differently
+const ROLES = { fill: '', text: '-text', border: '-border' }
+
+// Which shade of the palette each token shows in a theme, where it isn't the token's own shade
+const THEME_SHADES = {
+  light: { surface: '255 255 255' },
+  // Pale backgrounds and borders turn dark and dark text turns light. Solid fills such as buttons and
+  // the navbar keep their shade, so their white text still reads.
+  dark: {
+    fill: { 50: 950, 100: 900, 200: 800, 300: 700, 400: 600 },
+    text: { 400: 500, 500: 400, 600: 300, 700: 200, 800: 100, 900: 50, 950: 50 },
+    border: { 50: 950, 100: 900, 200: 800, 300: 700, 400: 600 },
+    surface: colors.gray[900],
+    colorScheme: 'dark',
+  },
+  // Near-black text and borders, and darker buttons behind white text
+  'high-contrast': {
+    fill: { 500: 800, 600: 800, 700: 900 },
+    text: { 400: 900, 500: 900, 600: 900, 700: 900, 800: 900 },
+    border: Object.fromEntries(SHADES.map(shade => [shade, 900])),
+    surface: '255 255 255',
+  },
+}
+
+// Colors as space-separated channels, so classes like bg-opacity-50 can add an alpha
+const channels = (hex) => {
+  const value = parseInt(hex.slice(1), 16)
+  return `${value >> 16} ${(value >> 8) & 255} ${value & 255}`
+}
+
+const variableScale = (name, role) => Object.fromEntries(
+  SHADES.map(shade => [shade, `rgb(var(--color-${name}${ROLES[role]}-${shade}) / <alpha-value>)`])
+)
+
+const themedScales = (role) => Object.fromEntries(THEMED_COLORS.map(name => [name, variableScale(name, role)]))
+
+// Gray and the status colors are the same in every accent; primary and secondary come from the accent's
+// --palette-* variables
+const themeVariables = (theme, { onlyChanged }) => {
+  const { surface, colorScheme = 'light', ...roles } = THEME_SHADES[theme]
+  const variables = { 'color-scheme': colorScheme }
+  for (const name of THEMED_COLORS) {
+    for (const [role, suffix] of Object.entries(ROLES)) {
+      for (const shade of SHADES) {
+        const source = roles[role]?.[shade] ?? shade
+        if (onlyChanged && source === shade) continue
+        variables[`--color-${name}${suffix}-${shade}`] =
+          FIXED_COLORS.includes(name) ? channels(colors[name][source]) : `var(--palette-${name}-${source})`
+      }
+    }
+  }
+  variables['--color-surface'] = surface.startsWith('#') ? channels(surface) : surface
+  return variables
+}
+
+const paletteVariables = ({ primary, secondary }) => Object.fromEntries(
+  Object.entries({ primary, secondary }).flatMap(([name, palette]) =>
+    SHADES.map(shade => [`--palette-${name}-${shade}`, channels(colors[palette][shade])]))
+)
+
+const themes = plugin(({ addBase }) => {
+  addBase({
+    ':root': {
+      ...paletteVariables(ACCENT_PALETTES[DEFAULT_ACCENT]),
+      ...themeVariables('light', { onlyChanged: false }),
+      // For the author's accent picker: each accent's two main colors
+      ...Object.fromEntries(Object.entries(ACCENT_PALETTES).flatMap(([accent, { primary, secondary }]) => [
+        [`--swatch-${accent}-primary`, channels(colors[primary][600])],
+        [`--swatch-${accent}-secondary`, channels(colors[secondary][800])],
+      ])),
+    },
+  })
+  addBase(Object.fromEntries(Object.entries(ACCENT_PALETTES).map(([accent, palettes]) =>
+    [`[data-accent="${accent}"]`, paletteVariables(palettes)])))
+  addBase(Object.fromEntries(Object.keys(THEME_SHADES).filter(theme => theme !== 'light').map(theme =>
+    [`[data-theme="${theme}"]`, themeVariables(theme, { onlyChanged: true })])))
+  // Until the app has set data-theme, follow the device, so dark-mode visitors don't see a white flash
+  addBase({
+    '@media (prefers-color-scheme: dark)': {
+      ':root:not([data-theme])': themeVariables('dark', { onlyChanged: true }),
+    },
+  })
+})
+
+/** @type {import('tailwindcss').Config} */
+export default {
+  content: ['./index.html', './src/**/*.{js,jsx}'],
+  theme: {
+    extend: {
+      colors: themedScales('fill'),
+      textColor: themedScales('text'),
+      borderColor: {
+        ...themedScales('border'),
+        DEFAULT: 'rgb(var(--color-gray-border-200) / <alpha-value>)',
+      },
+      // Cards and other white panels; text-white and border-white stay white
+      backgroundColor: { white: 'rgb(var(--color-surface) / <alpha-value>)' },
+      gradientColorStops: { white: 'rgb(var(--color-surface) / <alpha-value>)' },
+      fontFamily: {
+        sans: ['"Inter Variable"', ...defaultTheme.fontFamily.sans],
+        display: ['"Playfair Display Variable"', ...defaultTheme.fontFamily.serif],
+      },
+    },
+  },
+  plugins: [themes],
+}
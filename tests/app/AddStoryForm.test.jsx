@@ -0,0 +1,63 @@
+import { fireEvent, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { beforeEach, describe, expect, it } from 'vitest';
+import { AddStoryForm } from '../../src/App.jsx';
+import { createTestRepository, dismissMessage, renderPage, signInAsAuthor } from './renderPage.jsx';
+
+describe('AddStoryForm', () => {
+  let repository;
+  let user;
+
+  beforeEach(async () => {
+    repository = await createTestRepository();
+    user = userEvent.setup();
+  });
+
+  const renderForm = async () => {
+    await signInAsAuthor(repository);
+    renderPage(<AddStoryForm />, { repository, path: '/add-story' });
+    await screen.findByRole('heading', { name: 'Add New Dance Story' });
+  };
+
+  const newStories = async () =>
+    (await repository.backup.list('stories')).filter(story => !story.id.startsWith('sample-'));
+
+  it('is only for the author', async () => {
+    renderPage(<AddStoryForm />, { repository, path: '/add-story' });
+    expect(await screen.findByText(/Only the author can add stories/)).toBeInTheDocument();
+    expect(screen.queryByLabelText('Story Title:')).not.toBeInTheDocument();
+  });
+
+  it('requires a title and content', async () => {
+    await renderForm();
+    await user.type(screen.getByLabelText('Story Title:'), '   ');
+    await user.type(screen.getByLabelText('Story Content:'), 'Some words.');
+    await user.click(screen.getByRole('button', { name: 'Publish Story' }));
+    await dismissMessage(user, 'Please fill in all required fields.');
+    expect(await newStories()).toHaveLength(0);
+  });
+
+  it('only schedules stories for the future', async () => {
+    await renderForm();
+    await user.type(screen.getByLabelText('Story Title:'), 'Next week');
+    await user.type(screen.getByLabelText('Story Content:'), 'Coming soon.');
+    await user.click(screen.getByRole('radio', { name: 'Schedule' }));
+    fireEvent.change(screen.getByLabelText('Publish on'), { target: { value: '2020-01-01T10:00' } });
+    await user.click(screen.getByRole('button', { name: 'Schedule Story' }));
+    await dismissMessage(user, 'Please choose a future date and time to publish.');
+    expect(await newStories()).toHaveLength(0);
+  });
+
+  it('publishes a story under the author\'s ID and clears the form', async () => {
+    await renderForm();
+    await user.type(screen.getByLabelText('Story Title:'), 'My Varnam');
+    await user.type(screen.getByLabelText('Story Content:'), 'The centrepiece of the evening.');
+    await user.click(screen.getByRole('button', { name: 'Publish Story' }));
+    await dismissMessage(user, 'Story added successfully!');
+
+    expect(await newStories()).toEqual([
+      expect.objectContaining({ title: 'My Varnam', content: 'The centrepiece of the evening.', status: 'published', authorId: 'local-author' })
+    ]);
+    expect(screen.getByLabelText('Story Title:')).toHaveValue('');
+  });
+});
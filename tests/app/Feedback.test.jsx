@@ -0,0 +1,94 @@
+import { screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { Feedback } from '../../src/App.jsx';
+import { createTestRepository, dismissMessage, renderPage } from './renderPage.jsx';
+
+const AWAITING_APPROVAL = 'Thank you for your feedback! It will appear once it has been approved.';
+
+describe('Feedback', () => {
+  let repository;
+  let user;
+
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    repository = await createTestRepository();
+    user = userEvent.setup();
+    renderPage(<Feedback />, { repository, path: '/feedback' });
+    await screen.findByRole('heading', { name: 'Share Your Feedback' });
+    vi.setSystemTime(Date.now() + 5000); // Past the spam check for forms sent too quickly
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const newEntries = async () => (await repository.backup.list('feedback')).filter(entry => !entry.id.startsWith('sample-'));
+
+  // The private notes as the author sees them
+  const privateNotes = () => new Promise((resolve) => {
+    const unsubscribe = repository.feedback.subscribeNotes((notes) => {
+      unsubscribe();
+      resolve(notes);
+    });
+  });
+
+  const fillIn = async ({ name = 'Auntie Meena', message = 'Wonderful evening!', email = '', note = '', consent = true } = {}) => {
+    await user.type(screen.getByLabelText('Your Name:'), name);
+    await user.type(screen.getByLabelText('Your Guestbook Message (shown publicly once approved):'), message);
+    if (email) await user.type(screen.getByLabelText('Your Email (Optional, private):'), email);
+    if (note) await user.type(screen.getByLabelText('Private Note to Gayathri (Optional):'), note);
+    if (consent) await user.click(screen.getByRole('checkbox'));
+  };
+
+  it('shows approved guestbook messages', async () => {
+    expect(await screen.findByText('Gayathri, your dedication shines through! Wishing you all the best for your debut.')).toBeInTheDocument();
+  });
+
+  it('needs consent before an entry is saved', async () => {
+    await fillIn({ consent: false });
+    screen.getByRole('checkbox').required = false; // Get past the browser's own check
+    await user.click(screen.getByRole('button', { name: 'Submit Feedback' }));
+    await dismissMessage(user, 'Please agree to your name and message being shown publicly.');
+    expect(await newEntries()).toHaveLength(0);
+  });
+
+  it('saves the entry for moderation and the email and note privately', async () => {
+    await fillIn({ email: 'meena@example.com', note: 'Call me about the costume.' });
+    await user.click(screen.getByRole('button', { name: 'Submit Feedback' }));
+    await dismissMessage(user, AWAITING_APPROVAL);
+
+    const [entry] = await newEntries();
+    expect(entry).toMatchObject({ name: 'Auntie Meena', message: 'Wonderful evening!', status: 'pending' });
+    expect(entry).not.toHaveProperty('email');
+    expect(entry.consentedAt).toBeTruthy();
+    expect(await privateNotes()).toEqual([expect.objectContaining({ id: entry.id, email: 'meena@example.com', note: 'Call me about the costume.' })]);
+  });
+
+  it('lists the guest\'s own entries, which they can delete', async () => {
+    await fillIn();
+    await user.click(screen.getByRole('button', { name: 'Submit Feedback' }));
+    await dismissMessage(user, AWAITING_APPROVAL);
+
+    const yourEntries = (await screen.findByRole('heading', { name: 'Your Entries' })).parentElement;
+    expect(within(yourEntries).getByText('Wonderful evening!')).toBeInTheDocument();
+    expect(within(yourEntries).getByText('Awaiting approval')).toBeInTheDocument();
+
+    await user.click(within(yourEntries).getByRole('button', { name: 'Delete' }));
+    await screen.findByText('Delete your entry, including any email and private note? This cannot be undone.');
+    await user.click(screen.getByRole('button', { name: 'Confirm' }));
+    await waitFor(() => expect(screen.queryByRole('heading', { name: 'Your Entries' })).not.toBeInTheDocument());
+    expect(await newEntries()).toHaveLength(0);
+  });
+
+  it('turns back an entry that repeats the guest\'s last one', async () => {
+    await fillIn();
+    await user.click(screen.getByRole('button', { name: 'Submit Feedback' }));
+    await dismissMessage(user, AWAITING_APPROVAL);
+
+    vi.setSystemTime(Date.now() + 60 * 1000);
+    await fillIn();
+    await user.click(screen.getByRole('button', { name: 'Submit Feedback' }));
+    await dismissMessage(user, 'You already posted this message.');
+  });
+});
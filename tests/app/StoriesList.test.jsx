@@ -0,0 +1,71 @@
+import { screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { beforeEach, describe, expect, it } from 'vitest';
+import { StoriesList } from '../../src/App.jsx';
+import { createTestRepository, renderPage } from './renderPage.jsx';
+
+const storyTitles = () => screen.getAllByRole('heading', { level: 3 }).map(heading => heading.textContent);
+
+describe('StoriesList', () => {
+  let repository;
+
+  beforeEach(async () => {
+    repository = await createTestRepository();
+  });
+
+  it('lists the published stories', async () => {
+    renderPage(<StoriesList />, { repository, path: '/stories' });
+    expect(await screen.findByRole('heading', { name: 'My First Steps in Bharatanatyam' })).toBeInTheDocument();
+    expect(storyTitles()).toHaveLength(3);
+  });
+
+  it('leaves out drafts and stories scheduled for later', async () => {
+    await repository.stories.create({ title: 'Unfinished draft', content: 'Not yet.', status: 'draft', publishAt: null, authorId: 'local-author' });
+    await repository.stories.create({
+      title: 'Coming soon',
+      content: 'Next week.',
+      status: 'scheduled',
+      publishAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      authorId: 'local-author'
+    });
+    renderPage(<StoriesList />, { repository, path: '/stories' });
+    await screen.findByRole('heading', { name: 'My First Steps in Bharatanatyam' });
+    expect(storyTitles()).not.toContain('Unfinished draft');
+    expect(storyTitles()).not.toContain('Coming soon');
+  });
+
+  it('filters by the tag in the URL', async () => {
+    renderPage(<StoriesList />, { repository, path: '/stories?tag=guru' });
+    expect(await screen.findByText('Stories found: 1')).toBeInTheDocument();
+    expect(storyTitles()).toEqual(['My First Steps in Bharatanatyam']);
+    expect(screen.getByRole('button', { name: 'Guru' })).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  it('searches as the visitor types and keeps the search in the URL', async () => {
+    const user = userEvent.setup();
+    renderPage(<StoriesList />, { repository, path: '/stories' });
+    await user.type(await screen.findByRole('searchbox', { name: 'Search stories' }), 'arangetram');
+    expect(await screen.findByText('Stories found: 1')).toBeInTheDocument();
+    expect(storyTitles()).toEqual(['Preparing for My Arangetram']);
+    expect(window.location.search).toBe('?q=arangetram');
+  });
+
+  it('highlights matches that differ from the search only in accents', async () => {
+    await repository.stories.create({
+      title: 'Learning nṛtta',
+      content: 'Pure dance.',
+      status: 'published',
+      publishAt: new Date(Date.now() - 60 * 1000),
+      authorId: 'local-author'
+    });
+    renderPage(<StoriesList />, { repository, path: '/stories?q=nrtta' });
+    expect(await screen.findByText('Stories found: 1')).toBeInTheDocument();
+    expect(screen.getByRole('heading', { level: 3 }).querySelector('mark')).toHaveTextContent(/^nṛtta$/);
+  });
+
+  it('says so when nothing matches', async () => {
+    renderPage(<StoriesList />, { repository, path: '/stories?q=kathakali' });
+    expect(await screen.findByText('No stories match your search.')).toBeInTheDocument();
+    await waitFor(() => expect(screen.queryAllByRole('heading', { level: 3 })).toHaveLength(0));
+  });
+});
@@ -0,0 +1,137 @@
+import { screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { StoryDetail } from '../../src/App.jsx';
+import { createTestRepository, dismissMessage, renderPage, signInAsAuthor } from './renderPage.jsx';
+
+const STORY_ID = 'sample-story-1';
+const AWAITING_APPROVAL = 'Thank you! Your comment will appear once it has been approved.';
+
+// Lets time pass, as far as the spam checks can tell (see usePostGuard in App.jsx)
+const wait = (ms) => vi.setSystemTime(Date.now() + ms);
+
+describe('StoryDetail comments', () => {
+  let repository;
+  let user;
+
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    repository = await createTestRepository();
+    user = userEvent.setup();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const renderStory = async () => {
+    renderPage(<StoryDetail storyId={STORY_ID} />, { repository, path: `/stories/${STORY_ID}` });
+    await screen.findByRole('heading', { name: 'My First Steps in Bharatanatyam' });
+  };
+
+  const postComment = async (name, text) => {
+    await user.clear(screen.getByLabelText('Your Name:'));
+    await user.type(screen.getByLabelText('Your Name:'), name);
+    await user.clear(screen.getByLabelText('Your Comment:'));
+    await user.type(screen.getByLabelText('Your Comment:'), text);
+    await user.click(screen.getByRole('button', { name: 'Post Comment' }));
+  };
+
+  const storyComments = async () =>
+    (await repository.backup.list('comments')).filter(comment => comment.storyId === STORY_ID);
+
+  it('shows the story with its approved comments', async () => {
+    await renderStory();
+    expect(await screen.findByText('This is so inspiring, Gayathri! Keep dancing!')).toBeInTheDocument();
+    expect(screen.getByText('What a beautiful journey! Your passion is evident.')).toBeInTheDocument();
+  });
+
+  it('saves a guest\'s comment for moderation', async () => {
+    await renderStory();
+    wait(5000);
+    await postComment('Cousin Arjun', 'Loved reading this!');
+    await dismissMessage(user, AWAITING_APPROVAL);
+
+    const posted = (await storyComments()).find(comment => comment.commentText === 'Loved reading this!');
+    expect(posted).toMatchObject({ commenterName: 'Cousin Arjun', status: 'pending' });
+    expect(screen.queryByText('Loved reading this!')).not.toBeInTheDocument();
+    expect(screen.getByLabelText('Your Comment:')).toHaveValue('');
+  });
+
+  it('asks for a name and a comment', async () => {
+    await renderStory();
+    wait(5000);
+    await postComment('   ', '   ');
+    await dismissMessage(user, 'Please enter your name and a comment.');
+    expect(await storyComments()).toHaveLength(2);
+  });
+
+  it('turns back comments sent right after the page opened', async () => {
+    await renderStory();
+    await postComment('Cousin Arjun', 'Loved reading this!');
+    await dismissMessage(user, 'That was quick! Please take a moment to check your message, then send it again.');
+    expect(await storyComments()).toHaveLength(2);
+  });
+
+  it('rejects comments with too many links', async () => {
+    await renderStory();
+    wait(5000);
+    await postComment('Spammer', 'https://a.example https://b.example https://c.example');
+    await dismissMessage(user, 'Please include at most 2 links.');
+    expect(await storyComments()).toHaveLength(2);
+  });
+
+  it('lets a guest comment once every 30 seconds, without repeating themselves', async () => {
+    await renderStory();
+    wait(5000);
+    await postComment('Cousin Arjun', 'Loved reading this!');
+    await dismissMessage(user, AWAITING_APPROVAL);
+
+    wait(5000);
+    await postComment('Cousin Arjun', 'And the photos!');
+    await dismissMessage(user, 'You just posted. Please wait a moment before posting again.');
+
+    wait(60 * 1000);
+    await postComment('Cousin Arjun', '  loved reading THIS!');
+    await dismissMessage(user, 'You already posted this message.');
+    expect(await storyComments()).toHaveLength(3);
+  });
+
+  it('pretends to post comments from bots that fill in the hidden field', async () => {
+    await renderStory();
+    wait(5000);
+    await user.type(screen.getByLabelText('Leave this field empty'), 'https://spam.example');
+    await postComment('Bot', 'Buy now');
+    await dismissMessage(user, AWAITING_APPROVAL);
+    expect(await storyComments()).toHaveLength(2);
+  });
+
+  it('shows each reply once, under its comment, as older comments load', async () => {
+    const comment = (id, createdAt, fields) => ({
+      path: `comments/${id}`,
+      data: { storyId: STORY_ID, commenterName: 'Guest', parentId: null, status: 'approved', userId: 'guest-uid', createdAt: new Date(createdAt), ...fields }
+    });
+    await repository.backup.write([
+      comment('first', Date.now() - 1000, { commentText: 'First!' }),
+      ...Array.from({ length: 10 }, (_, i) => comment(`newer-${i}`, Date.now() + i * 1000, { commentText: `Newer comment ${i}` })),
+      comment('reply', Date.now() + 20 * 1000, { commentText: 'Replying to the first', parentId: 'first' })
+    ]);
+    await renderStory();
+
+    expect(await screen.findByText('Newer comment 0')).toBeInTheDocument();
+    expect(screen.queryByText('Replying to the first')).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Load Older Comments' }));
+    const firstThread = (await screen.findByText('First!')).closest('.bg-gray-50').parentElement;
+    expect(screen.getAllByText('Replying to the first')).toHaveLength(1);
+    expect(firstThread).toHaveTextContent('Replying to the first');
+  });
+
+  it('publishes the author\'s comments right away', async () => {
+    await signInAsAuthor(repository);
+    await renderStory();
+    await postComment('Gayathri', 'Thank you all!');
+    await dismissMessage(user, 'Comment added successfully!');
+    expect(await screen.findByText('Thank you all!')).toBeInTheDocument();
+  });
+});
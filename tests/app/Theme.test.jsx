@@ -0,0 +1,112 @@
+import { screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import colors from 'tailwindcss/colors';
+import tailwindConfig from '../../tailwind.config.js';
+import { AppearancePage, Navbar } from '../../src/App.jsx';
+import { createTestRepository, renderPage, signInAsAuthor } from './renderPage.jsx';
+
+const root = document.documentElement;
+
+// Makes the device prefer dark or light colors, as seen through matchMedia
+const stubColorScheme = (scheme) => {
+  vi.stubGlobal('matchMedia', (query) => ({
+    matches: query === '(prefers-color-scheme: dark)' && scheme === 'dark',
+    addEventListener: () => {},
+    removeEventListener: () => {}
+  }));
+};
+
+describe('Themes', () => {
+  let repository;
+  let user;
+
+  beforeEach(async () => {
+    repository = await createTestRepository();
+    user = userEvent.setup();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('follows the device setting until the visitor picks a theme in the navbar', async () => {
+    stubColorScheme('dark');
+    renderPage(<Navbar />, { repository });
+    expect(root.dataset.theme).toBe('dark');
+
+    await user.click(screen.getByRole('button', { name: 'Theme: Auto. Switch to Light' }));
+    expect(root.dataset.theme).toBe('light');
+    await user.click(screen.getByRole('button', { name: 'Theme: Light. Switch to Dark' }));
+    expect(root.dataset.theme).toBe('dark');
+    await user.click(screen.getByRole('button', { name: 'Theme: Dark. Switch to High contrast' }));
+    expect(root.dataset.theme).toBe('high-contrast');
+    expect(localStorage.getItem('theme')).toBe('high-contrast');
+
+    await user.click(screen.getByRole('button', { name: 'Theme: High contrast. Switch to Auto' }));
+    expect(root.dataset.theme).toBe('dark');
+  });
+
+  it('keeps the chosen theme on the next visit', async () => {
+    stubColorScheme('light');
+    localStorage.setItem('theme', 'dark');
+    renderPage(<Navbar />, { repository });
+
+    expect(root.dataset.theme).toBe('dark');
+    expect(screen.getByRole('button', { name: 'Theme: Dark. Switch to High contrast' })).toBeInTheDocument();
+  });
+
+  it('lets the author choose the accent colors for every visitor', async () => {
+    await signInAsAuthor(repository);
+    renderPage(<AppearancePage />, { repository, path: '/appearance' });
+    await waitFor(() => expect(root.dataset.accent).toBe('purple'));
+
+    await user.click(await screen.findByLabelText('Emerald & Teal'));
+
+    await waitFor(() => expect(root.dataset.accent).toBe('emerald'));
+    expect(screen.getByLabelText('Emerald & Teal')).toBeChecked();
+    expect((await repository.backup.list('settings'))[0]).toMatchObject({ id: 'site', accent: 'emerald' });
+  });
+
+  it('shows visitors the accent saved in the settings', async () => {
+    await repository.settings.save({ accent: 'red' });
+    renderPage(<Navbar />, { repository });
+
+    await waitFor(() => expect(root.dataset.accent).toBe('red'));
+    expect(localStorage.getItem('accent')).toBe('red');
+  });
+
+  it('only lets the author change the accent', async () => {
+    renderPage(<AppearancePage />, { repository, path: '/appearance' });
+
+    expect(await screen.findByText("Only the author can change the site's colors.")).toBeInTheDocument();
+    expect(screen.queryByRole('radio')).not.toBeInTheDocument();
+  });
+});
+
+describe('Theme colors', () => {
+  // The CSS variables tailwind.config.js generates for each [data-theme] selector
+  const themeVariables = () => {
+    const variables = {};
+    tailwindConfig.plugins[0].handler({ addBase: (styles) => Object.assign(variables, styles) });
+    return variables;
+  };
+  const channels = (hex) => [1, 3, 5].map(start => parseInt(hex.slice(start, start + 2), 16)).join(' ');
+
+  it('darkens pale status backgrounds in the dark theme and lightens the text on them', () => {
+    const dark = themeVariables()['[data-theme="dark"]'];
+    // Pending guestbook entries, flagged comments and search highlights
+    expect(dark['--color-amber-50']).toBe(channels(colors.amber[950]));
+    expect(dark['--color-red-50']).toBe(channels(colors.red[950]));
+    expect(dark['--color-yellow-200']).toBe(channels(colors.yellow[800]));
+    expect(dark['--color-amber-text-800']).toBe(channels(colors.amber[100]));
+    expect(dark['--color-gray-text-700']).toBe(channels(colors.gray[200]));
+  });
+
+  it('keeps the text on pale status backgrounds near-black in high contrast', () => {
+    const highContrast = themeVariables()['[data-theme="high-contrast"]'];
+    expect(highContrast['--color-amber-50']).toBeUndefined();
+    expect(highContrast['--color-red-text-700']).toBe(channels(colors.red[900]));
+    expect(highContrast['--color-gray-text-600']).toBe(channels(colors.gray[900]));
+  });
+});
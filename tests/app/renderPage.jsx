@@ -0,0 +1,33 @@
+// Renders a page of the site the way App does, on a fresh local backend (src/data/localRepository.js)
+// filled with the sample content (src/data/sampleData.js), so tests need no network or Firebase project.
+import { render, screen } from '@testing-library/react';
+import { createLocalRepository } from '../../src/data/localRepository.js';
+import { DataProvider, LanguageProvider, RouterProvider, ThemeProvider } from '../../src/App.jsx';
+
+// Each repository gets its own app ID, and so its own IndexedDB database and session
+export const createTestRepository = () => createLocalRepository({ appId: `test-${crypto.randomUUID()}` });
+
+// Signs the visitor in as the author before the page is rendered
+export const signInAsAuthor = (repository) => repository.auth.signInAsAuthor('author@example.com', 'password');
+
+// Renders page at the URL path (with its query string), wrapped in the site's providers
+export const renderPage = (page, { repository, path = '/' }) => {
+  window.history.replaceState({}, '', path);
+  return render(
+    <DataProvider repository={repository}>
+      <LanguageProvider>
+        <RouterProvider>
+          <ThemeProvider>
+            {page}
+          </ThemeProvider>
+        </RouterProvider>
+      </LanguageProvider>
+    </DataProvider>
+  );
+};
+
+// Closes the message box showing text, failing if it isn't shown
+export const dismissMessage = async (user, text) => {
+  await screen.findByText(text);
+  await user.click(screen.getByRole('button', { name: 'OK' }));
+};
@@ -0,0 +1,87 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { exportBackup, importBackup, readBackup } from '../../src/data/backup.js';
+import { createLocalRepository } from '../../src/data/localRepository.js';
+
+// readBackup only needs the file's bytes
+const archiveFile = (manifest) => ({ arrayBuffer: async () => new TextEncoder().encode(JSON.stringify(manifest)).buffer });
+
+describe('backup', () => {
+  let repository;
+
+  // A new local site, which starts with the sample content
+  beforeEach(async () => {
+    repository = await createLocalRepository({ appId: `test-${crypto.randomUUID()}` });
+  });
+
+  it('exports the guestbook notes with the entries', async () => {
+    await repository.feedback.create({ name: 'Meena', message: 'Lovely!', userId: 'guest-1', status: 'approved' }, 'entry-1',
+      { name: 'Meena', email: 'meena@example.com', note: 'Please send photos' });
+    const { counts } = await exportBackup(repository);
+    expect(counts.feedbackNotes).toBe(1);
+  });
+
+  it('moves the email and note of version 1 entries into private notes', async () => {
+    const archive = await readBackup(archiveFile({
+      format: 'gayathri-dance-backup',
+      version: 1,
+      collections: {
+        feedback: [
+          { id: 'entry-1', data: { name: 'Meena', message: 'Lovely!', email: 'meena@example.com', note: 'Please send photos', userId: 'guest-1', status: 'approved' } },
+          { id: 'entry-2', data: { name: 'Ravi', message: 'Well done', email: '', userId: 'guest-2', status: 'approved' } }
+        ]
+      }
+    }));
+    await importBackup(repository, archive, { conflict: 'skip', userId: 'author' });
+
+    const entries = (await repository.backup.list('feedback')).filter(entry => entry.id.startsWith('entry-'));
+    expect(entries).toHaveLength(2);
+    entries.forEach(entry => {
+      expect(entry).not.toHaveProperty('email');
+      expect(entry).not.toHaveProperty('note');
+    });
+    expect(await repository.backup.list('private/feedbackNotes')).toEqual([
+      { id: 'entry-1', name: 'Meena', email: 'meena@example.com', note: 'Please send photos', userId: 'guest-1', createdAt: null }
+    ]);
+  });
+
+  it('gives a copied entry\'s note the copy\'s ID', async () => {
+    await repository.feedback.create({ name: 'Meena', message: 'Lovely!', userId: 'guest-1', status: 'approved' }, 'entry-1',
+      { name: 'Meena', email: 'meena@example.com', note: '' });
+    const archive = await readBackup(archiveFile({
+      format: 'gayathri-dance-backup',
+      version: 2,
+      collections: {
+        feedback: [{ id: 'entry-1', data: { name: 'Meena', message: 'Lovely!', userId: 'guest-1', status: 'approved' } }],
+        feedbackNotes: [{ id: 'entry-1', data: { name: 'Meena', email: 'meena@example.com', note: '', userId: 'guest-1' } }]
+      }
+    }));
+    await importBackup(repository, archive, { conflict: 'duplicate', userId: 'author' });
+
+    const copy = (await repository.backup.list('feedback')).find(entry => entry.id !== 'entry-1' && entry.name === 'Meena');
+    expect((await repository.backup.list('private/feedbackNotes')).map(note => note.id).sort()).toEqual(['entry-1', copy.id].sort());
+  });
+
+  it('counts the reactions an overwritten story keeps along with the archived ones', async () => {
+    const target = { collection: 'stories', id: 'sample-story-1' };
+    await repository.reactions.toggle(target, 'guest-1', '👏');
+    const [story] = (await repository.backup.list('stories')).filter(record => record.id === target.id);
+    const { id, ...storyData } = story;
+    const archive = await readBackup(archiveFile({
+      format: 'gayathri-dance-backup',
+      version: 2,
+      collections: {
+        stories: [{
+          id,
+          data: { ...storyData, reactionCounts: { '❤️': 5 } },
+          subcollections: { reactions: [{ id: 'guest-2', data: { emoji: '❤️' } }] }
+        }]
+      }
+    }));
+    await importBackup(repository, archive, { conflict: 'overwrite', userId: 'author' });
+
+    expect((await repository.backup.list('stories/sample-story-1/reactions')).map(reaction => reaction.id).sort())
+      .toEqual(['guest-1', 'guest-2']);
+    const [restored] = (await repository.backup.list('stories')).filter(record => record.id === target.id);
+    expect(restored.reactionCounts).toEqual({ '👏': 1, '❤️': 1 });
+  });
+});
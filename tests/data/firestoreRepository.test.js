@@ -0,0 +1,185 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFirestoreRepository } from '../../src/data/firestoreRepository.js';
+
+// Firebase Auth, controlled by each test. onAuthStateChanged keeps the repository's listener so tests
+// can report who is signed in.
+const auth = vi.hoisted(() => ({
+  listener: null,
+  onAuthStateChanged: vi.fn(),
+  signInAnonymously: vi.fn(),
+  signInWithCustomToken: vi.fn()
+}));
+
+vi.mock('firebase/app', () => ({ initializeApp: vi.fn(() => ({})) }));
+
+vi.mock('firebase/auth', () => ({
+  getAuth: vi.fn(() => ({})),
+  connectAuthEmulator: vi.fn(),
+  signInWithEmailAndPassword: vi.fn(),
+  signOut: vi.fn(),
+  onAuthStateChanged: auth.onAuthStateChanged,
+  signInAnonymously: auth.signInAnonymously,
+  signInWithCustomToken: auth.signInWithCustomToken
+}));
+
+// The repository only builds references when it is created, so these never reach a server
+vi.mock('firebase/firestore', () => {
+  const reference = () => ({ id: 'generated-id' });
+  return {
+    initializeFirestore: vi.fn(() => ({})),
+    persistentLocalCache: vi.fn(),
+    persistentMultipleTabManager: vi.fn(),
+    connectFirestoreEmulator: vi.fn(),
+    collection: vi.fn(reference),
+    doc: vi.fn(reference),
+    query: vi.fn(reference),
+    where: vi.fn(),
+    orderBy: vi.fn(),
+    limit: vi.fn(),
+    startAfter: vi.fn(),
+    endAt: vi.fn(),
+    serverTimestamp: vi.fn(),
+    deleteDoc: vi.fn(),
+    updateDoc: vi.fn(),
+    onSnapshot: vi.fn(),
+    getDoc: vi.fn(),
+    getDocs: vi.fn(),
+    setDoc: vi.fn(),
+    runTransaction: vi.fn(),
+    writeBatch: vi.fn(),
+    Timestamp: { fromMillis: vi.fn() }
+  };
+});
+
+vi.mock('firebase/storage', () => ({
+  getStorage: vi.fn(() => ({})),
+  connectStorageEmulator: vi.fn(),
+  ref: vi.fn(),
+  uploadBytesResumable: vi.fn(),
+  getDownloadURL: vi.fn(),
+  deleteObject: vi.fn()
+}));
+
+const createRepository = (options = {}) => createFirestoreRepository({
+  appId: 'test-app-id',
+  firebaseConfig: { projectId: 'demo-gayathri-dance-app' },
+  useEmulators: false,
+  initialAuthToken: null,
+  ...options
+});
+
+// A signed-in Firebase user with the given custom claims
+const firebaseUser = (uid, claims = {}) => ({ uid, getIdTokenResult: async () => ({ claims }) });
+
+describe('firestoreRepository auth', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    auth.onAuthStateChanged.mockImplementation((_, listener) => {
+      auth.listener = listener;
+      return () => {};
+    });
+  });
+
+  it('signs visitors in anonymously and reports them as guests', async () => {
+    const callback = vi.fn();
+    createRepository().auth.onChange(callback);
+    auth.signInAnonymously.mockResolvedValue({});
+
+    await auth.listener(null);
+    expect(auth.signInAnonymously).toHaveBeenCalled();
+    expect(callback).not.toHaveBeenCalled(); // The listener runs again once signed in
+
+    await auth.listener(firebaseUser('anonymous-uid'));
+    expect(callback).toHaveBeenCalledWith({ userId: 'anonymous-uid', role: 'guest' });
+  });
+
+  it('falls back to a random guest ID when anonymous sign-in fails', async () => {
+    const callback = vi.fn();
+    createRepository().auth.onChange(callback);
+    auth.signInAnonymously.mockRejectedValue(new Error('auth/network-request-failed'));
+
+    await auth.listener(null);
+    expect(callback).toHaveBeenCalledWith({
+      userId: expect.stringMatching(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/),
+      role: 'guest'
+    });
+  });
+
+  it('signs in with the Canvas custom token when there is one', async () => {
+    createRepository({ initialAuthToken: 'canvas-token' }).auth.onChange(vi.fn());
+    auth.signInWithCustomToken.mockResolvedValue({});
+
+    await auth.listener(null);
+    expect(auth.signInWithCustomToken).toHaveBeenCalledWith(expect.anything(), 'canvas-token');
+    expect(auth.signInAnonymously).not.toHaveBeenCalled();
+  });
+
+  it('reports the author role from the custom claim', async () => {
+    const callback = vi.fn();
+    createRepository().auth.onChange(callback);
+
+    await auth.listener(firebaseUser('author-uid', { role: 'author' }));
+    expect(callback).toHaveBeenCalledWith({ userId: 'author-uid', role: 'author' });
+  });
+});
+
+describe('firestoreRepository stories', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('deletes a story with many comments over batches of at most 500 writes', async () => {
+    const { getDocs, writeBatch } = await import('firebase/firestore');
+    const snapshot = (count, prefix) => ({ docs: Array.from({ length: count }, (_, i) => ({ id: `${prefix}-${i}`, ref: { id: `${prefix}-${i}` }, data: () => ({}) })) });
+    getDocs
+      .mockResolvedValueOnce(snapshot(700, 'comment'))
+      .mockResolvedValueOnce(snapshot(20, 'revision'))
+      .mockResolvedValueOnce(snapshot(5, 'story-reaction'))
+      .mockResolvedValueOnce(snapshot(1, 'story'))
+      .mockResolvedValue(snapshot(1, 'comment-reaction'));
+    const batches = [];
+    writeBatch.mockImplementation(() => {
+      const batch = { delete: vi.fn(), commit: vi.fn().mockResolvedValue() };
+      batches.push(batch);
+      return batch;
+    });
+
+    await createRepository().stories.remove('story-1');
+
+    const deleteCounts = batches.map(batch => batch.delete.mock.calls.length);
+    expect(deleteCounts.every(count => count <= 500)).toBe(true);
+    expect(deleteCounts.reduce((sum, count) => sum + count, 0)).toBe(700 + 700 + 20 + 5 + 1);
+    batches.forEach(batch => expect(batch.commit).toHaveBeenCalled());
+    expect(batches.at(-1).delete).toHaveBeenLastCalledWith({ id: 'generated-id' }); // The story itself
+  });
+
+  it('deletes the images uploaded for a story and its revisions, except ones another story shows', async () => {
+    const { getDocs, writeBatch } = await import('firebase/firestore');
+    const { ref, deleteObject } = await import('firebase/storage');
+    const upload = (name) => `https://firebasestorage.googleapis.com/v0/b/bucket/o/artifacts%2Ftest-app-id%2Fstories%2F${name}?alt=media`;
+    ref.mockImplementation((_, pathOrUrl) => {
+      if (!pathOrUrl.includes('://')) return { fullPath: pathOrUrl };
+      if (!pathOrUrl.startsWith('https://firebasestorage.googleapis.com/')) throw new Error('storage/invalid-url');
+      return { fullPath: decodeURIComponent(new URL(pathOrUrl).pathname.split('/o/')[1]) };
+    });
+    const docs = (...records) => ({ docs: records.map(({ id, ...data }) => ({ id, ref: { id }, data: () => data })) });
+    getDocs
+      .mockResolvedValueOnce(docs())
+      .mockResolvedValueOnce(docs({ id: 'revision-1', imageUrl: upload('old.jpg'), content: '' }))
+      .mockResolvedValueOnce(docs())
+      .mockResolvedValueOnce(docs(
+        { id: 'story-1', imageUrl: upload('cover.jpg'), thumbnailUrl: upload('thumbs%2Fcover.jpg'), content: `![Stage](${upload('shared.jpg')}) ![Guru](https://lh3.googleusercontent.com/d/sample)` },
+        { id: 'story-2', imageUrl: upload('shared.jpg'), content: '' }
+      ));
+    writeBatch.mockImplementation(() => ({ delete: vi.fn(), commit: vi.fn().mockResolvedValue() }));
+    deleteObject.mockResolvedValue();
+
+    await createRepository().stories.remove('story-1');
+
+    expect(deleteObject.mock.calls.map(([imageRef]) => imageRef.fullPath).sort()).toEqual([
+      'artifacts/test-app-id/stories/cover.jpg',
+      'artifacts/test-app-id/stories/old.jpg',
+      'artifacts/test-app-id/stories/thumbs/cover.jpg'
+    ]);
+  });
+});
@@ -0,0 +1,503 @@
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { addDoc, collection, deleteDoc, doc, getDoc, getDocs, query, serverTimestamp, setDoc, Timestamp, updateDoc, where, writeBatch } from 'firebase/firestore';
+
+const APP_ID = 'test-app-id';
+const DATA_PATH = `artifacts/${APP_ID}/public/data`;
+
+let testEnv;
+
+// Firestore clients for each kind of visitor
+const authorDb = () => testEnv.authenticatedContext('author-uid', { role: 'author' }).firestore();
+const guestDb = () => testEnv.authenticatedContext('guest-uid').firestore();
+const otherGuestDb = () => testEnv.authenticatedContext('other-guest-uid').firestore();
+const signedOutDb = () => testEnv.unauthenticatedContext().firestore();
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-gayathri-dance-app',
+    firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+  });
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    await setDoc(doc(context.firestore(), `${DATA_PATH}/stories`, 'story-1'), {
+      title: 'Existing story',
+      content: 'Seeded before each test.',
+      authorId: 'author-uid',
+    });
+  });
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+describe('stories', () => {
+  const newStory = (authorId) => ({
+    title: 'My Arangetram',
+    content: 'A new story.',
+    authorId,
+    createdAt: serverTimestamp(),
+  });
+
+  it('can be read by anyone', async () => {
+    await assertSucceeds(getDoc(doc(signedOutDb(), `${DATA_PATH}/stories`, 'story-1')));
+    await assertSucceeds(getDoc(doc(guestDb(), `${DATA_PATH}/stories`, 'story-1')));
+  });
+
+  it('can be created by the author under their own ID', async () => {
+    await assertSucceeds(addDoc(collection(authorDb(), `${DATA_PATH}/stories`), newStory('author-uid')));
+  });
+
+  it('cannot be created by the author on behalf of someone else', async () => {
+    await assertFails(addDoc(collection(authorDb(), `${DATA_PATH}/stories`), newStory('guest-uid')));
+  });
+
+  it('cannot be created by guests', async () => {
+    await assertFails(addDoc(collection(guestDb(), `${DATA_PATH}/stories`), newStory('guest-uid')));
+    await assertFails(addDoc(collection(signedOutDb(), `${DATA_PATH}/stories`), newStory(null)));
+  });
+
+  it('can only be changed or removed by the author', async () => {
+    await assertFails(updateDoc(doc(guestDb(), `${DATA_PATH}/stories`, 'story-1'), { title: 'Hacked' }));
+    await assertFails(deleteDoc(doc(guestDb(), `${DATA_PATH}/stories`, 'story-1')));
+    await assertSucceeds(updateDoc(doc(authorDb(), `${DATA_PATH}/stories`, 'story-1'), { title: 'Fixed typo' }));
+    await assertSucceeds(deleteDoc(doc(authorDb(), `${DATA_PATH}/stories`, 'story-1')));
+  });
+
+  it('cannot be handed over to another author on update', async () => {
+    await assertFails(updateDoc(doc(authorDb(), `${DATA_PATH}/stories`, 'story-1'), { authorId: 'guest-uid' }));
+  });
+
+  it('keep drafts hidden from everyone but the author', async () => {
+    const draftRef = await addDoc(collection(authorDb(), `${DATA_PATH}/stories`), { ...newStory('author-uid'), status: 'draft', publishAt: null });
+    await assertFails(getDoc(doc(guestDb(), `${DATA_PATH}/stories`, draftRef.id)));
+    await assertFails(getDoc(doc(signedOutDb(), `${DATA_PATH}/stories`, draftRef.id)));
+    await assertSucceeds(getDoc(doc(authorDb(), `${DATA_PATH}/stories`, draftRef.id)));
+  });
+
+  it('keep scheduled stories hidden from guests until their publishAt', async () => {
+    const scheduledRef = await addDoc(collection(authorDb(), `${DATA_PATH}/stories`), {
+      ...newStory('author-uid'), status: 'scheduled', publishAt: Timestamp.fromMillis(Date.now() + 60 * 60 * 1000)
+    });
+    await assertFails(getDoc(doc(guestDb(), `${DATA_PATH}/stories`, scheduledRef.id)));
+    await assertSucceeds(getDoc(doc(authorDb(), `${DATA_PATH}/stories`, scheduledRef.id)));
+    await assertSucceeds(updateDoc(doc(authorDb(), `${DATA_PATH}/stories`, scheduledRef.id), {
+      publishAt: Timestamp.fromMillis(Date.now() - 60 * 1000)
+    }));
+    await assertSucceeds(getDoc(doc(guestDb(), `${DATA_PATH}/stories`, scheduledRef.id)));
+  });
+
+  it('can be listed by guests when the query asks for published stories only', async () => {
+    const storiesRef = collection(guestDb(), `${DATA_PATH}/stories`);
+    await assertSucceeds(getDocs(query(storiesRef, where('status', '==', 'published'))));
+    await assertFails(getDocs(query(storiesRef, where('status', 'in', ['published', 'scheduled']))));
+    await assertFails(getDocs(storiesRef));
+  });
+
+  it('can be listed by a guest whose clock is ahead of the server', async () => {
+    await addDoc(collection(authorDb(), `${DATA_PATH}/stories`), {
+      ...newStory('author-uid'), status: 'scheduled', publishAt: Timestamp.fromMillis(Date.now() + 5 * 60 * 1000)
+    });
+    const storiesRef = collection(guestDb(), `${DATA_PATH}/stories`);
+    const guestNow = Timestamp.fromMillis(Date.now() + 10 * 60 * 1000);
+    // Bounding scheduled stories by the guest's clock takes in one the server still hides
+    await assertFails(getDocs(query(storiesRef, where('status', 'in', ['published', 'scheduled']), where('publishAt', '<=', guestNow))));
+    await assertSucceeds(getDocs(query(storiesRef, where('status', '==', 'published'))));
+  });
+
+  it('must have a known status', async () => {
+    await assertFails(addDoc(collection(authorDb(), `${DATA_PATH}/stories`), { ...newStory('author-uid'), status: 'archived' }));
+    await assertFails(updateDoc(doc(authorDb(), `${DATA_PATH}/stories`, 'story-1'), { status: 'archived' }));
+  });
+});
+
+describe('story revisions', () => {
+  const revisionsPath = `${DATA_PATH}/stories/story-1/revisions`;
+
+  it('can be saved and read by the author', async () => {
+    await assertSucceeds(addDoc(collection(authorDb(), revisionsPath), { title: 'Old title', savedAt: serverTimestamp() }));
+    await assertSucceeds(getDocs(collection(authorDb(), revisionsPath)));
+  });
+
+  it('are hidden from guests', async () => {
+    await assertFails(getDocs(collection(guestDb(), revisionsPath)));
+    await assertFails(addDoc(collection(guestDb(), revisionsPath), { title: 'Old title' }));
+  });
+
+  it('cannot be rewritten once saved', async () => {
+    const ref = await addDoc(collection(authorDb(), revisionsPath), { title: 'Old title' });
+    await assertFails(updateDoc(doc(authorDb(), revisionsPath, ref.id), { title: 'Rewritten' }));
+  });
+});
+
+describe('reactions', () => {
+  const storyPath = `${DATA_PATH}/stories/story-1`;
+
+  it('can be added by a guest together with the reaction count', async () => {
+    const db = guestDb();
+    const batch = writeBatch(db);
+    batch.set(doc(db, `${storyPath}/reactions/guest-uid`), { emoji: '❤️' });
+    batch.update(doc(db, storyPath), { reactionCounts: { '❤️': 1 } });
+    await assertSucceeds(batch.commit());
+  });
+
+  it('cannot change counts without the guest\'s own reaction doc', async () => {
+    await assertFails(updateDoc(doc(guestDb(), storyPath), { reactionCounts: { '❤️': 100 } }));
+  });
+
+  it('can be switched or taken back, moving one count at a time', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), `${storyPath}/reactions/guest-uid`), { emoji: '❤️' });
+      await updateDoc(doc(context.firestore(), storyPath), { reactionCounts: { '❤️': 3, '👏': 1 } });
+    });
+    const db = guestDb();
+    const switchBatch = writeBatch(db);
+    switchBatch.set(doc(db, `${storyPath}/reactions/guest-uid`), { emoji: '👏' });
+    switchBatch.update(doc(db, storyPath), { reactionCounts: { '❤️': 2, '👏': 2 } });
+    await assertSucceeds(switchBatch.commit());
+
+    const removeBatch = writeBatch(db);
+    removeBatch.delete(doc(db, `${storyPath}/reactions/guest-uid`));
+    removeBatch.update(doc(db, storyPath), { reactionCounts: { '❤️': 2, '👏': 1 } });
+    await assertSucceeds(removeBatch.commit());
+  });
+
+  it('cannot set arbitrary counts, even for a guest who has reacted', async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), `${storyPath}/reactions/guest-uid`), { emoji: '❤️' });
+      await updateDoc(doc(context.firestore(), storyPath), { reactionCounts: { '❤️': 1, '👏': 4 } });
+    });
+    const db = guestDb();
+    await assertFails(updateDoc(doc(db, storyPath), { reactionCounts: { '❤️': 100000, '👏': 4 } }));
+    await assertFails(updateDoc(doc(db, storyPath), { reactionCounts: {} }));
+
+    // Switching emoji may only move the guest's own reaction, by one
+    const batch = writeBatch(db);
+    batch.set(doc(db, `${storyPath}/reactions/guest-uid`), { emoji: '🙏' });
+    batch.update(doc(db, storyPath), { reactionCounts: { '❤️': 0, '👏': 0, '🙏': 5 } });
+    await assertFails(batch.commit());
+  });
+
+  it('cannot be used to change anything besides the counts', async () => {
+    const db = guestDb();
+    const batch = writeBatch(db);
+    batch.set(doc(db, `${storyPath}/reactions/guest-uid`), { emoji: '❤️' });
+    batch.update(doc(db, storyPath), { reactionCounts: { '❤️': 1 }, title: 'Hacked' });
+    await assertFails(batch.commit());
+  });
+
+  it('must use an allowed emoji under the guest\'s own ID', async () => {
+    await assertFails(setDoc(doc(guestDb(), `${storyPath}/reactions/guest-uid`), { emoji: '💩' }));
+    await assertFails(setDoc(doc(guestDb(), `${storyPath}/reactions/someone-else`), { emoji: '❤️' }));
+  });
+
+  it('can be restored from a backup by the author under any user ID', async () => {
+    await assertSucceeds(setDoc(doc(authorDb(), `${storyPath}/reactions/someone-else`), { emoji: '❤️', createdAt: Timestamp.fromMillis(0) }));
+  });
+});
+
+describe('photos', () => {
+  it('can be read by anyone but only added or removed by the author', async () => {
+    await assertSucceeds(getDocs(collection(signedOutDb(), `${DATA_PATH}/photos`)));
+    await assertFails(addDoc(collection(guestDb(), `${DATA_PATH}/photos`), { url: 'https://example.com/photo.jpg' }));
+    const ref = await assertSucceeds(addDoc(collection(authorDb(), `${DATA_PATH}/photos`), { url: 'https://example.com/photo.jpg' }));
+    await assertFails(deleteDoc(doc(guestDb(), `${DATA_PATH}/photos`, ref.id)));
+    await assertSucceeds(deleteDoc(doc(authorDb(), `${DATA_PATH}/photos`, ref.id)));
+  });
+});
+
+describe('program', () => {
+  it('can be read by anyone but only edited by the author', async () => {
+    const item = { pieceName: 'Alarippu', order: 0 };
+    await assertSucceeds(getDocs(collection(signedOutDb(), `${DATA_PATH}/program`)));
+    await assertFails(addDoc(collection(guestDb(), `${DATA_PATH}/program`), item));
+    const ref = await assertSucceeds(addDoc(collection(authorDb(), `${DATA_PATH}/program`), item));
+    await assertFails(updateDoc(doc(guestDb(), `${DATA_PATH}/program`, ref.id), { order: 5 }));
+    await assertSucceeds(updateDoc(doc(authorDb(), `${DATA_PATH}/program`, ref.id), { order: 5 }));
+  });
+});
+
+describe('live state', () => {
+  it('can be read by anyone but only set by the author', async () => {
+    const state = { active: true, currentItemId: 'item-1', startedAt: serverTimestamp() };
+    await assertFails(setDoc(doc(guestDb(), `${DATA_PATH}/live`, 'state'), state));
+    await assertSucceeds(setDoc(doc(authorDb(), `${DATA_PATH}/live`, 'state'), state));
+    await assertSucceeds(getDoc(doc(signedOutDb(), `${DATA_PATH}/live`, 'state')));
+  });
+});
+
+describe('site settings', () => {
+  it('can be read by anyone but only set by the author', async () => {
+    await assertFails(setDoc(doc(guestDb(), `${DATA_PATH}/settings`, 'site'), { accent: 'red' }));
+    await assertSucceeds(setDoc(doc(authorDb(), `${DATA_PATH}/settings`, 'site'), { accent: 'red' }));
+    await assertSucceeds(getDoc(doc(signedOutDb(), `${DATA_PATH}/settings`, 'site')));
+  });
+});
+
+describe('rsvps', () => {
+  const rsvp = (userId, overrides = {}) => ({
+    name: 'Auntie Meena',
+    attending: true,
+    partySize: 3,
+    dietaryNeeds: 'vegetarian',
+    message: '',
+    userId,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+    ...overrides,
+  });
+
+  it('lets a guest create and read only their own RSVP', async () => {
+    await assertSucceeds(setDoc(doc(guestDb(), `${DATA_PATH}/rsvps`, 'guest-uid'), rsvp('guest-uid')));
+    await assertSucceeds(getDoc(doc(guestDb(), `${DATA_PATH}/rsvps`, 'guest-uid')));
+    await assertFails(setDoc(doc(guestDb(), `${DATA_PATH}/rsvps`, 'someone-else'), rsvp('someone-else')));
+    await assertFails(getDocs(collection(guestDb(), `${DATA_PATH}/rsvps`)));
+    await assertFails(getDoc(doc(signedOutDb(), `${DATA_PATH}/rsvps`, 'guest-uid')));
+  });
+
+  it('lets the author list every RSVP', async () => {
+    await assertSucceeds(setDoc(doc(guestDb(), `${DATA_PATH}/rsvps`, 'guest-uid'), rsvp('guest-uid')));
+    await assertSucceeds(getDocs(collection(authorDb(), `${DATA_PATH}/rsvps`)));
+  });
+
+  it('rejects invalid RSVPs', async () => {
+    const ref = doc(guestDb(), `${DATA_PATH}/rsvps`, 'guest-uid');
+    await assertFails(setDoc(ref, rsvp('guest-uid', { name: '' })));
+    await assertFails(setDoc(ref, rsvp('guest-uid', { partySize: 11 })));
+    await assertFails(setDoc(ref, rsvp('guest-uid', { attending: true, partySize: 0 })));
+    await assertFails(setDoc(ref, rsvp('guest-uid', { message: 'x'.repeat(1001) })));
+    await assertFails(setDoc(ref, rsvp('guest-uid', { status: 'vip' })));
+  });
+
+  it('rate-limits changes to an RSVP', async () => {
+    const ref = doc(guestDb(), `${DATA_PATH}/rsvps`, 'guest-uid');
+    await assertSucceeds(setDoc(ref, rsvp('guest-uid')));
+    const created = (await getDoc(ref)).data().createdAt;
+    await assertFails(setDoc(ref, rsvp('guest-uid', { partySize: 4, createdAt: created })));
+
+    const aMinuteAgo = Timestamp.fromMillis(Date.now() - 60 * 1000);
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await updateDoc(doc(context.firestore(), `${DATA_PATH}/rsvps`, 'guest-uid'), { updatedAt: aMinuteAgo });
+    });
+    await assertSucceeds(setDoc(ref, rsvp('guest-uid', { partySize: 4, createdAt: created })));
+  });
+
+  it('lets the author restore any guest\'s RSVP from a backup', async () => {
+    const restored = rsvp('guest-uid', { createdAt: Timestamp.fromMillis(0), updatedAt: Timestamp.fromMillis(0) });
+    await assertSucceeds(setDoc(doc(authorDb(), `${DATA_PATH}/rsvps`, 'guest-uid'), restored));
+    await assertSucceeds(setDoc(doc(authorDb(), `${DATA_PATH}/rsvps`, 'guest-uid'), { ...restored, partySize: 2 }));
+  });
+});
+
+// Guests' comments and guestbook entries are saved together with their post limit, like createPost
+// in src/data/firestoreRepository.js. extraWrites(batch, db, ref) adds anything else saved with them.
+const POST_LIMITS_PATH = `artifacts/${APP_ID}/private/data/postLimits`;
+const savePost = (db, posterId, ref, data, text, extraWrites = () => {}) => {
+  const batch = writeBatch(db);
+  batch.set(ref, data);
+  batch.set(doc(db, POST_LIMITS_PATH, posterId), { lastPostAt: serverTimestamp(), lastMessage: text });
+  extraWrites(batch, db, ref);
+  return batch.commit();
+};
+
+// Moves the guest's last post back in time, as if they had waited before posting again
+const backdateLastPost = (userId) => testEnv.withSecurityRulesDisabled(async (context) => {
+  await updateDoc(doc(context.firestore(), POST_LIMITS_PATH, userId), { lastPostAt: Timestamp.fromMillis(Date.now() - 60 * 1000) });
+});
+
+describe.each(['comments', 'feedback'])('%s', (collectionName) => {
+  const path = `${DATA_PATH}/${collectionName}`;
+  const textField = collectionName === 'comments' ? 'commentText' : 'message';
+  // Guestbook entries also record the guest's consent to publication
+  const pending = (userId, overrides = {}) => ({
+    ...(collectionName === 'comments'
+      ? { storyId: 'story-1', commentText: 'Beautiful performance!', commenterName: 'Auntie Meena' }
+      : { message: 'Beautiful performance!', name: 'Auntie Meena', consentedAt: serverTimestamp() }),
+    userId,
+    status: 'pending',
+    createdAt: serverTimestamp(),
+    ...overrides,
+  });
+  // Posts data as the signed-in guest-uid, with their post limit
+  const post = (data, db = guestDb()) => {
+    const ref = doc(collection(db, path));
+    return savePost(db, 'guest-uid', ref, data, data[textField]).then(() => ref);
+  };
+
+  it('can be posted as pending by a signed-in guest under their own user ID', async () => {
+    await assertSucceeds(post(pending('guest-uid')));
+  });
+
+  it('cannot be posted under another user ID or while signed out', async () => {
+    await assertFails(post(pending('someone-else')));
+    await assertFails(post(pending('guest-uid'), signedOutDb()));
+  });
+
+  it('cannot be published by guests without moderation', async () => {
+    await assertFails(post(pending('guest-uid', { status: 'approved' })));
+    const { status, ...withoutStatus } = pending('guest-uid');
+    await assertFails(post(withoutStatus));
+    await assertSucceeds(post({ ...withoutStatus, status }));
+  });
+
+  it('are only public once approved', async () => {
+    await assertSucceeds(getDocs(query(collection(signedOutDb(), path), where('status', '==', 'approved'))));
+    await assertFails(getDocs(query(collection(guestDb(), path), where('status', '==', 'pending'))));
+    await assertSucceeds(getDocs(query(collection(authorDb(), path), where('status', '==', 'pending'))));
+  });
+
+  it('can only be moderated by the author', async () => {
+    const ref = await post(pending('guest-uid'));
+    await assertFails(updateDoc(doc(guestDb(), path, ref.id), { status: 'approved' }));
+    await assertFails(deleteDoc(doc(otherGuestDb(), path, ref.id)));
+    await assertSucceeds(updateDoc(doc(authorDb(), path, ref.id), { status: 'approved' }));
+  });
+
+  it.runIf(collectionName === 'comments')('cannot be removed by the guest who posted them', async () => {
+    const ref = await post(pending('guest-uid'));
+    await assertFails(deleteDoc(doc(guestDb(), path, ref.id)));
+  });
+
+  it('must be saved with the guest\'s post limit', async () => {
+    await assertFails(addDoc(collection(guestDb(), path), pending('guest-uid')));
+    const db = guestDb();
+    await assertFails(savePost(db, 'guest-uid', doc(collection(db, path)), pending('guest-uid'), 'Something else'));
+  });
+
+  it('are limited to one every 30 seconds per guest', async () => {
+    await assertSucceeds(post(pending('guest-uid')));
+    await assertFails(post(pending('guest-uid', { [textField]: 'And another thing!' })));
+    await backdateLastPost('guest-uid');
+    await assertSucceeds(post(pending('guest-uid', { [textField]: 'And another thing!' })));
+  });
+
+  it('cannot repeat the guest\'s last message', async () => {
+    await assertSucceeds(post(pending('guest-uid')));
+    await backdateLastPost('guest-uid');
+    await assertFails(post(pending('guest-uid', { [textField]: '  BEAUTIFUL performance!  ' })));
+  });
+
+  it('must have a name and a message within the length limits', async () => {
+    const nameField = collectionName === 'comments' ? 'commenterName' : 'name';
+    await assertFails(post(pending('guest-uid', { [textField]: '   ' })));
+    await assertFails(post(pending('guest-uid', { [textField]: 'x'.repeat(2001) })));
+    await assertFails(post(pending('guest-uid', { [nameField]: '' })));
+    await assertFails(post(pending('guest-uid', { [nameField]: 'x'.repeat(101) })));
+    await assertSucceeds(post(pending('guest-uid', { [textField]: 'x'.repeat(2000) })));
+  });
+
+  it('may contain at most two links', async () => {
+    await assertFails(post(pending('guest-uid', { [textField]: 'http://a.example https://b.example HTTPS://c.example' })));
+    await assertSucceeds(post(pending('guest-uid', { [textField]: 'Photos: https://a.example and https://b.example' })));
+  });
+
+  it('are not limited for the author', async () => {
+    await assertSucceeds(addDoc(collection(authorDb(), path), pending('author-uid', { status: 'approved' })));
+    await assertSucceeds(addDoc(collection(authorDb(), path), pending('author-uid', { status: 'approved' })));
+  });
+});
+
+describe('post limits', () => {
+  it('can be read by their own guest and the author only', async () => {
+    await assertSucceeds(setDoc(doc(guestDb(), POST_LIMITS_PATH, 'guest-uid'), { lastPostAt: serverTimestamp(), lastMessage: 'Hi' }));
+    await assertSucceeds(getDoc(doc(guestDb(), POST_LIMITS_PATH, 'guest-uid')));
+    await assertSucceeds(getDoc(doc(authorDb(), POST_LIMITS_PATH, 'guest-uid')));
+    await assertFails(getDoc(doc(otherGuestDb(), POST_LIMITS_PATH, 'guest-uid')));
+  });
+
+  it('cannot be cleared or backdated by guests', async () => {
+    const ref = doc(guestDb(), POST_LIMITS_PATH, 'guest-uid');
+    await assertFails(setDoc(ref, { lastPostAt: Timestamp.fromMillis(0), lastMessage: 'Hi' }));
+    await assertSucceeds(setDoc(ref, { lastPostAt: serverTimestamp(), lastMessage: 'Hi' }));
+    await assertFails(deleteDoc(ref));
+    await assertFails(setDoc(doc(guestDb(), POST_LIMITS_PATH, 'someone-else'), { lastPostAt: serverTimestamp(), lastMessage: 'Hi' }));
+  });
+});
+
+describe('feedback privacy', () => {
+  const path = `${DATA_PATH}/feedback`;
+  const notesPath = `artifacts/${APP_ID}/private/data/feedbackNotes`;
+  const entry = (overrides = {}) => ({
+    name: 'Auntie Meena',
+    message: 'Wonderful!',
+    status: 'pending',
+    userId: 'guest-uid',
+    createdAt: serverTimestamp(),
+    consentedAt: serverTimestamp(),
+    ...overrides,
+  });
+  const note = (overrides = {}) => ({
+    name: 'Auntie Meena',
+    email: 'meena@example.com',
+    note: 'Call me about the costume.',
+    userId: 'guest-uid',
+    createdAt: serverTimestamp(),
+    ...overrides,
+  });
+  // Saves a guest's entry, and the private note if given, like feedback.create
+  const saveEntry = (id, entryData, noteData = null) => {
+    const db = guestDb();
+    return savePost(db, 'guest-uid', doc(db, path, id), entryData, entryData.message, (batch) => {
+      if (noteData) batch.set(doc(db, notesPath, id), noteData);
+    });
+  };
+
+  it('keeps emails out of public entries', async () => {
+    await assertFails(saveEntry('entry-1', entry({ email: 'meena@example.com' })));
+  });
+
+  it('requires consent to publication', async () => {
+    const { consentedAt, ...withoutConsent } = entry();
+    await assertFails(saveEntry('entry-1', withoutConsent));
+    await assertSucceeds(saveEntry('entry-1', { ...withoutConsent, consentedAt }));
+  });
+
+  it('lets guests add private notes with their entry that only the author can read', async () => {
+    await assertFails(saveEntry('entry-2', entry(), note({ userId: 'someone-else' })));
+    await assertFails(saveEntry('entry-3', entry(), note({ note: 'x'.repeat(2001) })));
+    await assertFails(setDoc(doc(guestDb(), notesPath, 'entry-4'), note()));
+    await assertSucceeds(saveEntry('entry-1', entry(), note()));
+    await assertFails(getDoc(doc(guestDb(), notesPath, 'entry-1')));
+    await assertFails(getDoc(doc(signedOutDb(), notesPath, 'entry-1')));
+    await assertSucceeds(getDoc(doc(authorDb(), notesPath, 'entry-1')));
+  });
+
+  it('lets guests read and delete their own entry and note, but not anyone else\'s', async () => {
+    await assertSucceeds(saveEntry('entry-1', entry(), note()));
+    await assertSucceeds(getDocs(query(collection(guestDb(), path), where('userId', '==', 'guest-uid'))));
+    await assertFails(getDocs(query(collection(otherGuestDb(), path), where('userId', '==', 'guest-uid'))));
+    await assertFails(deleteDoc(doc(otherGuestDb(), path, 'entry-1')));
+    await assertFails(deleteDoc(doc(otherGuestDb(), notesPath, 'entry-1')));
+
+    const db = guestDb();
+    const batch = writeBatch(db);
+    batch.delete(doc(db, path, 'entry-1'));
+    batch.delete(doc(db, notesPath, 'entry-1'));
+    await assertSucceeds(batch.commit());
+  });
+
+  it('lets guests delete an entry that has no note', async () => {
+    await assertSucceeds(saveEntry('entry-1', entry()));
+    const db = guestDb();
+    const batch = writeBatch(db);
+    batch.delete(doc(db, path, 'entry-1'));
+    batch.delete(doc(db, notesPath, 'entry-1'));
+    await assertSucceeds(batch.commit());
+  });
+});
+
+describe('private settings', () => {
+  const settingsPath = `artifacts/${APP_ID}/private/data/settings`;
+
+  it('are only readable and writable by the author', async () => {
+    await assertSucceeds(setDoc(doc(authorDb(), settingsPath, 'moderation'), { blockedWords: ['spam'] }));
+    await assertSucceeds(getDoc(doc(authorDb(), settingsPath, 'moderation')));
+    await assertFails(getDoc(doc(guestDb(), settingsPath, 'moderation')));
+    await assertFails(setDoc(doc(guestDb(), settingsPath, 'moderation'), { blockedWords: [] }));
+  });
+});
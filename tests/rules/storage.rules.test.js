@@ -0,0 +1,55 @@
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { deleteObject, getBytes, ref, uploadBytes } from 'firebase/storage';
+
+const APP_ID = 'test-app-id';
+const IMAGE_BYTES = new Uint8Array([0xff, 0xd8, 0xff, 0xe0]);
+
+let testEnv;
+
+// Storage clients for each kind of visitor
+const authorStorage = () => testEnv.authenticatedContext('author-uid', { role: 'author' }).storage();
+const guestStorage = () => testEnv.authenticatedContext('guest-uid').storage();
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-gayathri-dance-app',
+    storage: { rules: readFileSync('storage.rules', 'utf8') },
+  });
+});
+
+beforeEach(async () => {
+  await testEnv.clearStorage();
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+describe('story and gallery images', () => {
+  it('can be uploaded by the author and read by anyone', async () => {
+    const path = `artifacts/${APP_ID}/photos/stage.jpg`;
+    await assertSucceeds(uploadBytes(ref(authorStorage(), path), IMAGE_BYTES, { contentType: 'image/jpeg' }));
+    await assertSucceeds(getBytes(ref(guestStorage(), path)));
+  });
+
+  it('cannot be uploaded by guests', async () => {
+    await assertFails(uploadBytes(ref(guestStorage(), `artifacts/${APP_ID}/stories/cover.jpg`), IMAGE_BYTES, { contentType: 'image/jpeg' }));
+  });
+
+  it('must be images', async () => {
+    await assertFails(uploadBytes(ref(authorStorage(), `artifacts/${APP_ID}/stories/notes.txt`), IMAGE_BYTES, { contentType: 'text/plain' }));
+  });
+
+  it('cannot be written outside the stories and photos folders', async () => {
+    await assertFails(uploadBytes(ref(authorStorage(), `artifacts/${APP_ID}/private/secret.jpg`), IMAGE_BYTES, { contentType: 'image/jpeg' }));
+  });
+
+  it('can only be deleted by the author', async () => {
+    const path = `artifacts/${APP_ID}/photos/thumbs/stage.jpg`;
+    await uploadBytes(ref(authorStorage(), path), IMAGE_BYTES, { contentType: 'image/jpeg' });
+    await assertFails(deleteObject(ref(guestStorage(), path)));
+    await assertSucceeds(deleteObject(ref(authorStorage(), path)));
+  });
+});
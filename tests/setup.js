@@ -0,0 +1,16 @@
+// Runs before each test file in the 'app' project (see vite.config.js)
+import 'fake-indexeddb/auto';
+import '@testing-library/jest-dom/vitest';
+import { cleanup } from '@testing-library/react';
+import { afterEach, vi } from 'vitest';
+
+// jsdom doesn't implement scrolling, which the router does on every navigation
+window.scrollTo = vi.fn();
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+  delete document.documentElement.dataset.theme;
+  delete document.documentElement.dataset.accent;
+  window.history.replaceState({}, '', '/');
+});
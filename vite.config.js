@@ -4,4 +4,30 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  build: {
+    manifest: 'asset-manifest.json', // Lists the built files for public/sw.js to precache
+  },
+  test: {
+    silent: 'passed-only', // The site logs as it loads data; only show that for failing tests
+    projects: [
+      // Components and the data layer, in jsdom with an in-memory IndexedDB (`npm test`)
+      {
+        extends: true,
+        test: {
+          name: 'app',
+          include: ['tests/{app,data}/**/*.test.{js,jsx}'],
+          environment: 'jsdom',
+          setupFiles: ['tests/setup.js'],
+        },
+      },
+      // Security rules, against the Firebase emulators (`npm run test:rules`)
+      {
+        test: {
+          name: 'rules',
+          include: ['tests/rules/**/*.test.js'],
+          environment: 'node',
+        },
+      },
+    ],
+  },
 })